@@ -165,6 +165,28 @@ class Animator {
     return { value: 0, unit: '' };
   }
 
+  /**
+   * 키프레임 애니메이션 (Web Animations API)
+   * 브라우저가 지원하지 않으면 즉시 완료됩니다.
+   * @param {Object[]} keyframes - 키프레임 목록
+   * @param {number} duration - 지속 시간 (ms)
+   * @param {string} easing - CSS 이징
+   * @returns {Promise}
+   *
+   * @example
+   * await AnimationUtil.animate('#box').keyframes([
+   *   { transform: 'translateX(40px)', opacity: 0 },
+   *   { transform: 'translateX(0)', opacity: 1 }
+   * ], 300);
+   */
+  keyframes(keyframes, duration = 300, easing = 'ease-out') {
+    if (!this.element || typeof this.element.animate !== 'function') {
+      return Promise.resolve();
+    }
+
+    return this.element.animate(keyframes, { duration, easing }).finished;
+  }
+
   /**
    * Fade In
    */
@@ -0,0 +1,398 @@
+/**
+ * API 목(Mock) 어댑터
+ * @module core/api-mock
+ */
+
+/**
+ * API 목 어댑터
+ * @class
+ * @description 백엔드 없이 개발하거나 테스트할 때 APIUtil의 fetch를 대신하는 어댑터입니다.
+ * 메서드와 URL 패턴으로 응답을 등록하고, 지연 응답, 네트워크 오류/시간 초과 시뮬레이션,
+ * 요청 기록 조회를 지원합니다.
+ *
+ * @example
+ * const mock = APIUtil.mock({ delay: 300 });
+ *
+ * mock.onGet('/api/users/:id').reply(200, { id: 1, name: 'John' });
+ * mock.onPost('/api/users').reply(({ body }) => [201, { id: 2, ...body }]);
+ * mock.onGet('/api/flaky').networkError();
+ *
+ * await APIUtil.get('/api/users/1');
+ * mock.calls('GET', '/api/users/:id').length; // 1
+ */
+export class MockAdapter {
+  /**
+   * MockAdapter 생성자
+   * @constructor
+   * @param {Object} [options={}] - 옵션
+   * @param {number} [options.delay=0] - 모든 응답의 기본 지연 시간 (ms)
+   * @param {boolean} [options.passthrough=false] - 일치하는 핸들러가 없으면 실제 fetch로 요청
+   */
+  constructor(options = {}) {
+    this.delay = options.delay || 0;
+    this.passthrough = !!options.passthrough;
+    this.handlers = [];
+    this.history = [];
+  }
+
+  /**
+   * GET 핸들러 등록
+   * @param {string|RegExp} pattern - URL 패턴 ('/api/users/:id', '/api/*' 또는 정규식)
+   * @returns {MockHandler}
+   */
+  onGet(pattern) {
+    return this.on('GET', pattern);
+  }
+
+  /**
+   * POST 핸들러 등록
+   * @param {string|RegExp} pattern - URL 패턴
+   * @returns {MockHandler}
+   */
+  onPost(pattern) {
+    return this.on('POST', pattern);
+  }
+
+  /**
+   * PUT 핸들러 등록
+   * @param {string|RegExp} pattern - URL 패턴
+   * @returns {MockHandler}
+   */
+  onPut(pattern) {
+    return this.on('PUT', pattern);
+  }
+
+  /**
+   * PATCH 핸들러 등록
+   * @param {string|RegExp} pattern - URL 패턴
+   * @returns {MockHandler}
+   */
+  onPatch(pattern) {
+    return this.on('PATCH', pattern);
+  }
+
+  /**
+   * DELETE 핸들러 등록
+   * @param {string|RegExp} pattern - URL 패턴
+   * @returns {MockHandler}
+   */
+  onDelete(pattern) {
+    return this.on('DELETE', pattern);
+  }
+
+  /**
+   * 모든 메서드 핸들러 등록
+   * @param {string|RegExp} pattern - URL 패턴
+   * @returns {MockHandler}
+   */
+  onAny(pattern) {
+    return this.on('*', pattern);
+  }
+
+  /**
+   * 핸들러 등록
+   * 먼저 등록한 핸들러가 우선합니다.
+   * @param {string} method - HTTP 메서드 ('*'는 모든 메서드)
+   * @param {string|RegExp} pattern - URL 패턴
+   * @returns {MockHandler}
+   */
+  on(method, pattern) {
+    const handler = new MockHandler(this, method.toUpperCase(), pattern);
+    this.handlers.push(handler);
+    return handler;
+  }
+
+  /**
+   * 기록된 요청 조회
+   * @param {string} [method] - HTTP 메서드
+   * @param {string|RegExp} [pattern] - URL 패턴
+   * @returns {Object[]} 요청 기록 ({ method, url, path, params, query, headers, body })
+   *
+   * @example
+   * expect(mock.calls('POST', '/api/users')[0].body).toEqual({ name: 'John' });
+   */
+  calls(method, pattern) {
+    return this.history.filter((request) => {
+      if (method && method.toUpperCase() !== request.method) return false;
+      return !pattern || this._matchPattern(pattern, request.url) !== null;
+    });
+  }
+
+  /**
+   * 요청 기록 초기화
+   */
+  resetHistory() {
+    this.history = [];
+  }
+
+  /**
+   * 핸들러와 요청 기록 초기화
+   */
+  reset() {
+    this.handlers = [];
+    this.resetHistory();
+  }
+
+  /**
+   * 어댑터 요청 처리 (APIUtil이 fetch 대신 호출)
+   * @param {string} url - 요청 URL
+   * @param {Object} config - fetch 옵션
+   * @returns {Promise<Response>}
+   */
+  async request(url, config = {}) {
+    const method = (config.method || 'GET').toUpperCase();
+    const { path, query } = this._parseURL(url);
+    const request = {
+      method,
+      url,
+      path,
+      params: {},
+      query,
+      headers: { ...config.headers },
+      body: this._parseBody(config.body)
+    };
+    this.history.push(request);
+
+    let handler = null;
+    for (const candidate of this.handlers) {
+      if (candidate.method !== '*' && candidate.method !== method) continue;
+      if (candidate.once && candidate.used) continue;
+
+      const params = this._matchPattern(candidate.pattern, url);
+      if (params) {
+        request.params = params;
+        handler = candidate;
+        break;
+      }
+    }
+
+    if (!handler) {
+      if (this.passthrough) {
+        return fetch(url, config);
+      }
+      return this._createResponse(404, { message: `No mock handler for ${method} ${url}` });
+    }
+
+    handler.used = true;
+    await this._wait(handler.delayMs !== null ? handler.delayMs : this.delay, config.signal);
+
+    if (handler.error === 'network') {
+      throw new TypeError('Network request failed');
+    }
+
+    if (handler.error === 'timeout') {
+      // 호출자의 제한 시간(또는 취소)까지 응답하지 않음
+      await this._wait(Infinity, config.signal);
+    }
+
+    let [status, data, headers] = [handler.status, handler.data, handler.headers];
+    if (typeof handler.status === 'function') {
+      [status, data, headers] = await handler.status(request);
+    }
+
+    return this._createResponse(status, data, headers);
+  }
+
+  /**
+   * URL 패턴 매칭
+   * 문자열 패턴은 경로(쿼리 제외)와, '/'로 시작하지 않으면 전체 URL과 비교합니다.
+   * @private
+   * @param {string|RegExp} pattern - URL 패턴
+   * @param {string} url - 요청 URL
+   * @returns {Object|null} 경로 파라미터 (일치하지 않으면 null)
+   */
+  _matchPattern(pattern, url) {
+    if (pattern instanceof RegExp) {
+      const match = url.match(pattern);
+      return match ? { ...match.groups } : null;
+    }
+
+    const target = pattern.startsWith('/') ? this._parseURL(url).path : url.split('?')[0];
+    const keys = [];
+    const source = pattern.split('?')[0]
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+      });
+
+    const match = target.match(new RegExp(`^${source}/?$`));
+    if (!match) return null;
+
+    const params = {};
+    keys.forEach((key, index) => {
+      params[key] = decodeURIComponent(match[index + 1]);
+    });
+    return params;
+  }
+
+  /**
+   * URL을 경로와 쿼리로 분리
+   * @private
+   * @param {string} url - 요청 URL
+   * @returns {Object} { path, query }
+   */
+  _parseURL(url) {
+    const parsed = new URL(url, 'http://localhost');
+    const query = {};
+    parsed.searchParams.forEach((value, key) => {
+      query[key] = value;
+    });
+    return { path: parsed.pathname, query };
+  }
+
+  /**
+   * 요청 본문 해석 (JSON 문자열은 객체로)
+   * @private
+   * @param {*} body - 요청 본문
+   * @returns {*}
+   */
+  _parseBody(body) {
+    if (typeof body !== 'string') return body;
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+
+  /**
+   * 응답 객체 생성
+   * @private
+   * @param {number} status - 상태 코드
+   * @param {*} data - 응답 데이터
+   * @param {Object} [headers={}] - 응답 헤더
+   * @returns {Response}
+   */
+  _createResponse(status, data, headers = {}) {
+    const text = typeof data === 'string';
+    const responseHeaders = new Headers(headers);
+    if (!responseHeaders.has('content-type') && data !== null && data !== undefined) {
+      responseHeaders.set('content-type', text ? 'text/plain' : 'application/json');
+    }
+
+    const body = data === null || data === undefined || [204, 205, 304].includes(status)
+      ? null
+      : text ? data : JSON.stringify(data);
+
+    return new Response(body, { status, headers: responseHeaders });
+  }
+
+  /**
+   * 대기 (취소되면 AbortError)
+   * @private
+   * @param {number} ms - 대기 시간 (Infinity면 취소될 때까지)
+   * @param {AbortSignal} [signal] - 취소 시그널
+   * @returns {Promise<void>}
+   */
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      if (!ms) {
+        resolve();
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = ms === Infinity ? null : setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+/**
+ * 목 핸들러
+ * @class
+ * @description MockAdapter.on*()이 반환하는 응답 설정 객체입니다.
+ */
+class MockHandler {
+  /**
+   * MockHandler 생성자
+   * @constructor
+   * @param {MockAdapter} adapter - 소속 어댑터
+   * @param {string} method - HTTP 메서드
+   * @param {string|RegExp} pattern - URL 패턴
+   */
+  constructor(adapter, method, pattern) {
+    this.adapter = adapter;
+    this.method = method;
+    this.pattern = pattern;
+    this.status = 200;
+    this.data = null;
+    this.headers = {};
+    this.error = null;
+    this.delayMs = null;
+    this.once = false;
+    this.used = false;
+  }
+
+  /**
+   * 응답 지연 설정
+   * @param {number} ms - 지연 시간
+   * @returns {MockHandler}
+   */
+  delay(ms) {
+    this.delayMs = ms;
+    return this;
+  }
+
+  /**
+   * 응답 설정
+   * @param {number|Function} status - 상태 코드 또는 (request) => [status, data, headers]
+   * @param {*} [data] - 응답 데이터 (객체는 JSON, 문자열은 텍스트)
+   * @param {Object} [headers] - 응답 헤더
+   * @returns {MockAdapter}
+   */
+  reply(status, data = null, headers = {}) {
+    this.status = status;
+    this.data = data;
+    this.headers = headers;
+    return this.adapter;
+  }
+
+  /**
+   * 한 번만 사용할 응답 설정
+   * @param {number|Function} status - 상태 코드 또는 응답 함수
+   * @param {*} [data] - 응답 데이터
+   * @param {Object} [headers] - 응답 헤더
+   * @returns {MockAdapter}
+   */
+  replyOnce(status, data, headers) {
+    this.once = true;
+    return this.reply(status, data, headers);
+  }
+
+  /**
+   * 네트워크 오류 시뮬레이션
+   * @returns {MockAdapter}
+   */
+  networkError() {
+    this.error = 'network';
+    return this.adapter;
+  }
+
+  /**
+   * 시간 초과 시뮬레이션 (요청의 timeout 또는 취소까지 응답하지 않음)
+   * @returns {MockAdapter}
+   */
+  timeout() {
+    this.error = 'timeout';
+    return this.adapter;
+  }
+}
+
+export default MockAdapter;
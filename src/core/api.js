@@ -3,6 +3,10 @@
  * @module core/api
  */
 
+import { Config } from './config.js';
+import { Storage } from './storage.js';
+import { MockAdapter } from './api-mock.js';
+
 /**
  * API 유틸리티 클래스
  * @class
@@ -22,6 +26,61 @@ export class APIUtil {
   static _requestInterceptors = [];
   static _responseInterceptors = [];
 
+  // GET 응답 캐시 (메모리) 및 진행 중인 GET 요청
+  static _cacheEntries = new Map();
+  static _pendingRequests = new Map();
+
+  // 인증 설정 및 진행 중인 토큰 갱신
+  static _auth = null;
+  static _refreshPromise = null;
+
+  // refresh() 호출 중인지 여부 (이 사이에 시작한 요청은 갱신을 기다리지 않음)
+  static _refreshing = 0;
+
+  // 요청 전송 어댑터 (null이면 fetch)
+  static _adapter = null;
+
+  /**
+   * 목 어댑터 클래스
+   * @type {typeof MockAdapter}
+   */
+  static MockAdapter = MockAdapter;
+
+  /**
+   * Storage 캐시 키 접두사
+   * @type {string}
+   */
+  static CACHE_PREFIX = 'imcat-api:';
+
+  /**
+   * 메모리 캐시 최대 항목 수 (초과 시 오래된 항목부터 제거)
+   * @type {number}
+   */
+  static CACHE_LIMIT = 100;
+
+  /**
+   * 재시도 기본 옵션
+   * @type {Object}
+   * @property {number} retries - 재시도 횟수
+   * @property {number} delay - 첫 재시도 대기 시간 (ms)
+   * @property {number} factor - 대기 시간 증가 배수
+   * @property {number} maxDelay - 최대 대기 시간 (ms, Retry-After에도 적용)
+   * @property {boolean} jitter - 대기 시간 무작위 분산
+   * @property {number[]} statusCodes - 재시도할 상태 코드 (네트워크 오류는 항상 재시도)
+   * @property {string[]} methods - 재시도할 메서드 (멱등 메서드)
+   * @property {Function|null} onRetry - 재시도 직전 콜백 ({ attempt, delay, url, method, response })
+   */
+  static RETRY_DEFAULTS = {
+    retries: 0,
+    delay: 300,
+    factor: 2,
+    maxDelay: 10000,
+    jitter: true,
+    statusCodes: [408, 429, 500, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    onRetry: null
+  };
+
   /**
    * 인터셉터 객체
    */
@@ -119,6 +178,65 @@ export class APIUtil {
       APIUtil._responseInterceptors = [];
     }
   };
+
+  /**
+   * GET 응답 캐시
+   * 키는 baseURL이 결합된 요청 URL입니다.
+   */
+  static cache = {
+    /**
+     * 캐시 항목 삭제
+     * @param {string} url - 요청 URL (또는 cache.key로 지정한 키)
+     *
+     * @example
+     * APIUtil.cache.invalidate('/api/me');
+     */
+    invalidate(url) {
+      const key = APIUtil._cacheKey(url);
+      APIUtil._cacheEntries.delete(key);
+      ['local', 'session'].forEach(storage => {
+        Storage.remove(APIUtil.CACHE_PREFIX + key, storage);
+      });
+    },
+
+    /**
+     * 접두사로 시작하는 캐시 항목 모두 삭제
+     * @param {string} prefix - URL 접두사
+     *
+     * @example
+     * // /api/users, /api/users/1, /api/users?page=2 ...
+     * APIUtil.cache.invalidatePrefix('/api/users');
+     */
+    invalidatePrefix(prefix) {
+      const key = APIUtil._cacheKey(prefix);
+      [...APIUtil._cacheEntries.keys()].forEach(entryKey => {
+        if (entryKey.startsWith(key)) {
+          APIUtil._cacheEntries.delete(entryKey);
+        }
+      });
+      ['local', 'session'].forEach(storage => {
+        Storage.keys(storage).forEach(storageKey => {
+          if (storageKey.startsWith(APIUtil.CACHE_PREFIX + key)) {
+            Storage.remove(storageKey, storage);
+          }
+        });
+      });
+    },
+
+    /**
+     * 전체 캐시 삭제
+     */
+    clear() {
+      APIUtil._cacheEntries.clear();
+      ['local', 'session'].forEach(storage => {
+        Storage.keys(storage).forEach(storageKey => {
+          if (storageKey.startsWith(APIUtil.CACHE_PREFIX)) {
+            Storage.remove(storageKey, storage);
+          }
+        });
+      });
+    }
+  };
   /**
    * 성공 응답 생성
    * @param {*} data - 응답 데이터
@@ -200,8 +318,19 @@ export class APIUtil {
 
   /**
    * HTTP 요청 (기본)
-   * @param {string} url - 요청 URL
+   * Config의 api 설정(baseURL, timeout, headers)을 기본값으로 사용합니다.
+   * 시간 초과 시 statusCode 408(error.type: 'timeout'), 취소 시 statusCode 0(error.type: 'aborted'),
+   * 네트워크 오류 시 statusCode 0(error.type: 'network') 응답을 반환합니다.
+   * @param {string} url - 요청 URL (상대 경로면 baseURL과 결합)
    * @param {Object} [options={}] - fetch 옵션
+   * @param {string} [options.baseURL] - 기본 URL (Config api.baseURL 대신 사용)
+   * @param {number} [options.timeout] - 제한 시간 (ms, 0이면 제한 없음, 기본값: Config api.timeout)
+   * @param {AbortSignal} [options.signal] - 요청 취소 시그널
+   * @param {number|Object} [options.retry] - 재시도 횟수 또는 옵션 (기본값: Config api.retry, RETRY_DEFAULTS 참고)
+   * @param {string} [options.responseType] - 'json' | 'text' | 'blob' | 'arrayBuffer' | 'stream' (기본값: Content-Type에 따라 자동)
+   * @param {Function} [options.onUploadProgress] - 업로드 진행률 콜백 ({ loaded, total, percent })
+   * @param {Function} [options.onDownloadProgress] - 다운로드 진행률 콜백 ({ loaded, total, percent })
+   * @param {boolean} [options.skipAuth=false] - auth() 토큰 추가 및 갱신 제외
    * @returns {Promise<Object>} API 응답
    *
    * @example
@@ -209,16 +338,291 @@ export class APIUtil {
    *   method: 'POST',
    *   body: JSON.stringify({ name: 'John' })
    * });
+   *
+   * @example
+   * // 취소
+   * const controller = new AbortController();
+   * APIUtil.get('/api/search', { signal: controller.signal, timeout: 5000 });
+   * controller.abort();
+   *
+   * @example
+   * // 재시도 (기본적으로 멱등 메서드만 재시도)
+   * await APIUtil.get('/api/feed', {
+   *   retry: { retries: 3, onRetry: ({ attempt, delay }) => console.log(attempt, delay) }
+   * });
+   *
+   * @example
+   * // 파일 다운로드
+   * const { data: blob } = await APIUtil.get('/api/export', {
+   *   responseType: 'blob',
+   *   onDownloadProgress: ({ percent }) => console.log(percent)
+   * });
    */
   static async request(url, options = {}) {
+    // 갱신 함수 안에서 시작한 요청은 자기 자신의 갱신을 기다리지 않도록 표시
+    if (this._refreshing > 0 && !options._refreshRequest) {
+      options = { ...options, _refreshRequest: true };
+    }
+
+    const retry = this._getRetryOptions(options.retry);
+    const method = (options.method || 'GET').toUpperCase();
+    let attempt = 0;
+    let outcome = await this._send(url, options);
+
+    // 일시적인 실패는 백오프 후 재시도
+    while (attempt < retry.retries && this._isRetryable(outcome.result, method, retry)) {
+      attempt++;
+      const delay = this._getRetryDelay(attempt, outcome.response, retry);
+
+      if (typeof retry.onRetry === 'function') {
+        await retry.onRetry({ attempt, delay, url, method, response: outcome.result });
+      }
+
+      // 대기 중 취소되면 재시도 중단
+      if (!(await this._wait(delay, options.signal))) {
+        outcome = { result: this._abortedError(), thrown: true };
+        break;
+      }
+
+      outcome = await this._send(url, options);
+    }
+
+    // 인증 실패 시 토큰을 갱신하고 한 번 다시 요청
+    // (요청 후 이미 다른 요청이 토큰을 갱신했으면 새 토큰으로 바로 다시 요청,
+    //  기다린 갱신이 실패했으면 다시 갱신하지 않음)
+    if (!outcome.refreshFailed && this._needsRefresh(outcome.result, options)) {
+      const auth = this._auth;
+      let current = null;
+      try {
+        current = await auth.getToken();
+      } catch (error) {
+        console.error('APIUtil: getToken failed:', error);
+      }
+
+      const token = outcome.token && current && current !== outcome.token ? current : await this._refreshToken();
+      if (token) {
+        outcome = await this._send(url, {
+          ...options,
+          headers: { ...options.headers, [auth.header]: `${auth.scheme} ${token}` }
+        });
+      }
+    }
+
+    return this._runResponseInterceptors(outcome.result, outcome.thrown);
+  }
+
+  /**
+   * 인증 헬퍼 설정
+   * 요청에 토큰을 자동으로 추가하고, 인증 실패(401) 시 토큰을 한 번만 갱신한 뒤
+   * 실패했던 요청과 갱신 중 대기한 요청을 새 토큰으로 다시 보냅니다.
+   * 갱신에 실패하면 onLogout을 호출하고 원래 401 응답을 반환합니다.
+   * @param {Object} options - 인증 옵션
+   * @param {Function} options.getToken - 현재 액세스 토큰 반환 (동기/비동기)
+   * @param {Function} options.refresh - 토큰 갱신 (client) => {} (새 토큰 또는 true 반환, 실패 시 false 반환 또는 예외)
+   *   client는 갱신을 기다리지 않는 request/get/post/put/patch/delete를 가진 객체입니다.
+   * @param {Function} [options.onLogout] - 갱신 실패 시 호출 (error) => {}
+   * @param {string} [options.header='Authorization'] - 토큰 헤더 이름
+   * @param {string} [options.scheme='Bearer'] - 토큰 앞에 붙는 인증 방식
+   * @param {number[]} [options.statusCodes=[401]] - 토큰 갱신을 시작할 상태 코드
+   * @param {number} [options.refreshTimeout=30000] - 갱신 제한 시간 (ms, 초과하면 실패로 처리, 0이면 제한 없음)
+   * @returns {Function} 인증 헬퍼 해제 함수
+   *
+   * @example
+   * APIUtil.auth({
+   *   getToken: () => Storage.get('accessToken'),
+   *   refresh: async (client) => {
+   *     // 갱신 요청은 client로 보냄 (진행 중인 갱신을 기다리지 않음)
+   *     const res = await client.post('/auth/refresh', null, { skipAuth: true });
+   *     if (!res.success) return false;
+   *     Storage.set('accessToken', res.data.accessToken);
+   *     return res.data.accessToken;
+   *   },
+   *   onLogout: () => IMCAT.view.navigate('/login')
+   * });
+   */
+  static auth(options) {
+    if (!options || typeof options.getToken !== 'function' || typeof options.refresh !== 'function') {
+      throw new Error('APIUtil.auth: getToken and refresh must be functions');
+    }
+
+    const auth = {
+      header: 'Authorization',
+      scheme: 'Bearer',
+      statusCodes: [401],
+      refreshTimeout: 30000,
+      onLogout: null,
+      ...options
+    };
+    this._auth = auth;
+
+    return () => {
+      if (this._auth === auth) {
+        this._auth = null;
+      }
+    };
+  }
+
+  /**
+   * 요청 전송 어댑터 설정
+   * 어댑터는 fetch와 같은 (url, config) => Promise<Response> 함수이거나 request(url, config) 메서드를 가진 객체입니다.
+   * @param {Function|Object|null} adapter - 어댑터 (null이면 fetch 사용)
+   *
+   * @example
+   * APIUtil.setAdapter(async (url, config) => new Response(JSON.stringify({ ok: true })));
+   * APIUtil.setAdapter(null); // fetch로 복원
+   */
+  static setAdapter(adapter) {
+    if (adapter && typeof adapter !== 'function' && typeof adapter.request !== 'function') {
+      throw new Error('APIUtil.setAdapter: adapter must be a function or have a request() method');
+    }
+
+    this._adapter = adapter || null;
+  }
+
+  /**
+   * 목 어댑터 생성 및 설정
+   * @param {Object} [options] - MockAdapter 옵션 ({ delay, passthrough })
+   * @returns {MockAdapter} 목 어댑터 (해제는 setAdapter(null))
+   *
+   * @example
+   * const mock = APIUtil.mock({ delay: 200 });
+   * mock.onGet('/api/me').reply(200, { name: 'John' });
+   */
+  static mock(options) {
+    const mock = new MockAdapter(options);
+    this.setAdapter(mock);
+    return mock;
+  }
+
+  /**
+   * 토큰 갱신이 필요한 응답인지 여부
+   * @private
+   * @param {Object} result - 표준 응답
+   * @param {Object} options - 요청 옵션
+   * @returns {boolean}
+   */
+  static _needsRefresh(result, options) {
+    return !!this._auth &&
+      !options.skipAuth &&
+      !options._refreshRequest &&
+      !result.success &&
+      this._auth.statusCodes.includes(result.statusCode);
+  }
+
+  /**
+   * 토큰 갱신 (동시에 여러 요청이 실패해도 한 번만 갱신)
+   * @private
+   * @returns {Promise<string|null>} 새 토큰 (실패 시 null)
+   */
+  static _refreshToken() {
+    if (this._refreshPromise) {
+      return this._refreshPromise;
+    }
+
+    const auth = this._auth;
+    let timer = null;
+    this._refreshPromise = (async () => {
+      try {
+        let pending;
+        this._refreshing++;
+        try {
+          pending = auth.refresh(this._refreshClient());
+        } finally {
+          this._refreshing--;
+        }
+
+        // 갱신이 끝나지 않아도 대기 중인 요청이 풀리도록 제한 시간 적용
+        if (auth.refreshTimeout > 0) {
+          pending = Promise.race([
+            pending,
+            new Promise((resolve, reject) => {
+              timer = setTimeout(() => reject(new Error('Token refresh timed out')), auth.refreshTimeout);
+            })
+          ]);
+        }
+
+        const result = await pending;
+        if (!result) {
+          throw new Error('Token refresh failed');
+        }
+        return typeof result === 'string' ? result : await auth.getToken();
+      } catch (error) {
+        if (typeof auth.onLogout === 'function') {
+          await auth.onLogout(error);
+        }
+        return null;
+      } finally {
+        clearTimeout(timer);
+      }
+    })().finally(() => {
+      this._refreshPromise = null;
+    });
+
+    return this._refreshPromise;
+  }
+
+  /**
+   * refresh()에 전달할 요청 함수 (진행 중인 갱신을 기다리지 않고 다시 갱신하지도 않음)
+   * @private
+   * @returns {Object} { request, get, post, put, patch, delete }
+   */
+  static _refreshClient() {
+    const mark = options => ({ ...options, _refreshRequest: true });
+
+    return {
+      request: (url, options) => this.request(url, mark(options)),
+      get: (url, options) => this.get(url, mark(options)),
+      post: (url, body, options) => this.post(url, body, mark(options)),
+      put: (url, body, options) => this.put(url, body, mark(options)),
+      patch: (url, body, options) => this.patch(url, body, mark(options)),
+      delete: (url, options) => this.delete(url, mark(options))
+    };
+  }
+
+  /**
+   * 요청 1회 전송 (요청 인터셉터 → fetch → 응답 파싱)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @returns {Promise<Object>} { result, response, thrown, token, refreshFailed }
+   */
+  static async _send(url, options) {
+    const defaults = Config.get('api') || {};
+    const controller = new AbortController();
+    let timer = null;
+    let timedOut = false;
+    let timeout = 0;
+    let signal = null;
+    const onAbort = () => controller.abort();
+    let authToken = null;
+    let refreshFailed = false;
+
     try {
-      // 기본 헤더 설정
+      // 기본 헤더 설정 (Config api.headers → 요청 헤더 순으로 병합)
       const headers = {
         'Content-Type': 'application/json',
+        ...defaults.headers,
         ...options.headers
       };
 
+      // 인증 토큰 추가 (갱신 중이면 끝날 때까지 대기)
+      const auth = this._auth;
+      if (auth && !options.skipAuth) {
+        if (this._refreshPromise && !options._refreshRequest) {
+          refreshFailed = !(await this._refreshPromise);
+        }
+
+        const hasHeader = Object.keys(options.headers || {})
+          .some(name => name.toLowerCase() === auth.header.toLowerCase());
+        authToken = hasHeader ? null : await auth.getToken();
+        if (authToken) {
+          headers[auth.header] = `${auth.scheme} ${authToken}`;
+        }
+      }
+
       let config = {
+        baseURL: defaults.baseURL || '',
+        timeout: defaults.timeout !== undefined ? defaults.timeout : 30000,
         ...options,
         headers,
         url // URL도 config에 포함
@@ -240,23 +644,78 @@ export class APIUtil {
       }
 
       // URL 추출 (인터셉터에서 변경되었을 수 있음)
-      const finalUrl = config.url || url;
-      delete config.url; // fetch에 전달하지 않음
+      const finalUrl = this._buildURL(config.baseURL, config.url || url);
+      const { responseType, onUploadProgress, onDownloadProgress } = config;
+      timeout = config.timeout;
+      signal = config.signal;
+
+      // fetch에 전달하지 않음
+      delete config.url;
+      delete config.baseURL;
+      delete config.timeout;
+      delete config.retry;
+      delete config.skipAuth;
+      delete config._refreshRequest;
+      delete config.responseType;
+      delete config.onUploadProgress;
+      delete config.onDownloadProgress;
+
+      // FormData/Blob/URLSearchParams는 브라우저가 Content-Type(boundary 포함)을 설정
+      const explicitType = Object.keys(options.headers || {}).some(name => name.toLowerCase() === 'content-type');
+      if (this._isRawBody(config.body) && !explicitType) {
+        delete config.headers['Content-Type'];
+      }
 
-      const response = await fetch(finalUrl, config);
+      // 호출자 시그널과 제한 시간을 하나의 시그널로 연결
+      if (signal) {
+        if (signal.aborted) {
+          controller.abort();
+        } else {
+          signal.addEventListener('abort', onAbort);
+        }
+      }
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout);
+      }
+
+      config.signal = controller.signal;
+
+      // 업로드 진행률은 fetch로 알 수 없으므로 XMLHttpRequest 사용 (어댑터가 없을 때)
+      const adapter = this._adapter;
+      let response;
+      if (typeof onUploadProgress === 'function' && !adapter) {
+        response = await this._xhr(finalUrl, config, onUploadProgress, onDownloadProgress);
+      } else {
+        if (!adapter) {
+          response = await fetch(finalUrl, config);
+        } else if (typeof adapter === 'function') {
+          response = await adapter(finalUrl, config);
+        } else {
+          response = await adapter.request(finalUrl, config);
+        }
+
+        if (typeof onDownloadProgress === 'function' && response.body && responseType !== 'stream') {
+          response = await this._trackDownload(response, onDownloadProgress);
+        }
+      }
 
-      // JSON 파싱 (실패 시 텍스트로 처리)
       let data;
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
+      if (response.ok && responseType && responseType !== 'json') {
+        // 지정한 형식으로 읽기 (text, blob, arrayBuffer, stream)
+        data = await this._readBody(response, responseType);
+      } else if (responseType === 'json') {
         try {
           data = await response.json();
         } catch (parseError) {
           data = { message: 'Invalid JSON response' };
         }
       } else {
-        const text = await response.text();
-        data = { message: text || 'Non-JSON response' };
+        // JSON 파싱 (실패 시 텍스트로 처리)
+        data = await this._parseBody(response);
       }
 
       let result;
@@ -268,7 +727,7 @@ export class APIUtil {
         );
       } else {
         // 서버가 표준 형식을 반환하면 그대로 사용
-        if (data.success !== undefined) {
+        if ((!responseType || responseType === 'json') && data.success !== undefined) {
           result = data;
         } else {
           // 아니면 표준 형식으로 래핑
@@ -276,47 +735,418 @@ export class APIUtil {
         }
       }
 
-      // 응답 인터셉터 실행
-      for (const interceptor of this._responseInterceptors) {
-        if (interceptor) {
-          if (result.success && interceptor.onFulfilled) {
-            result = await interceptor.onFulfilled(result);
-          } else if (!result.success && interceptor.onRejected) {
-            result = await interceptor.onRejected(result);
+      return { result, response, thrown: false, token: authToken, refreshFailed };
+
+    } catch (error) {
+      let result;
+      if (timedOut) {
+        // 시간 초과
+        const message = `Request timeout of ${timeout}ms exceeded`;
+        result = this.error(message, 408, { message, name: 'TimeoutError', type: 'timeout' });
+      } else if (controller.signal.aborted) {
+        // 호출자에 의한 취소
+        result = this._abortedError();
+      } else {
+        // 네트워크 오류
+        result = this._networkError(error);
+      }
+
+      return { result, response: null, thrown: true, token: authToken, refreshFailed };
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * 응답 인터셉터 실행
+   * @private
+   * @param {Object} result - 표준 응답
+   * @param {boolean} thrown - 요청 중 예외 발생 여부
+   * @returns {Promise<Object>} 최종 응답
+   */
+  static async _runResponseInterceptors(result, thrown) {
+    if (!thrown) {
+      try {
+        for (const interceptor of this._responseInterceptors) {
+          if (interceptor) {
+            if (result.success && interceptor.onFulfilled) {
+              result = await interceptor.onFulfilled(result);
+            } else if (!result.success && interceptor.onRejected) {
+              result = await interceptor.onRejected(result);
+            }
           }
         }
+
+        return result;
+      } catch (error) {
+        result = this._networkError(error);
       }
+    }
 
-      return result;
+    // 에러에 대한 응답 인터셉터 실행
+    for (const interceptor of this._responseInterceptors) {
+      if (interceptor && interceptor.onRejected) {
+        try {
+          result = await interceptor.onRejected(result);
+        } catch (e) {
+          // 인터셉터에서 에러가 발생하면 원래 에러 반환
+          break;
+        }
+      }
+    }
 
-    } catch (error) {
-      // 네트워크 오류
-      let result = this.error(
-        error.message || 'Network error',
-        0, // 0 = 네트워크 오류
-        error
-      );
-
-      // 에러에 대한 응답 인터셉터 실행
-      for (const interceptor of this._responseInterceptors) {
-        if (interceptor && interceptor.onRejected) {
-          try {
-            result = await interceptor.onRejected(result);
-          } catch (e) {
-            // 인터셉터에서 에러가 발생하면 원래 에러 반환
-            break;
+    return result;
+  }
+
+  /**
+   * 네트워크 오류 응답 생성
+   * @private
+   * @param {Error} error - 발생한 에러
+   * @returns {Object} 표준 에러 객체
+   */
+  static _networkError(error) {
+    return this.error(
+      error.message || 'Network error',
+      0, // 0 = 네트워크 오류
+      { message: error.message, name: error.name, type: 'network' }
+    );
+  }
+
+  /**
+   * 취소 응답 생성
+   * @private
+   * @returns {Object} 표준 에러 객체
+   */
+  static _abortedError() {
+    return this.error('Request aborted', 0, { message: 'Request aborted', name: 'AbortError', type: 'aborted' });
+  }
+
+  /**
+   * 재시도 옵션 정규화 (요청 옵션 → Config api.retry → 기본값)
+   * @private
+   * @param {number|boolean|Object} [option] - 재시도 횟수 또는 옵션 객체
+   * @returns {Object} 재시도 옵션
+   */
+  static _getRetryOptions(option) {
+    if (option === undefined) {
+      option = Config.get('api.retry');
+    }
+
+    if (typeof option === 'number') {
+      option = { retries: option };
+    } else if (!option || typeof option !== 'object') {
+      option = { retries: 0 };
+    }
+
+    return { ...this.RETRY_DEFAULTS, ...option };
+  }
+
+  /**
+   * 재시도 가능 여부
+   * 취소는 재시도하지 않고, 네트워크 오류와 지정된 상태 코드만 재시도합니다.
+   * @private
+   * @param {Object} result - 표준 응답
+   * @param {string} method - HTTP 메서드
+   * @param {Object} retry - 재시도 옵션
+   * @returns {boolean}
+   */
+  static _isRetryable(result, method, retry) {
+    if (result.success || !retry.methods.map(m => m.toUpperCase()).includes(method)) {
+      return false;
+    }
+
+    const type = result.error && result.error.type;
+    if (type === 'aborted') {
+      return false;
+    }
+
+    return type === 'network' || retry.statusCodes.includes(result.statusCode);
+  }
+
+  /**
+   * 재시도 대기 시간 계산
+   * Retry-After 헤더가 있으면 우선 사용하고, 없으면 지수 백오프에 지터를 적용합니다.
+   * @private
+   * @param {number} attempt - 재시도 횟수 (1부터)
+   * @param {Response|null} response - fetch 응답
+   * @param {Object} retry - 재시도 옵션
+   * @returns {number} 대기 시간 (ms)
+   */
+  static _getRetryDelay(attempt, response, retry) {
+    const retryAfter = response && response.headers && response.headers.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), retry.maxDelay);
+      }
+    }
+
+    const delay = Math.min(retry.delay * Math.pow(retry.factor, attempt - 1), retry.maxDelay);
+
+    // 동시에 실패한 요청이 한꺼번에 재시도하지 않도록 분산 (50% ~ 100%)
+    return retry.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+  }
+
+  /**
+   * 대기 (취소 가능)
+   * @private
+   * @param {number} ms - 대기 시간
+   * @param {AbortSignal} [signal] - 취소 시그널
+   * @returns {Promise<boolean>} 대기를 마쳤으면 true, 취소되면 false
+   */
+  static _wait(ms, signal) {
+    return new Promise((resolve) => {
+      if (signal && signal.aborted) {
+        resolve(false);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve(false);
+      };
+
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(true);
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  /**
+   * 응답 본문 자동 파싱 (JSON, 실패 시 텍스트를 message로)
+   * @private
+   * @param {Response} response - fetch 응답
+   * @returns {Promise<Object>}
+   */
+  static async _parseBody(response) {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      try {
+        return await response.json();
+      } catch (parseError) {
+        return { message: 'Invalid JSON response' };
+      }
+    }
+
+    const text = await response.text();
+    return { message: text || 'Non-JSON response' };
+  }
+
+  /**
+   * 응답 본문을 지정한 형식으로 읽기
+   * @private
+   * @param {Response} response - fetch 응답
+   * @param {string} responseType - 'text' | 'blob' | 'arrayBuffer' | 'stream'
+   * @returns {Promise<*>}
+   */
+  static async _readBody(response, responseType) {
+    switch (responseType) {
+      case 'text':
+        return response.text();
+      case 'blob':
+        return response.blob();
+      case 'arrayBuffer':
+        return response.arrayBuffer();
+      case 'stream':
+        return response.body;
+      default:
+        throw new Error(`Unknown responseType: "${responseType}"`);
+    }
+  }
+
+  /**
+   * 직렬화하지 않고 그대로 전송할 본문인지 여부
+   * @private
+   * @param {*} body - 요청 본문
+   * @returns {boolean}
+   */
+  static _isRawBody(body) {
+    return (typeof FormData !== 'undefined' && body instanceof FormData) ||
+      (typeof Blob !== 'undefined' && body instanceof Blob) ||
+      (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) ||
+      body instanceof ArrayBuffer ||
+      ArrayBuffer.isView(body);
+  }
+
+  /**
+   * 요청 본문 직렬화 (FormData, Blob 등은 그대로, 나머지는 JSON)
+   * @private
+   * @param {*} body - 요청 본문
+   * @returns {*}
+   */
+  static _serializeBody(body) {
+    return this._isRawBody(body) ? body : JSON.stringify(body);
+  }
+
+  /**
+   * 진행률 정보 생성
+   * @private
+   * @param {number} loaded - 전송된 바이트
+   * @param {number} total - 전체 바이트 (모르면 0)
+   * @returns {Object} { loaded, total, percent }
+   */
+  static _progress(loaded, total) {
+    return {
+      loaded,
+      total,
+      percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null
+    };
+  }
+
+  /**
+   * 다운로드 진행률을 보고하며 응답 본문 읽기
+   * @private
+   * @param {Response} response - fetch 응답
+   * @param {Function} onProgress - 진행률 콜백
+   * @returns {Promise<Response>} 읽은 본문으로 만든 새 응답
+   */
+  static async _trackDownload(response, onProgress) {
+    const total = Number(response.headers.get('content-length')) || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      loaded += value.length;
+      onProgress(this._progress(loaded, total));
+    }
+
+    const body = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      body.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    return new Response(this._allowsBody(response.status) ? body : null, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  /**
+   * XMLHttpRequest로 요청 (업로드 진행률용)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {Object} config - fetch 옵션
+   * @param {Function} onUploadProgress - 업로드 진행률 콜백
+   * @param {Function} [onDownloadProgress] - 다운로드 진행률 콜백
+   * @returns {Promise<Response>}
+   */
+  static _xhr(url, config, onUploadProgress, onDownloadProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      const signal = config.signal;
+
+      xhr.open(config.method || 'GET', url);
+      xhr.responseType = 'arraybuffer';
+      xhr.withCredentials = config.credentials === 'include';
+      Object.entries(config.headers || {}).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      xhr.upload.onprogress = (e) => {
+        onUploadProgress(this._progress(e.loaded, e.lengthComputable ? e.total : 0));
+      };
+
+      if (typeof onDownloadProgress === 'function') {
+        xhr.onprogress = (e) => {
+          onDownloadProgress(this._progress(e.loaded, e.lengthComputable ? e.total : 0));
+        };
+      }
+
+      const onAbort = () => xhr.abort();
+      const done = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      xhr.onload = () => {
+        done();
+        const headers = new Headers();
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach((line) => {
+          const index = line.indexOf(':');
+          if (index > 0) {
+            headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
           }
+        });
+
+        resolve(new Response(this._allowsBody(xhr.status) ? xhr.response : null, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers
+        }));
+      };
+      xhr.onerror = () => {
+        done();
+        reject(new TypeError('Network request failed'));
+      };
+      xhr.onabort = () => {
+        done();
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new DOMException('The operation was aborted.', 'AbortError'));
+          return;
         }
+        signal.addEventListener('abort', onAbort);
       }
 
-      return result;
+      xhr.send(config.body !== undefined ? config.body : null);
+    });
+  }
+
+  /**
+   * 본문을 가질 수 있는 상태 코드인지 여부
+   * @private
+   * @param {number} status - HTTP 상태 코드
+   * @returns {boolean}
+   */
+  static _allowsBody(status) {
+    return ![101, 204, 205, 304].includes(status);
+  }
+
+  /**
+   * 기본 URL과 요청 URL 결합
+   * 절대 URL(https://, //)은 그대로 사용합니다.
+   * @private
+   * @param {string} baseURL - 기본 URL
+   * @param {string} url - 요청 URL
+   * @returns {string}
+   */
+  static _buildURL(baseURL, url) {
+    if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+      return url;
     }
+
+    return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
   }
 
   /**
    * GET 요청
+   * 같은 URL, 헤더, responseType, timeout으로 동시에 보낸 GET 요청은 하나의 요청을 공유하며 나중에 합류한 호출자는 응답 복사본을 받습니다
+   * (signal, onDownloadProgress, responseType: 'stream'을 지정하거나 dedupe: false면 제외).
    * @param {string} url - 요청 URL
    * @param {Object} [options={}] - fetch 옵션
+   * @param {boolean} [options.dedupe=true] - 진행 중인 동일 요청 공유 여부
+   * @param {boolean|number|Object} [options.cache] - 응답 캐시 (true, TTL(ms) 또는 옵션 객체)
+   * @param {number} [options.cache.ttl=60000] - 신선한 응답으로 사용할 시간 (ms)
+   * @param {number} [options.cache.staleWhileRevalidate=0] - TTL 이후 오래된 응답을 반환하며 백그라운드에서 갱신할 시간 (ms)
+   * @param {string} [options.cache.storage='memory'] - 'memory', 'local' 또는 'session'
+   * @param {string} [options.cache.key] - 캐시 키 (기본값: 요청 URL)
    * @returns {Promise<Object>} API 응답
    *
    * @example
@@ -324,18 +1154,181 @@ export class APIUtil {
    * if (response.success) {
    *   console.log(response.data);
    * }
+   *
+   * @example
+   * // 5분간 캐시, 이후 1분간은 캐시를 반환하며 백그라운드 갱신
+   * const me = await APIUtil.get('/api/me', {
+   *   cache: { ttl: 5 * 60 * 1000, staleWhileRevalidate: 60 * 1000 }
+   * });
    */
   static async get(url, options = {}) {
-    return this.request(url, {
-      ...options,
-      method: 'GET'
+    const config = { ...options, method: 'GET' };
+    delete config.cache;
+    delete config.dedupe;
+
+    const cache = this._getCacheOptions(options.cache);
+    const key = cache && cache.key ? cache.key : this._cacheKey(url, options.baseURL);
+
+    const load = () => this.request(url, config).then((result) => {
+      if (cache && result.success) {
+        this._writeCache(key, result, cache);
+      }
+      return result;
+    });
+
+    // 취소 가능한 요청, 스트림/진행률 요청과 토큰 갱신 요청은 다른 호출자와 공유하지 않음
+    const shared = options.dedupe !== false &&
+      !options.signal &&
+      !options.onDownloadProgress &&
+      options.responseType !== 'stream' &&
+      !options._refreshRequest;
+    // 응답에 영향을 주는 옵션이 모두 같을 때만 공유
+    const pendingKey = JSON.stringify([
+      this._cacheKey(url, options.baseURL),
+      options.responseType || '',
+      options.timeout,
+      options.headers || {}
+    ]);
+    const send = () => (shared ? this._dedupe(pendingKey, load) : load());
+
+    if (cache) {
+      const entry = this._readCache(key, cache);
+      if (entry) {
+        const age = Date.now() - entry.time;
+        if (age < cache.ttl) {
+          return entry.result;
+        }
+
+        // 오래된 응답을 바로 반환하고 백그라운드에서 갱신
+        if (age < cache.ttl + cache.staleWhileRevalidate) {
+          this._dedupe(pendingKey, load).catch(() => {});
+          return entry.result;
+        }
+
+        this._cacheEntries.delete(key);
+      }
+    }
+
+    return send();
+  }
+
+  /**
+   * 진행 중인 동일 요청 공유
+   * @private
+   * @param {string} key - 요청 키
+   * @param {Function} load - 요청 함수
+   * @returns {Promise<Object>} API 응답
+   */
+  static _dedupe(key, load) {
+    // 나중에 합류한 호출자는 복사본을 받음 (서로의 응답 수정이 영향을 주지 않도록)
+    if (this._pendingRequests.has(key)) {
+      return this._pendingRequests.get(key).then(result => this._cloneResult(result));
+    }
+
+    const request = load().finally(() => {
+      this._pendingRequests.delete(key);
     });
+    this._pendingRequests.set(key, request);
+
+    return request;
+  }
+
+  /**
+   * 캐시 옵션 정규화
+   * @private
+   * @param {boolean|number|Object} [option] - 캐시 옵션
+   * @returns {Object|null} { ttl, staleWhileRevalidate, storage, key } 또는 null
+   */
+  static _getCacheOptions(option) {
+    if (!option) {
+      return null;
+    }
+
+    const cache = typeof option === 'number' ? { ttl: option } : typeof option === 'object' ? option : {};
+
+    return {
+      ttl: 60000,
+      staleWhileRevalidate: 0,
+      storage: 'memory',
+      ...cache
+    };
+  }
+
+  /**
+   * 캐시 키 생성 (baseURL이 결합된 URL)
+   * @private
+   * @param {string} url - 요청 URL
+   * @param {string} [baseURL] - 기본 URL (기본값: Config api.baseURL)
+   * @returns {string}
+   */
+  static _cacheKey(url, baseURL) {
+    return this._buildURL(baseURL !== undefined ? baseURL : Config.get('api.baseURL', ''), url);
+  }
+
+  /**
+   * 캐시 항목 읽기
+   * @private
+   * @param {string} key - 캐시 키
+   * @param {Object} cache - 캐시 옵션
+   * @returns {Object|null} { result, time }
+   */
+  static _readCache(key, cache) {
+    if (cache.storage === 'memory') {
+      // 호출자가 응답을 수정해도 캐시에 영향이 없도록 복사본 반환
+      const entry = this._cacheEntries.get(key);
+      return entry ? { ...entry, result: this._cloneResult(entry.result) } : null;
+    }
+
+    return Storage.get(this.CACHE_PREFIX + key, null, cache.storage);
+  }
+
+  /**
+   * 캐시 항목 저장
+   * @private
+   * @param {string} key - 캐시 키
+   * @param {Object} result - 성공 응답
+   * @param {Object} cache - 캐시 옵션
+   */
+  static _writeCache(key, result, cache) {
+    if (cache.storage === 'memory') {
+      this._cacheEntries.delete(key);
+      this._cacheEntries.set(key, { result: this._cloneResult(result), time: Date.now() });
+
+      // 가장 오래 전에 저장한 항목부터 제거
+      while (this._cacheEntries.size > this.CACHE_LIMIT) {
+        this._cacheEntries.delete(this._cacheEntries.keys().next().value);
+      }
+      return;
+    }
+
+    const entry = { result, time: Date.now() };
+
+    Storage.set(this.CACHE_PREFIX + key, entry, {
+      storage: cache.storage,
+      expires: Math.ceil((cache.ttl + cache.staleWhileRevalidate) / 1000)
+    });
+  }
+
+  /**
+   * 캐시 응답 복사 (복사할 수 없는 값이 있으면 원본)
+   * @private
+   * @param {Object} result - 응답
+   * @returns {Object}
+   */
+  static _cloneResult(result) {
+    if (typeof structuredClone !== 'function') return result;
+
+    try {
+      return structuredClone(result);
+    } catch (error) {
+      return result;
+    }
   }
 
   /**
    * POST 요청
    * @param {string} url - 요청 URL
-   * @param {Object} body - 요청 바디
+   * @param {Object|FormData|Blob|URLSearchParams} body - 요청 바디 (객체는 JSON으로 직렬화)
    * @param {Object} [options={}] - fetch 옵션
    * @returns {Promise<Object>} API 응답
    *
@@ -344,19 +1337,27 @@ export class APIUtil {
    *   name: 'John',
    *   email: 'john@example.com'
    * });
+   *
+   * @example
+   * // 파일 업로드 (Content-Type은 브라우저가 설정)
+   * const form = new FormData();
+   * form.append('file', file);
+   * await APIUtil.post('/api/files', form, {
+   *   onUploadProgress: ({ percent }) => console.log(`${percent}%`)
+   * });
    */
   static async post(url, body, options = {}) {
     return this.request(url, {
       ...options,
       method: 'POST',
-      body: JSON.stringify(body)
+      body: this._serializeBody(body)
     });
   }
 
   /**
    * PUT 요청
    * @param {string} url - 요청 URL
-   * @param {Object} body - 요청 바디
+   * @param {Object|FormData|Blob|URLSearchParams} body - 요청 바디 (객체는 JSON으로 직렬화)
    * @param {Object} [options={}] - fetch 옵션
    * @returns {Promise<Object>} API 응답
    *
@@ -369,14 +1370,14 @@ export class APIUtil {
     return this.request(url, {
       ...options,
       method: 'PUT',
-      body: JSON.stringify(body)
+      body: this._serializeBody(body)
     });
   }
 
   /**
    * PATCH 요청
    * @param {string} url - 요청 URL
-   * @param {Object} body - 요청 바디
+   * @param {Object|FormData|Blob|URLSearchParams} body - 요청 바디 (객체는 JSON으로 직렬화)
    * @param {Object} [options={}] - fetch 옵션
    * @returns {Promise<Object>} API 응답
    *
@@ -389,7 +1390,7 @@ export class APIUtil {
     return this.request(url, {
       ...options,
       method: 'PATCH',
-      body: JSON.stringify(body)
+      body: this._serializeBody(body)
     });
   }
 
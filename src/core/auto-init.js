@@ -21,6 +21,10 @@
  * <span data-imcat="tooltip" data-content="툴팁 내용">
  *   마우스를 올려보세요
  * </span>
+ *
+ * <div data-imcat="bind" data-store="cart">
+ *   <span data-bind-text="items.length"></span>
+ * </div>
  */
 export class AutoInit {
   /**
@@ -276,6 +280,14 @@ export class AutoInit {
       return null;
     });
 
+    // 상태 스토어 바인딩 (data-store: GlobalState 스토어 이름)
+    AutoInit.register('bind', async (el, options, imcat) => {
+      if (!options.store) {
+        throw new Error('data-store is required for data-imcat="bind"');
+      }
+      return imcat.bind(el, imcat.globalState.use(String(options.store)));
+    });
+
     // 토글 클래스
     AutoInit.register('toggle', async (el, options, imcat) => {
       el.addEventListener('click', (e) => {
@@ -0,0 +1,353 @@
+/**
+ * DOM 데이터 바인딩
+ * @module core/binding
+ */
+
+/**
+ * 선언적 DOM 바인딩
+ * @class
+ * @description 상태 스토어와 DOM을 data-* 속성으로 연결합니다.
+ * 범위(루트) 요소 안의 바인딩 속성을 찾아 스토어 경로를 감시하고,
+ * 입력 요소는 양방향으로 동기화합니다. destroy() 시 감시자와 이벤트 리스너를 모두 해제합니다.
+ *
+ * 지원 속성:
+ * - data-bind-text="path" : textContent
+ * - data-bind-value="path" : 입력 요소 값 (양방향)
+ * - data-bind-class="path" 또는 "active: isActive, done: !todo.open" : 클래스
+ * - data-bind-show="path" 또는 "!path" : 표시/숨김
+ * - data-on-<event>="name" : 이벤트 핸들러 (methods 옵션, 스토어 액션 또는 상태 값으로 저장한 함수)
+ *
+ * @example
+ * <div data-imcat="bind" data-store="cart">
+ *   <span data-bind-text="count"></span>
+ *   <input data-bind-value="coupon">
+ *   <p data-bind-show="!items.length">장바구니가 비었습니다</p>
+ *   <button data-on-click="clear" data-bind-class="disabled: !items.length">비우기</button>
+ * </div>
+ *
+ * @example
+ * const binding = new Binding('#cart', store, {
+ *   methods: { clear: (event, store) => { store.items = []; } }
+ * });
+ */
+export class Binding {
+  /**
+   * 범위 요소 선택자 (중첩 범위 구분용)
+   * @type {string}
+   */
+  static SCOPE_SELECTOR = '[data-imcat="bind"]';
+
+  /**
+   * 지원하는 data-bind-* 종류
+   * @type {string[]}
+   */
+  static BIND_ATTRIBUTES = ['text', 'value', 'class', 'show'];
+
+  /**
+   * Binding 생성자
+   * @constructor
+   * @param {string|HTMLElement} root - 범위 요소
+   * @param {Proxy} store - StateManager.create()/GlobalState.use()가 반환한 스토어
+   * @param {Object} [options={}] - 옵션
+   * @param {Object<string, Function>} [options.methods={}] - data-on-* 핸들러 (event, store, el)
+   */
+  constructor(root, store, options = {}) {
+    this.root = typeof root === 'string' ? document.querySelector(root) : root;
+    if (!this.root) {
+      throw new Error('Binding root element not found');
+    }
+    if (!store || typeof store.watch !== 'function') {
+      throw new Error('Binding requires a state store');
+    }
+
+    this.store = store;
+    this.methods = options.methods || {};
+    this._cleanups = [];
+
+    this._bindAll();
+  }
+
+  /**
+   * 범위를 다시 검색해 바인딩 (동적으로 추가한 요소 반영)
+   */
+  refresh() {
+    this._unbindAll();
+    this._bindAll();
+  }
+
+  /**
+   * 바인딩 해제
+   */
+  destroy() {
+    this._unbindAll();
+    this.root = null;
+    this.store = null;
+  }
+
+  /**
+   * 범위 안의 모든 바인딩 연결
+   * @private
+   */
+  _bindAll() {
+    this._elements().forEach(el => {
+      Array.from(el.attributes).forEach(({ name, value }) => {
+        const expression = value.trim();
+        if (!expression) return;
+
+        if (name.startsWith('data-on-')) {
+          this._bindEvent(el, name.slice('data-on-'.length), expression);
+          return;
+        }
+
+        const type = name.startsWith('data-bind-') ? name.slice('data-bind-'.length) : null;
+        if (type === 'class') {
+          this._bindClass(el, expression);
+        } else if (type === 'value') {
+          this._bindValue(el, expression);
+        } else if (type === 'text' || type === 'show') {
+          const update = type === 'text'
+            ? () => { el.textContent = this._format(this._read(expression)); }
+            : () => { el.style.display = this._read(expression) ? '' : 'none'; };
+          this._watch(expression, update);
+          update();
+        }
+      });
+    });
+  }
+
+  /**
+   * 모든 바인딩 해제
+   * @private
+   */
+  _unbindAll() {
+    this._cleanups.forEach(cleanup => cleanup());
+    this._cleanups = [];
+  }
+
+  /**
+   * 이 범위에 속한 바인딩 요소 (중첩 범위 제외)
+   * @private
+   * @returns {HTMLElement[]}
+   */
+  _elements() {
+    const elements = [this.root, ...this.root.querySelectorAll('*')];
+
+    return elements.filter(el => {
+      const scope = el.closest(Binding.SCOPE_SELECTOR);
+      if (scope && scope !== this.root && this.root.contains(scope)) return false;
+
+      return Array.from(el.attributes).some(({ name }) =>
+        name.startsWith('data-on-') || Binding.BIND_ATTRIBUTES.some(type => name === `data-bind-${type}`)
+      );
+    });
+  }
+
+  /**
+   * 클래스 바인딩
+   * 'path'면 값(문자열/배열)을 클래스로, 'name: path, ...'면 값이 참일 때 클래스를 추가합니다.
+   * @private
+   * @param {HTMLElement} el - 요소
+   * @param {string} expression - 바인딩 식
+   */
+  _bindClass(el, expression) {
+    if (!expression.includes(':')) {
+      let applied = [];
+      const update = () => {
+        const value = this._read(expression);
+        const classes = (Array.isArray(value) ? value : String(value || '').split(/\s+/)).filter(Boolean);
+        applied.forEach(name => el.classList.remove(name));
+        classes.forEach(name => el.classList.add(name));
+        applied = classes;
+      };
+      this._watch(expression, update);
+      update();
+      return;
+    }
+
+    expression.split(',').forEach(pair => {
+      const [className, path] = pair.split(':').map(part => part.trim());
+      if (!className || !path) return;
+
+      const update = () => el.classList.toggle(className, !!this._read(path));
+      this._watch(path, update);
+      update();
+    });
+  }
+
+  /**
+   * 값 바인딩 (양방향)
+   * 체크박스는 checked, 라디오는 value 일치 여부, 숫자 입력은 숫자로 동기화합니다.
+   * @private
+   * @param {HTMLElement} el - 입력 요소
+   * @param {string} path - 스토어 경로
+   */
+  _bindValue(el, path) {
+    const type = (el.type || '').toLowerCase();
+
+    const update = () => {
+      const value = this._read(path);
+      if (type === 'checkbox') {
+        el.checked = !!value;
+      } else if (type === 'radio') {
+        el.checked = String(value) === el.value;
+      } else {
+        const text = this._format(value);
+        if (el.value !== text) el.value = text;
+      }
+    };
+
+    const handler = () => {
+      let value = el.value;
+      if (type === 'checkbox') {
+        value = el.checked;
+      } else if (type === 'radio') {
+        if (!el.checked) return;
+      } else if (type === 'number' || type === 'range') {
+        value = el.value === '' ? null : Number(el.value);
+      }
+      this._write(path, value);
+    };
+
+    const event = type === 'checkbox' || type === 'radio' || el.tagName === 'SELECT' ? 'change' : 'input';
+    el.addEventListener(event, handler);
+    this._cleanups.push(() => el.removeEventListener(event, handler));
+
+    this._watch(path, update);
+    update();
+  }
+
+  /**
+   * 이벤트 바인딩
+   * @private
+   * @param {HTMLElement} el - 요소
+   * @param {string} event - 이벤트 이름
+   * @param {string} name - 핸들러 이름 (methods, 스토어 액션 또는 함수가 저장된 상태 경로)
+   */
+  _bindEvent(el, event, name) {
+    const handler = (e) => {
+      // 스토어 액션 (data-payload 값을 JSON 또는 문자열로 전달)
+      // 같은 이름의 상태 키에 가려지지 않도록 내부 스토어로 호출
+      const store = this.store._store || this.store;
+      if (!this.methods[name] && typeof store.hasAction === 'function' && store.hasAction(name)) {
+        try {
+          const result = store.dispatch(name, this._parsePayload(el.getAttribute('data-payload')));
+          // 비동기 액션 실패가 처리되지 않은 거부로 남지 않도록
+          if (result && typeof result.then === 'function') {
+            result.then(null, error => console.error(`Binding: Action "${name}" failed:`, error));
+          }
+        } catch (error) {
+          console.error(`Binding: Action "${name}" failed:`, error);
+        }
+        return;
+      }
+
+      const method = this.methods[name] || this._stateFunction(name);
+      if (typeof method !== 'function') {
+        console.warn(`Binding: Handler "${name}" not found`);
+        return;
+      }
+      method.call(this.store, e, this.store, el);
+    };
+
+    el.addEventListener(event, handler);
+    this._cleanups.push(() => el.removeEventListener(event, handler));
+  }
+
+  /**
+   * 상태 값으로 저장된 함수 찾기
+   * 경로의 각 키가 상태에 직접 있는 경우만 허용합니다 (reset, setState 등 스토어 API 제외).
+   * @private
+   * @param {string} path - 스토어 경로
+   * @returns {Function|undefined}
+   */
+  _stateFunction(path) {
+    let target = this.store;
+
+    for (const key of path.split('.')) {
+      if (target === null || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, key)) {
+        return undefined;
+      }
+      target = target[key];
+    }
+
+    return typeof target === 'function' ? target : undefined;
+  }
+
+  /**
+   * data-payload 값 해석
+   * @private
+   * @param {string|null} value - 속성 값
+   * @returns {*}
+   */
+  _parsePayload(value) {
+    if (value === null) return undefined;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * 경로 감시 등록 ('!' 접두사 제거)
+   * @private
+   * @param {string} expression - 바인딩 식
+   * @param {Function} update - 갱신 함수
+   */
+  _watch(expression, update) {
+    this._cleanups.push(this.store.watch(this._path(expression), update));
+  }
+
+  /**
+   * 바인딩 식 값 읽기 ('!path'는 부정)
+   * @private
+   * @param {string} expression - 바인딩 식
+   * @returns {*}
+   */
+  _read(expression) {
+    const value = this._path(expression).split('.').reduce(
+      (target, key) => (target === null || target === undefined ? undefined : target[key]),
+      this.store
+    );
+    return expression.startsWith('!') ? !value : value;
+  }
+
+  /**
+   * 스토어 경로에 값 쓰기
+   * @private
+   * @param {string} path - 경로
+   * @param {*} value - 값
+   */
+  _write(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => (current ? current[key] : undefined), this.store);
+
+    if (target && typeof target === 'object') {
+      target[last] = value;
+    }
+  }
+
+  /**
+   * 바인딩 식에서 경로 추출
+   * @private
+   * @param {string} expression - 바인딩 식
+   * @returns {string}
+   */
+  _path(expression) {
+    return expression.replace(/^!/, '').trim();
+  }
+
+  /**
+   * 표시용 문자열 변환
+   * @private
+   * @param {*} value - 값
+   * @returns {string}
+   */
+  _format(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+}
+
+export default Binding;
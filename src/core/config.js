@@ -97,7 +97,15 @@ export class Config {
       timeout: 30000,
       headers: {
         'Content-Type': 'application/json'
-      }
+      },
+      retry: 0 // 재시도 횟수 또는 옵션 객체 (APIUtil.RETRY_DEFAULTS 참고)
+    },
+
+    // 코어 라우터 URL 설정 (IMCAT.view)
+    router: {
+      useHistory: false, // false면 URL을 바꾸지 않고 내부 렌더링만
+      mode: 'hash', // 'hash' | 'history'
+      base: '' // history 모드의 기본 경로 (예: '/app')
     },
 
     // 폼 검증 설정
@@ -340,6 +340,17 @@ class DOMElement {
     return this.each(el => el.remove());
   }
 
+  /**
+   * 바뀐 부분만 갱신 (DOM.patch, 새니타이징 없음)
+   * 주의: 신뢰할 수 있는 소스에서만 사용!
+   * @param {string} html - 새 HTML
+   * @param {Object} [options] - DOM.patch() 옵션
+   * @returns {DOMElement}
+   */
+  patch(html, options) {
+    return this.each(el => DOM.patch(el, html, options));
+  }
+
   /**
    * 내용 비우기
    * @returns {DOMElement}
@@ -467,6 +478,18 @@ class DOMElement {
  * const div = DOM.create('div', { class: 'container' });
  */
 export class DOM {
+  /**
+   * patch()에서 목록 항목을 식별하는 기본 속성
+   * @type {string}
+   */
+  static KEY_ATTRIBUTE = 'data-key';
+
+  /**
+   * 이 속성이 있는 기존 요소는 patch()가 내부를 건드리지 않음 (외부 위젯 마운트 지점 등)
+   * @type {string}
+   */
+  static IGNORE_ATTRIBUTE = 'data-patch-ignore';
+
   /**
    * 요소 선택
    * @param {string|HTMLElement|DOMElement} selector - 선택자
@@ -515,6 +538,230 @@ export class DOM {
     return new DOMElement([el]);
   }
 
+  /**
+   * 컨테이너 내용을 새 HTML과 비교해 바뀐 부분만 갱신
+   * innerHTML 대입과 달리 기존 노드를 재사용하므로 포커스, 스크롤 위치, 입력 중인 값이 유지됩니다.
+   * data-key가 있는 요소는 키로 짝지어 이동/추가/삭제하고, 없는 요소는 순서대로 비교합니다.
+   * 주의: 새니타이징하지 않으므로 신뢰할 수 있는 HTML(이스케이프한 템플릿 결과 등)만 사용!
+   * @param {string|HTMLElement|DOMElement} container - 대상 컨테이너
+   * @param {string|Node} html - 새 HTML 또는 노드(DocumentFragment 포함)
+   * @param {Object} [options={}] - 옵션
+   * @param {string} [options.key='data-key'] - 키 속성 이름
+   * @returns {HTMLElement|null} 컨테이너
+   *
+   * @example
+   * DOM.patch('#todo-list', Template.render(
+   *   '{{#each todos}}<li data-key="{{id}}">{{title}}</li>{{/each}}',
+   *   { todos }
+   * ));
+   */
+  static patch(container, html, options = {}) {
+    const el = container instanceof HTMLElement ? container : DOM.select(container).get(0);
+    if (!el) return null;
+
+    let next;
+    if (typeof html === 'string') {
+      // <template>은 <tr>, <li> 등을 문맥 없이도 그대로 파싱
+      const template = el.ownerDocument.createElement('template');
+      template.innerHTML = html;
+      next = template.content;
+    } else if (html instanceof DocumentFragment) {
+      next = html;
+    } else if (html instanceof Node) {
+      next = el.ownerDocument.createDocumentFragment();
+      next.appendChild(html);
+    } else {
+      throw new Error('DOM.patch requires an HTML string or a Node');
+    }
+
+    this._patchChildren(el, next, options.key || this.KEY_ATTRIBUTE);
+    return el;
+  }
+
+  /**
+   * 자식 노드 비교 및 갱신
+   * @private
+   * @param {Node} parent - 기존 부모
+   * @param {Node} next - 새 부모
+   * @param {string} keyAttr - 키 속성
+   */
+  static _patchChildren(parent, next, keyAttr) {
+    const oldChildren = Array.from(parent.childNodes);
+    const keyed = new Map();
+    const unkeyed = [];
+
+    oldChildren.forEach(child => {
+      const key = this._key(child, keyAttr);
+      if (key !== null && !keyed.has(key)) {
+        keyed.set(key, child);
+      } else {
+        unkeyed.push(child);
+      }
+    });
+
+    let cursor = 0;
+    const nodes = Array.from(next.childNodes).map(newChild => {
+      const key = this._key(newChild, keyAttr);
+      let match = null;
+
+      if (key !== null) {
+        const candidate = keyed.get(key);
+        if (candidate && this._isSameType(candidate, newChild)) {
+          match = candidate;
+          keyed.delete(key);
+        }
+      } else if (cursor < unkeyed.length && this._isSameType(unkeyed[cursor], newChild)) {
+        match = unkeyed[cursor++];
+      }
+
+      if (match) {
+        this._patchNode(match, newChild, keyAttr);
+      }
+      return match || newChild;
+    });
+
+    // 사용되지 않은 기존 노드를 먼저 제거
+    const used = new Set(nodes);
+    oldChildren.forEach(child => {
+      if (!used.has(child)) {
+        parent.removeChild(child);
+      }
+    });
+
+    // 기존 순서를 유지하는 가장 긴 노드 열은 그대로 두고 나머지만 뒤에서부터 이동/추가
+    // (새 노드는 insertBefore 시 현재 문서로 옮겨짐)
+    const positions = new Map(oldChildren.map((child, index) => [child, index]));
+    const stable = this._stableNodes(nodes, positions);
+    let anchor = null;
+    for (let index = nodes.length - 1; index >= 0; index--) {
+      const node = nodes[index];
+      if (!stable.has(node)) {
+        parent.insertBefore(node, anchor);
+      }
+      anchor = node;
+    }
+  }
+
+  /**
+   * 이동하지 않아도 되는 노드 (기존 위치가 증가하는 가장 긴 부분 수열)
+   * @private
+   * @param {Node[]} nodes - 새 순서의 노드
+   * @param {Map<Node, number>} positions - 기존 노드의 위치
+   * @returns {Set<Node>}
+   */
+  static _stableNodes(nodes, positions) {
+    const tails = [];
+    const previous = [];
+
+    nodes.forEach((node, index) => {
+      if (!positions.has(node)) return;
+
+      const position = positions.get(node);
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (positions.get(nodes[tails[middle]]) < position) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+
+      previous[index] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = index;
+    });
+
+    const stable = new Set();
+    let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+    while (index >= 0) {
+      stable.add(nodes[index]);
+      index = previous[index];
+    }
+    return stable;
+  }
+
+  /**
+   * 같은 종류의 노드를 갱신
+   * @private
+   * @param {Node} node - 기존 노드
+   * @param {Node} next - 새 노드
+   * @param {string} keyAttr - 키 속성
+   */
+  static _patchNode(node, next, keyAttr) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      if (node.nodeValue !== next.nodeValue) {
+        node.nodeValue = next.nodeValue;
+      }
+      return;
+    }
+
+    if (node.hasAttribute(this.IGNORE_ATTRIBUTE)) return;
+
+    this._patchAttributes(node, next);
+    this._patchChildren(node, next, keyAttr);
+  }
+
+  /**
+   * 속성 갱신
+   * value/checked/selected는 마크업이 바뀐 경우에만 프로퍼티도 바꿔 사용자 입력을 유지합니다.
+   * @private
+   * @param {HTMLElement} el - 기존 요소
+   * @param {HTMLElement} next - 새 요소
+   */
+  static _patchAttributes(el, next) {
+    Array.from(el.attributes).forEach(({ name }) => {
+      if (!next.hasAttribute(name)) {
+        el.removeAttribute(name);
+        this._syncProperty(el, name, null);
+      }
+    });
+
+    Array.from(next.attributes).forEach(({ name, value }) => {
+      if (el.getAttribute(name) !== value) {
+        el.setAttribute(name, value);
+        this._syncProperty(el, name, value);
+      }
+    });
+  }
+
+  /**
+   * 폼 상태 속성을 프로퍼티에 반영
+   * @private
+   * @param {HTMLElement} el - 요소
+   * @param {string} name - 속성 이름
+   * @param {string|null} value - 새 속성 값 (null이면 제거)
+   */
+  static _syncProperty(el, name, value) {
+    if (name === 'value' && 'value' in el) {
+      el.value = value === null ? '' : value;
+    } else if ((name === 'checked' || name === 'selected') && name in el) {
+      el[name] = value !== null;
+    }
+  }
+
+  /**
+   * 노드의 키
+   * @private
+   * @param {Node} node - 노드
+   * @param {string} keyAttr - 키 속성
+   * @returns {string|null}
+   */
+  static _key(node, keyAttr) {
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute(keyAttr) : null;
+  }
+
+  /**
+   * 재사용 가능한 노드인지 (노드 종류와 태그 이름 비교)
+   * @private
+   * @param {Node} a - 기존 노드
+   * @param {Node} b - 새 노드
+   * @returns {boolean}
+   */
+  static _isSameType(a, b) {
+    return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+  }
+
   /**
    * DOM 준비 완료 시 실행
    * @param {Function} callback - 콜백 함수
@@ -10,12 +10,14 @@ import { ModuleLoader } from './loader.js';
 import { ViewRouter } from './router.js';
 import LoadingIndicator from './loading.js';
 import { APIUtil } from './api.js';
+import { RealtimeClient } from './realtime.js';
 import { Security } from './security.js';
 import { Utils } from './utils.js';
 import { Template } from './template.js';
 import { Storage } from './storage.js';
 import { URLUtil } from './url.js';
 import { StateManager, GlobalState } from './state.js';
+import { Binding } from './binding.js';
 import { FormValidator } from './form.js';
 import { AnimationUtil } from './animation.js';
 import { Shortcuts } from './shortcuts.js';
@@ -48,12 +50,24 @@ class IMCATCore {
 
     // 이벤트 리스너 추적 (메모리 관리용)
     this._clickHandler = null;
+    this._prefetchHandler = null;
+    this._prefetchObserver = null;
+    this._prefetchMutationObserver = null;
     this._domReadyHandler = null;
+    this._realtimeClients = new Set();
+    this._configUnsubscribe = null;
 
-    // Router에 Loading 통합 (URL 변경 없이 내부 렌더링만)
+    // Router에 Loading 통합 (URL 설정은 Config router, 기본은 URL 변경 없이 내부 렌더링만)
     this.router.init({
       loading: this.loadingIndicator,
-      useHistory: false
+      ...this._getRouterOptions()
+    });
+
+    // IMCAT.config({ router: { ... } })로 URL 모드 변경
+    this._configUnsubscribe = Config.onChange((changes) => {
+      if (Object.keys(changes).some(key => key === 'router' || key.startsWith('router.'))) {
+        this.router.init(this._getRouterOptions());
+      }
     });
 
     // catui-href 자동 바인딩 (DOM ready 후)
@@ -66,6 +80,16 @@ class IMCATCore {
     this._initAutoInit();
   }
 
+  /**
+   * Config의 라우터 URL 설정
+   * @private
+   * @returns {Object} { useHistory, mode, base }
+   */
+  _getRouterOptions() {
+    const { useHistory, mode, base } = Config.get('router') || {};
+    return { useHistory: !!useHistory, mode: mode || 'hash', base: base || '' };
+  }
+
   /**
    * 단축 API 초기화
    * @private
@@ -109,6 +133,11 @@ class IMCATCore {
         const link = e.target.closest('[catui-href]');
 
         if (link) {
+          // 새 탭/창 열기(Ctrl, Cmd, Shift, 휠 클릭)는 브라우저에 맡김
+          if (link.hasAttribute('href') && (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0)) {
+            return;
+          }
+
           // 이벤트 기본 동작 방지 (중복 네비게이션 방지)
           e.preventDefault();
           e.stopPropagation();
@@ -137,6 +166,9 @@ class IMCATCore {
 
       // capture 단계에서 이벤트 캡처 (더 일찍 처리)
       document.addEventListener('click', this._clickHandler, true);
+
+      // 링크 뷰 미리 가져오기 (hover/focus/visible)
+      this._bindPrefetch();
     };
 
     // DOM이 이미 로드되었으면 즉시 실행, 아니면 대기
@@ -148,6 +180,85 @@ class IMCATCore {
     }
   }
 
+  /**
+   * catui-href 링크 뷰 미리 가져오기
+   * 기본은 마우스 오버/포커스/터치 시 가져오며,
+   * catui-prefetch="visible"이면 화면에 보일 때, "none"이면 가져오지 않습니다.
+   * 이때 <a> 링크에 라우터 모드(hash/history)에 맞는 href를 채워 새 탭 열기와 링크 복사를 지원합니다.
+   * @private
+   */
+  _bindPrefetch() {
+    const prefetchLink = (link) => {
+      if (!link || link.getAttribute('catui-prefetch') === 'none') return;
+
+      const path = link.getAttribute('catui-href');
+      if (path) {
+        this.router.prefetch(path);
+      }
+    };
+
+    this._prefetchHandler = (e) => {
+      if (!e.target || !e.target.closest) return;
+
+      const link = e.target.closest('[catui-href]');
+      if (!link) return;
+
+      // URL을 사용하지 않는 라우터나 타겟 지정 링크(부분 렌더링)는 href를 만들지 않음
+      const path = link.getAttribute('catui-href');
+      if (
+        path && this.router.useHistory && link.tagName === 'A' &&
+        !link.hasAttribute('href') && !link.hasAttribute('catui-target')
+      ) {
+        link.setAttribute('href', this.router.href(path));
+      }
+
+      prefetchLink(link);
+    };
+
+    document.addEventListener('mouseover', this._prefetchHandler, true);
+    document.addEventListener('focusin', this._prefetchHandler, true);
+    document.addEventListener('touchstart', this._prefetchHandler, { capture: true, passive: true });
+
+    // 화면에 보이는 링크 (IntersectionObserver 지원 시)
+    if (!('IntersectionObserver' in window) || !('MutationObserver' in window)) return;
+
+    const selector = '[catui-href][catui-prefetch="visible"]';
+
+    this._prefetchObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this._prefetchObserver.unobserve(entry.target);
+          prefetchLink(entry.target);
+        }
+      });
+    });
+
+    const observeLinks = (root) => {
+      if (root.matches && root.matches(selector)) {
+        this._prefetchObserver.observe(root);
+      }
+      root.querySelectorAll(selector).forEach(link => this._prefetchObserver.observe(link));
+    };
+
+    observeLinks(document.body);
+
+    // 뷰 전환 등으로 동적으로 추가되는 링크 감지
+    this._prefetchMutationObserver = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            observeLinks(node);
+          }
+        });
+      });
+    });
+
+    this._prefetchMutationObserver.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+  }
+
   /**
    * Router 컨테이너 자동 감지
    * catui-target 속성 또는 기본 선택자 사용
@@ -196,6 +307,17 @@ class IMCATCore {
     return DOM.create(tagName, attributes);
   }
 
+  /**
+   * 바뀐 부분만 갱신 (키 기반 목록 비교)
+   * @param {string|HTMLElement} container - 대상 컨테이너
+   * @param {string|Node} html - 새 HTML (신뢰할 수 있는 HTML만)
+   * @param {Object} [options] - 옵션 ({ key: 'data-key' })
+   * @returns {HTMLElement|null}
+   */
+  patch(container, html, options) {
+    return DOM.patch(container, html, options);
+  }
+
   /**
    * 모듈 로드
    * @param {...string} moduleNames - 모듈 이름들
@@ -223,6 +345,33 @@ class IMCATCore {
     return APIUtil;
   }
 
+  // ===== Realtime API =====
+  /**
+   * 실시간 클라이언트 생성 (WebSocket / SSE)
+   * 수신한 메시지는 'realtime:message:<type>' 이벤트로 이벤트 버스에 전달됩니다.
+   * @param {string} url - 연결 URL
+   * @param {Object} [options] - RealtimeClient 옵션
+   * @returns {RealtimeClient}
+   *
+   * @example
+   * const socket = IMCAT.realtime('wss://example.com/ws');
+   * IMCAT.on('realtime:message:chat', (message) => chat.addMessage(message));
+   */
+  realtime(url, options = {}) {
+    const client = new RealtimeClient(url, { eventBus: this.eventBus, ...options });
+    this._realtimeClients.add(client);
+
+    // 종료된 클라이언트는 추적에서 제외 (다시 연결하면 추가)
+    client.on('status', (status) => {
+      if (status === 'closed') {
+        this._realtimeClients.delete(client);
+      } else {
+        this._realtimeClients.add(client);
+      }
+    });
+    return client;
+  }
+
   // ===== Event Bus API =====
   /**
    * 이벤트 구독
@@ -252,6 +401,25 @@ class IMCATCore {
     return this.eventBus.emit(event, ...args);
   }
 
+  // ===== Binding API =====
+  /**
+   * 상태 스토어와 DOM 바인딩
+   * 현재 뷰에 등록되므로 뷰 전환 시 자동으로 해제됩니다.
+   * @param {string|HTMLElement} root - 범위 요소
+   * @param {Proxy} store - 상태 스토어
+   * @param {Object} [options] - Binding 옵션 ({ methods })
+   * @returns {Binding}
+   *
+   * @example
+   * const store = IMCAT.state.create({ count: 0 });
+   * IMCAT.bind('#counter', store, {
+   *   methods: { increment: (e, store) => store.count++ }
+   * });
+   */
+  bind(root, store, options) {
+    return this.router.registerInstance(new Binding(root, store, options));
+  }
+
   // ===== Loading Indicator API =====
   /**
    * Loading Indicator 인스턴스
@@ -915,6 +1083,24 @@ class IMCATCore {
       this._clickHandler = null;
     }
 
+    // 미리 가져오기 리스너 및 옵저버 제거
+    if (this._prefetchHandler) {
+      document.removeEventListener('mouseover', this._prefetchHandler, true);
+      document.removeEventListener('focusin', this._prefetchHandler, true);
+      document.removeEventListener('touchstart', this._prefetchHandler, { capture: true, passive: true });
+      this._prefetchHandler = null;
+    }
+
+    if (this._prefetchObserver) {
+      this._prefetchObserver.disconnect();
+      this._prefetchObserver = null;
+    }
+
+    if (this._prefetchMutationObserver) {
+      this._prefetchMutationObserver.disconnect();
+      this._prefetchMutationObserver = null;
+    }
+
     // DOMContentLoaded 리스너 제거 (아직 실행 안된 경우)
     if (this._domReadyHandler) {
       document.removeEventListener('DOMContentLoaded', this._domReadyHandler);
@@ -926,6 +1112,10 @@ class IMCATCore {
       this.router.destroy();
     }
 
+    // 실시간 연결 정리
+    this._realtimeClients.forEach(client => client.destroy());
+    this._realtimeClients.clear();
+
     // 이벤트 버스 정리
     if (this.eventBus && typeof this.eventBus.clear === 'function') {
       this.eventBus.clear();
@@ -942,6 +1132,10 @@ class IMCATCore {
     }
 
     // Config 정리
+    if (this._configUnsubscribe) {
+      this._configUnsubscribe();
+      this._configUnsubscribe = null;
+    }
     Config.destroy();
 
     // AutoInit 정리
@@ -0,0 +1,594 @@
+/**
+ * 실시간 통신 클라이언트
+ * @module core/realtime
+ */
+
+import { EventBus } from './event.js';
+
+/**
+ * 실시간 클라이언트
+ * @class
+ * @description WebSocket 또는 Server-Sent Events(SSE)로 서버와 연결하는 클라이언트입니다.
+ * 연결이 끊기면 지수 백오프로 다시 연결하고, 하트비트로 끊긴 연결을 감지하며,
+ * 수신한 메시지를 'message:<type>' 이벤트로 전달합니다 (연결 이벤트와 이름이 겹치지 않음).
+ * 연결되지 않은 동안 보낸 메시지는 큐에 보관했다가 연결되면 전송합니다.
+ *
+ * @example
+ * const socket = IMCAT.realtime('wss://example.com/ws', {
+ *   heartbeat: { interval: 30000, message: { type: 'ping' } }
+ * });
+ *
+ * // { type: 'chat', ... } 메시지 수신
+ * IMCAT.on('realtime:message:chat', (data) => chat.addMessage(data));
+ * socket.on('message:presence', (data) => status.setStatus(data.status));
+ *
+ * socket.send({ type: 'chat', text: 'Hello' }); // 오프라인이면 큐에 보관
+ */
+export class RealtimeClient {
+  /**
+   * 재연결 기본값
+   * @type {Object}
+   */
+  static RECONNECT_DEFAULTS = {
+    retries: Infinity,
+    delay: 1000,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: true
+  };
+
+  /**
+   * 하트비트 기본값
+   * @type {Object}
+   */
+  static HEARTBEAT_DEFAULTS = {
+    interval: 0,
+    timeout: 10000,
+    message: 'ping',
+    pong: 'pong'
+  };
+
+  /**
+   * RealtimeClient 생성자
+   * @constructor
+   * @param {string} url - 연결 URL (ws://, wss:// 또는 SSE 엔드포인트)
+   * @param {Object} [options={}] - 옵션
+   * @param {string} [options.transport] - 'websocket' | 'sse' (기본값: URL 스킴으로 판단)
+   * @param {string|string[]} [options.protocols] - WebSocket 하위 프로토콜
+   * @param {boolean} [options.withCredentials=false] - SSE 쿠키 전송 여부
+   * @param {string[]} [options.events=[]] - 구독할 SSE 이벤트 이름 ('message' 외)
+   * @param {EventBus} [options.eventBus] - 메시지를 전달할 이벤트 버스
+   * @param {string} [options.prefix='realtime'] - 이벤트 버스 이벤트 접두사
+   * @param {string} [options.typeField='type'] - 메시지 타입 필드
+   * @param {boolean|Object} [options.reconnect=true] - 재연결 옵션 (false면 재연결 안 함)
+   * @param {number|Object} [options.heartbeat] - 하트비트 간격(ms) 또는 옵션
+   * @param {number} [options.queueSize=100] - 오프라인 큐 최대 크기 (0이면 큐 사용 안 함)
+   * @param {boolean} [options.autoConnect=true] - 생성 즉시 연결
+   */
+  constructor(url, options = {}) {
+    if (!url) {
+      throw new Error('RealtimeClient requires a URL');
+    }
+
+    this.url = url;
+    this.transport = options.transport || (/^wss?:/i.test(url) ? 'websocket' : 'sse');
+    if (this.transport !== 'websocket' && this.transport !== 'sse') {
+      throw new Error(`Unknown realtime transport: ${this.transport}`);
+    }
+
+    this.options = {
+      protocols: options.protocols,
+      withCredentials: !!options.withCredentials,
+      events: options.events || [],
+      prefix: options.prefix || 'realtime',
+      typeField: options.typeField || 'type',
+      queueSize: options.queueSize !== undefined ? options.queueSize : 100
+    };
+
+    this.reconnectOptions = options.reconnect === false
+      ? null
+      : { ...RealtimeClient.RECONNECT_DEFAULTS, ...(typeof options.reconnect === 'object' ? options.reconnect : {}) };
+
+    this.heartbeatOptions = {
+      ...RealtimeClient.HEARTBEAT_DEFAULTS,
+      ...(typeof options.heartbeat === 'number' ? { interval: options.heartbeat } : options.heartbeat)
+    };
+
+    this.eventBus = options.eventBus || null;
+    this.events = new EventBus();
+    this.status = 'idle';
+    this.attempt = 0;
+    this.queue = [];
+
+    this._source = null;
+    this._manualClose = false;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._pongTimer = null;
+    this._onlineHandler = null;
+    this._offlineHandler = null;
+
+    this._bindNetworkEvents();
+
+    if (options.autoConnect !== false) {
+      this.connect();
+    }
+  }
+
+  /**
+   * 연결 시작
+   * 이미 연결 중이거나 연결된 상태면 무시합니다.
+   * @returns {RealtimeClient}
+   */
+  connect() {
+    if (this.status === 'connecting' || this.status === 'open') return this;
+
+    this._manualClose = false;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._setStatus('connecting');
+
+    try {
+      this._source = this.transport === 'websocket' ? this._openWebSocket() : this._openEventSource();
+    } catch (error) {
+      this._handleError(error);
+      this._handleClose({ code: 0, reason: error.message });
+    }
+
+    return this;
+  }
+
+  /**
+   * 메시지 전송
+   * 객체는 JSON으로 직렬화합니다. 연결되지 않은 상태면 큐에 보관했다가 연결되면 전송합니다.
+   * @param {*} data - 보낼 데이터
+   * @returns {boolean} 바로 전송되었으면 true, 큐에 보관되었으면 false
+   */
+  send(data) {
+    if (this.transport === 'sse') {
+      throw new Error('SSE transport is receive-only');
+    }
+
+    if (this.status === 'open' && this._source && this._source.readyState === 1) {
+      this._source.send(this._serialize(data));
+      return true;
+    }
+
+    if (this.options.queueSize > 0) {
+      if (this.queue.length >= this.options.queueSize) {
+        this.queue.shift();
+        console.warn('RealtimeClient: Offline queue is full, dropping oldest message');
+      }
+      this.queue.push(data);
+    }
+    return false;
+  }
+
+  /**
+   * 연결 종료 (재연결하지 않음)
+   * @param {number} [code=1000] - WebSocket 종료 코드
+   * @param {string} [reason] - 종료 사유
+   */
+  close(code = 1000, reason) {
+    this._manualClose = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._stopHeartbeat();
+
+    const source = this._source;
+    this._source = null;
+    if (source) {
+      this._detach(source);
+      if (this.transport === 'websocket') {
+        source.close(code, reason);
+      } else {
+        source.close();
+      }
+    }
+
+    if (this.status !== 'closed' && this.status !== 'idle') {
+      this._setStatus('closed');
+      this._emit('close', { code, reason, manual: true });
+    } else {
+      this._setStatus('closed');
+    }
+  }
+
+  /**
+   * 메시지 또는 연결 이벤트 구독
+   * 메시지: 'message:<type>' ('*'는 모든 메시지)
+   * 연결 이벤트: 'open', 'close', 'reconnecting', 'error', 'failed', 'offline', 'status'
+   * @param {string} type - 이벤트 이름
+   * @param {Function} handler - 핸들러 (data, message)
+   * @returns {Function} 구독 취소 함수
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  }
+
+  /**
+   * 일회성 구독
+   * @param {string} type - 메시지 타입
+   * @param {Function} handler - 핸들러
+   * @returns {Function} 구독 취소 함수
+   */
+  once(type, handler) {
+    return this.events.once(type, handler);
+  }
+
+  /**
+   * 구독 취소
+   * @param {string} type - 메시지 타입
+   * @param {Function} [handler] - 핸들러 (없으면 모두 제거)
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * 연결 여부
+   * @returns {boolean}
+   */
+  get connected() {
+    return this.status === 'open';
+  }
+
+  /**
+   * 정리 (연결 종료, 큐와 리스너 제거)
+   */
+  destroy() {
+    this.close();
+    this.queue = [];
+    this.events.clear();
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this._onlineHandler);
+      window.removeEventListener('offline', this._offlineHandler);
+    }
+    this._onlineHandler = null;
+    this._offlineHandler = null;
+  }
+
+  /**
+   * WebSocket 연결 생성
+   * @private
+   * @returns {WebSocket}
+   */
+  _openWebSocket() {
+    const socket = this.options.protocols
+      ? new WebSocket(this.url, this.options.protocols)
+      : new WebSocket(this.url);
+
+    socket.onopen = () => this._handleOpen();
+    socket.onmessage = (event) => this._handleMessage(event.data);
+    socket.onerror = (event) => this._handleError(event);
+    socket.onclose = (event) => {
+      if (this._source !== socket) return;
+      this._source = null;
+      this._handleClose({ code: event.code, reason: event.reason });
+    };
+
+    return socket;
+  }
+
+  /**
+   * EventSource 연결 생성
+   * 브라우저 기본 재연결 대신 클라이언트의 백오프 정책을 사용합니다.
+   * @private
+   * @returns {EventSource}
+   */
+  _openEventSource() {
+    const source = new EventSource(this.url, { withCredentials: this.options.withCredentials });
+
+    source.onopen = () => this._handleOpen();
+    source.onmessage = (event) => this._handleMessage(event.data);
+    source.onerror = (event) => {
+      if (this._source !== source) return;
+      this._handleError(event);
+      this._source = null;
+      this._detach(source);
+      source.close();
+      this._handleClose({ code: 0, reason: 'error' });
+    };
+
+    source._namedListeners = this.options.events.map((name) => {
+      const listener = (event) => this._handleMessage(event.data, name);
+      source.addEventListener(name, listener);
+      return [name, listener];
+    });
+
+    return source;
+  }
+
+  /**
+   * 연결 객체의 핸들러 해제
+   * @private
+   * @param {WebSocket|EventSource} source - 연결 객체
+   */
+  _detach(source) {
+    source.onopen = null;
+    source.onmessage = null;
+    source.onerror = null;
+    source.onclose = null;
+
+    if (source._namedListeners) {
+      source._namedListeners.forEach(([name, listener]) => source.removeEventListener(name, listener));
+    }
+  }
+
+  /**
+   * 연결 성공 처리
+   * @private
+   */
+  _handleOpen() {
+    const reconnected = this.attempt > 0;
+    this.attempt = 0;
+    this._setStatus('open');
+    this._emit('open', { reconnected });
+    this._startHeartbeat();
+    this._flushQueue();
+  }
+
+  /**
+   * 메시지 수신 처리
+   * JSON은 객체로 해석하고, 타입 필드(SSE는 이벤트 이름)로 라우팅합니다.
+   * 서버가 'open', 'error' 같은 타입을 보내도 연결 이벤트로 오인되지 않도록 'message:' 접두사를 붙입니다.
+   * @private
+   * @param {*} raw - 수신 데이터
+   * @param {string} [eventName] - SSE 이벤트 이름
+   */
+  _handleMessage(raw, eventName) {
+    this._resetPongTimer();
+
+    let data = raw;
+    if (typeof raw === 'string') {
+      try {
+        data = JSON.parse(raw);
+      } catch (error) {
+        data = raw;
+      }
+    }
+
+    const { typeField } = this.options;
+    const type = eventName || (data && typeof data === 'object' && data[typeField]) || 'message';
+
+    // 하트비트 응답은 라우팅하지 않음
+    if (this._isPong(data, type)) return;
+
+    const message = { type, data, raw, timestamp: Date.now() };
+    this.events.emit(`message:${type}`, data, message);
+    this.events.emit('*', data, message);
+
+    if (this.eventBus) {
+      this.eventBus.emit(`${this.options.prefix}:message:${type}`, data, message);
+    }
+  }
+
+  /**
+   * 오류 처리
+   * @private
+   * @param {Event|Error} error - 오류
+   */
+  _handleError(error) {
+    this._emit('error', error);
+  }
+
+  /**
+   * 연결 종료 처리 (필요하면 재연결 예약)
+   * @private
+   * @param {Object} detail - { code, reason }
+   */
+  _handleClose(detail) {
+    this._stopHeartbeat();
+    if (this._manualClose) return;
+
+    this._emit('close', { ...detail, manual: false });
+
+    if (!this.reconnectOptions || this.attempt >= this.reconnectOptions.retries) {
+      this._setStatus('closed');
+      if (this.reconnectOptions) {
+        this._emit('failed', { attempts: this.attempt });
+      }
+      return;
+    }
+
+    this._scheduleReconnect();
+  }
+
+  /**
+   * 재연결 예약
+   * 오프라인이면 온라인 이벤트가 올 때까지 기다립니다.
+   * @private
+   */
+  _scheduleReconnect() {
+    this._setStatus('reconnecting');
+    if (this._isOffline()) return;
+
+    this.attempt++;
+    const delay = this._getReconnectDelay(this.attempt);
+    this._emit('reconnecting', { attempt: this.attempt, delay });
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * 재연결 대기 시간 계산 (지수 백오프)
+   * @private
+   * @param {number} attempt - 재연결 시도 횟수 (1부터)
+   * @returns {number} 대기 시간 (ms)
+   */
+  _getReconnectDelay(attempt) {
+    const { delay, factor, maxDelay, jitter } = this.reconnectOptions;
+    const base = Math.min(delay * Math.pow(factor, attempt - 1), maxDelay);
+
+    // 여러 클라이언트가 동시에 재연결하지 않도록 분산 (50% ~ 100%)
+    return jitter ? Math.round(base * (0.5 + Math.random() * 0.5)) : base;
+  }
+
+  /**
+   * 하트비트 시작
+   * WebSocket은 주기적으로 메시지를 보내고, 제한 시간 안에 아무 메시지도 받지 못하면 재연결합니다.
+   * SSE는 간격 + 제한 시간 동안 수신이 없으면 재연결합니다.
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    const { interval, message } = this.heartbeatOptions;
+    if (!interval) return;
+
+    if (this.transport === 'sse') {
+      this._resetPongTimer();
+      return;
+    }
+
+    this._heartbeatTimer = setInterval(() => {
+      if (!this._source || this._source.readyState !== 1) return;
+
+      this._source.send(this._serialize(typeof message === 'function' ? message() : message));
+      if (!this._pongTimer) {
+        this._pongTimer = setTimeout(() => this._handleHeartbeatTimeout(), this.heartbeatOptions.timeout);
+      }
+    }, interval);
+  }
+
+  /**
+   * 하트비트 중지
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    clearTimeout(this._pongTimer);
+    this._heartbeatTimer = null;
+    this._pongTimer = null;
+  }
+
+  /**
+   * 수신 시 하트비트 제한 시간 초기화
+   * @private
+   */
+  _resetPongTimer() {
+    clearTimeout(this._pongTimer);
+    this._pongTimer = null;
+
+    const { interval, timeout } = this.heartbeatOptions;
+    if (this.transport === 'sse' && interval && this.status === 'open') {
+      this._pongTimer = setTimeout(() => this._handleHeartbeatTimeout(), interval + timeout);
+    }
+  }
+
+  /**
+   * 하트비트 제한 시간 초과 (끊긴 연결로 보고 재연결)
+   * @private
+   */
+  _handleHeartbeatTimeout() {
+    this._pongTimer = null;
+    const source = this._source;
+    if (!source) return;
+
+    this._source = null;
+    this._detach(source);
+    source.close();
+    this._handleClose({ code: 0, reason: 'heartbeat timeout' });
+  }
+
+  /**
+   * 하트비트 응답 여부
+   * @private
+   * @param {*} data - 수신 데이터
+   * @param {string} type - 메시지 타입
+   * @returns {boolean}
+   */
+  _isPong(data, type) {
+    const { pong } = this.heartbeatOptions;
+    if (!pong) return false;
+    return data === pong || type === pong;
+  }
+
+  /**
+   * 오프라인 큐 전송
+   * @private
+   */
+  _flushQueue() {
+    while (this.queue.length > 0 && this._source && this._source.readyState === 1) {
+      this._source.send(this._serialize(this.queue.shift()));
+    }
+  }
+
+  /**
+   * 전송 데이터 직렬화
+   * @private
+   * @param {*} data - 데이터
+   * @returns {string|ArrayBuffer|Blob}
+   */
+  _serialize(data) {
+    if (typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      return data;
+    }
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      return data;
+    }
+    return JSON.stringify(data);
+  }
+
+  /**
+   * 브라우저 온라인/오프라인 이벤트 연결
+   * 온라인으로 돌아오면 대기 중인 재연결을 즉시 시도합니다.
+   * @private
+   */
+  _bindNetworkEvents() {
+    if (typeof window === 'undefined') return;
+
+    this._onlineHandler = () => {
+      if (this.status !== 'reconnecting') return;
+
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+      this.connect();
+    };
+
+    this._offlineHandler = () => {
+      this._emit('offline', { queued: this.queue.length });
+    };
+
+    window.addEventListener('online', this._onlineHandler);
+    window.addEventListener('offline', this._offlineHandler);
+  }
+
+  /**
+   * 오프라인 여부
+   * @private
+   * @returns {boolean}
+   */
+  _isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * 상태 변경
+   * @private
+   * @param {string} status - 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed'
+   */
+  _setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this._emit('status', status);
+  }
+
+  /**
+   * 연결 이벤트 발행 (클라이언트 리스너와 이벤트 버스)
+   * @private
+   * @param {string} event - 이벤트 이름
+   * @param {*} detail - 이벤트 데이터
+   */
+  _emit(event, detail) {
+    this.events.emit(event, detail);
+    if (this.eventBus) {
+      this.eventBus.emit(`${this.options.prefix}:${event}`, detail);
+    }
+  }
+}
+
+export default RealtimeClient;
@@ -4,6 +4,8 @@
  */
 
 import { Security } from './security.js';
+import { ViewCache } from './view-cache.js';
+import { AnimationUtil } from './animation.js';
 
 /**
  * 뷰 라우터
@@ -16,6 +18,37 @@ import { Security } from './security.js';
  * router.navigate('views/home.html');
  */
 export class ViewRouter {
+  /**
+   * 가드 리다이렉트 최대 횟수 (무한 루프 방지)
+   * @type {number}
+   */
+  static MAX_REDIRECTS = 10;
+
+  /**
+   * 저장할 스크롤 위치 최대 개수 (초과 시 오래된 항목부터 제거)
+   * @type {number}
+   */
+  static SCROLL_POSITIONS_LIMIT = 50;
+
+  /**
+   * 뷰 전환 폴백 키프레임 (새 뷰 진입)
+   * @type {Object}
+   */
+  static TRANSITION_KEYFRAMES = {
+    fade: [
+      { opacity: 0 },
+      { opacity: 1 }
+    ],
+    'slide-forward': [
+      { opacity: 0, transform: 'translateX(40px)' },
+      { opacity: 1, transform: 'translateX(0)' }
+    ],
+    'slide-back': [
+      { opacity: 0, transform: 'translateX(-40px)' },
+      { opacity: 1, transform: 'translateX(0)' }
+    ]
+  };
+
   /**
    * ViewRouter 생성자
    * @constructor
@@ -31,11 +64,49 @@ export class ViewRouter {
     // 인스턴스 관리
     this.instances = new Map();
     this.currentViewInstances = [];
+    this.currentLeaveGuards = [];
     this.loading = null;
     this._popstateHandler = null;
 
     // History API 사용 여부 (기본값: true)
     this.useHistory = true;
+
+    // URL 모드 ('hash': #/path, 'history': /base/path)
+    this.mode = 'hash';
+    this.base = '';
+
+    // 뷰 파일 기준 URL (없으면 history 모드에서 origin + base 기준으로 해석)
+    this.viewsBase = null;
+
+    // 라우트 테이블
+    this.routes = [];
+    this.namedRoutes = new Map();
+    this.notFoundRoute = null;
+    this.currentRoute = null;
+
+    // 마운트된 뷰 레벨 (레이아웃 → 자식 순서)
+    this._levels = [];
+
+    // 뷰 HTML 캐시 (false면 매번 fetch)
+    this.viewCache = new ViewCache();
+    this.cacheEnabled = true;
+
+    // 스크롤 복원 및 포커스 관리
+    this.scrollRestoration = true;
+    this.focusManagement = true;
+    this._scrollPositions = new Map();
+    this._historyKey = null;
+    this._historyIndex = 0;
+    this._restoringIndex = null;
+    this._announcer = null;
+
+    // 뷰 전환 애니메이션 (라우트별 transition 옵션으로 재정의)
+    this.transition = { name: 'none', duration: 300 };
+
+    // 진행 중인 네비게이션 (새 네비게이션이 가드를 통과하면 이전 요청 취소)
+    this.navigationId = 0;
+    this._activeNavigationId = 0;
+    this._abortController = null;
   }
 
   /**
@@ -44,50 +115,460 @@ export class ViewRouter {
    * @param {Object} [options.loading] - 로딩 인디케이터 인스턴스
    * @param {boolean} [options.autoNavigate=true] - 초기 hash 경로 자동 로드 여부
    * @param {boolean} [options.useHistory=true] - History API 사용 여부 (false면 URL 변경 안함)
+   * @param {string} [options.mode='hash'] - URL 모드 ('hash' 또는 'history')
+   * @param {string} [options.base=''] - history 모드의 기본 경로 (예: '/app')
+   * @param {string} [options.viewsBase] - 뷰 파일 기준 URL (예: '/static/', 'https://cdn.example.com/app/')
+   * @param {Object[]} [options.routes] - 라우트 테이블 (addRoutes() 참고)
+   * @param {Object|boolean} [options.cache] - 뷰 캐시 설정 ({ max, ttl } 또는 false로 비활성화)
+   * @param {boolean} [options.scrollRestoration=true] - 뒤로/앞으로 가기 시 스크롤 위치 복원, 새 이동 시 상단(또는 #앵커)으로 스크롤
+   * @param {boolean} [options.focusManagement=true] - 뷰 전환 후 제목으로 포커스 이동 및 스크린 리더 안내
+   * @param {string|Object} [options.transition='none'] - 뷰 전환 애니메이션 ('fade' | 'slide' | 'none' 또는 { name, duration })
    */
   init(options = {}) {
     if (options.loading) {
       this.loading = options.loading;
     }
 
+    if ('scrollRestoration' in options) {
+      this.scrollRestoration = options.scrollRestoration;
+    }
+
+    if ('focusManagement' in options) {
+      this.focusManagement = options.focusManagement;
+    }
+
+    if ('transition' in options) {
+      this.transition = { ...this.transition, ...this._normalizeTransition(options.transition) };
+    }
+
+    if ('cache' in options) {
+      this.cacheEnabled = options.cache !== false;
+      if (options.cache && typeof options.cache === 'object') {
+        this.viewCache = new ViewCache(options.cache);
+      }
+    }
+
+    if (options.routes) {
+      this.addRoutes(options.routes);
+    }
+
     // History API 사용 여부 설정
     if ('useHistory' in options) {
       this.useHistory = options.useHistory;
     }
 
+    // URL 모드 설정
+    if (options.mode) {
+      this.mode = options.mode === 'history' ? 'history' : 'hash';
+    }
+
+    if ('base' in options) {
+      this.base = this._normalizeBase(options.base);
+    }
+
+    if ('viewsBase' in options) {
+      this.viewsBase = options.viewsBase || null;
+    }
+
+    // 중복 등록 방지
+    if (this._popstateHandler) {
+      window.removeEventListener('popstate', this._popstateHandler);
+      this._popstateHandler = null;
+    }
+
     // History API 이벤트 리스너 (useHistory가 true일 때만)
     if (this.useHistory) {
       this._popstateHandler = (e) => {
-        if (e.state?.path) {
-          this._loadView(e.state.path, false);
-        }
+        if (!e.state?.path) return;
+
+        // 취소된 뒤로/앞으로 가기를 되돌리며 발생한 이동은 무시
+        const restoring = this._restoringIndex;
+        this._restoringIndex = null;
+        if (restoring !== null && e.state.index === restoring) return;
+
+        this._loadView(e.state.path, false, { popstate: true, key: e.state.key, index: e.state.index });
       };
       window.addEventListener('popstate', this._popstateHandler);
+
+      // 새로고침 시 현재 히스토리 항목의 키와 위치 복원
+      const state = window.history.state;
+      if (state && state.path) {
+        this._historyKey = state.key || null;
+        this._historyIndex = typeof state.index === 'number' ? state.index : 0;
+      }
+
+      // 브라우저 자동 스크롤 복원 대신 뷰 렌더링 후 직접 복원
+      if (this.scrollRestoration && 'scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+      }
     }
 
     // 초기 경로 자동 로드 (useHistory가 true일 때만)
     const autoNavigate = 'autoNavigate' in options ? options.autoNavigate : true;
     if (autoNavigate && this.useHistory) {
-      const initialPath = window.location.hash.slice(1) || '';
-      if (initialPath) {
+      const initialPath = this._getLocationPath();
+      // history 모드는 라우트가 없는 주소(정적 페이지)에서 자동 이동하지 않음
+      if (initialPath && (this.mode === 'hash' || this.resolve(initialPath))) {
         this.navigate(initialPath, true);
       }
     }
   }
 
+  /**
+   * 경로에 해당하는 URL 생성 (링크 href용)
+   * hash 모드는 '#/path', history 모드는 '/base/path'를 반환합니다.
+   * history 모드에서도 뷰 파일 경로(views/...)는 '/base/#views/...'로 표시합니다.
+   * @param {string} path - 라우트 경로 또는 뷰 파일 경로
+   * @returns {string} URL
+   *
+   * @example
+   * router.href('/products/42'); // '#/products/42'
+   *
+   * router.init({ mode: 'history', base: '/app' });
+   * router.href('/products/42'); // '/app/products/42'
+   */
+  href(path) {
+    if (this.mode === 'history' && path.startsWith('/')) {
+      return `${this.base}${path}`;
+    }
+
+    return this.mode === 'history' ? `${this.base}/#${path}` : `#${path}`;
+  }
+
+  /**
+   * 현재 브라우저 주소에서 라우터 경로 추출
+   * @private
+   * @returns {string}
+   */
+  _getLocationPath() {
+    const { pathname, search, hash } = window.location;
+
+    if (this.mode === 'hash') {
+      return hash.slice(1);
+    }
+
+    // history 모드의 뷰 파일 경로 (/base/#views/...)
+    if (hash.startsWith('#views/')) {
+      return hash.slice(1);
+    }
+
+    let path = pathname;
+    if (this.base && (path === this.base || path.startsWith(`${this.base}/`))) {
+      path = path.slice(this.base.length);
+    }
+
+    return `${path || '/'}${search}${hash}`;
+  }
+
+  /**
+   * 기본 경로 정규화 ('app/' → '/app', '/' → '')
+   * @private
+   * @param {string} base - 기본 경로
+   * @returns {string}
+   */
+  _normalizeBase(base) {
+    if (!base || base === '/') return '';
+    return `/${base.replace(/^\/+|\/+$/g, '')}`;
+  }
+
+  /**
+   * 라우트 등록
+   * @param {Object} route - 라우트 정의
+   * @param {string} route.path - URL 패턴 ('/products/:id', '/docs/*', '*'는 404 폴백)
+   * @param {string} route.view - 뷰 파일 경로 (':param' 치환 가능)
+   * @param {string} [route.name] - 라우트 이름 (url()로 역방향 URL 생성)
+   * @param {Object[]} [route.children] - 자식 라우트 (부모 뷰의 catui-outlet에 렌더링)
+   * @param {Object} [route.outlets] - 부모 뷰의 이름 있는 아웃렛에 렌더링할 뷰 ({ 이름: 뷰 경로 })
+   * @param {Object} [route.meta] - 라우트 메타 정보 (자식 라우트에 병합됨, 예: { requiresAuth: true })
+   * @param {Function|Function[]} [route.beforeEnter] - 라우트 진입 가드 (to, from) => false | 경로 | void
+   * @param {boolean} [route.cache=true] - false면 이 라우트의 뷰는 캐시하지 않음
+   * @param {string|Object} [route.transition] - 이 라우트로 이동할 때의 전환 애니메이션 (자식 라우트에 상속됨)
+   * @returns {ViewRouter} 체이닝용
+   *
+   * @example
+   * router.addRoute({
+   *   path: '/products/:id',
+   *   view: 'views/products/detail.html',
+   *   name: 'product'
+   * });
+   *
+   * @example
+   * // 레이아웃: views/admin/layout.html 안에 <div catui-outlet></div>
+   * router.addRoute({
+   *   path: '/admin',
+   *   view: 'views/admin/layout.html',
+   *   children: [
+   *     { path: '', view: 'views/admin/dashboard.html' },
+   *     {
+   *       path: 'users',
+   *       view: 'views/admin/users.html',
+   *       outlets: { toolbar: 'views/admin/users-toolbar.html' } // <div catui-outlet="toolbar">
+   *     }
+   *   ]
+   * });
+   */
+  addRoute(route) {
+    this._addRoute(route, null);
+    return this;
+  }
+
+  /**
+   * 라우트 등록 (자식 라우트 재귀 처리)
+   * @private
+   * @param {Object} route - 라우트 정의
+   * @param {Object|null} parent - 부모 라우트 레코드
+   */
+  _addRoute(route, parent) {
+    if (!route || typeof route.path !== 'string' || typeof route.view !== 'string') {
+      throw new Error('Route must have "path" and "view" strings');
+    }
+
+    const record = this._compileRoute(route, parent);
+
+    // 자식 라우트를 먼저 등록 (path: '' 인덱스 자식이 부모보다 우선 매칭)
+    if (Array.isArray(route.children)) {
+      route.children.forEach(child => this._addRoute(child, record));
+    }
+
+    if (route.path === '*' && !parent) {
+      this.notFoundRoute = record;
+    } else {
+      this.routes.push(record);
+    }
+
+    if (route.name) {
+      this.namedRoutes.set(route.name, record);
+    }
+  }
+
+  /**
+   * 라우트 여러 개 등록
+   * @param {Object[]} routes - 라우트 정의 배열 (등록 순서대로 매칭)
+   * @returns {ViewRouter} 체이닝용
+   *
+   * @example
+   * router.addRoutes([
+   *   { path: '/', view: 'views/home.html', name: 'home' },
+   *   { path: '/products/:id', view: 'views/products/detail.html', name: 'product' },
+   *   { path: '/docs/*', view: 'views/docs/viewer.html' },
+   *   { path: '*', view: 'views/404.html' }
+   * ]);
+   */
+  addRoutes(routes) {
+    routes.forEach(route => this.addRoute(route));
+    return this;
+  }
+
+  /**
+   * 등록된 라우트 모두 제거
+   */
+  clearRoutes() {
+    this.routes = [];
+    this.namedRoutes.clear();
+    this.notFoundRoute = null;
+  }
+
+  /**
+   * 경로를 뷰 파일로 해석
+   * '/'로 시작하면 라우트 테이블에서 찾고, 그 외에는 뷰 파일 경로로 취급합니다.
+   * 해석된 뷰 파일은 Security.validatePath()를 통과해야 합니다.
+   * @param {string} path - URL 경로 또는 뷰 파일 경로 (쿼리 스트링 포함 가능)
+   * @returns {Object|null} { path, view, params, query, hash, name, meta, matched } 또는 null
+   *
+   * @example
+   * router.resolve('/products/42?tab=reviews');
+   * // { path: '/products/42?tab=reviews', view: 'views/products/detail.html',
+   * //   params: { id: '42' }, query: { tab: 'reviews' }, name: 'product' }
+   */
+  resolve(path) {
+    if (typeof path !== 'string' || !path) return null;
+
+    const [location, hash = ''] = path.split('#');
+    const [pathname, queryString] = location.split('?');
+    const query = this._parseQuery(queryString);
+
+    let record = null;
+    let params = {};
+
+    if (pathname.startsWith('/')) {
+      for (const route of this.routes) {
+        const match = route.regex.exec(pathname);
+        if (match) {
+          record = route;
+          params = this._extractParams(route, match);
+          break;
+        }
+      }
+
+      if (!record && this.notFoundRoute) {
+        record = this.notFoundRoute;
+        params = { pathMatch: pathname };
+      }
+
+      if (!record) return null;
+    }
+
+    const matched = record
+      ? this._matchChain(record, params)
+      : [{ record: null, view: pathname, outlets: {}, key: pathname }];
+
+    // 해석된 뷰 파일 보안 검증 (레이아웃, 이름 있는 아웃렛 포함)
+    const valid = matched && matched.every(level =>
+      Security.validatePath(level.view) &&
+      Object.values(level.outlets).every(view => Security.validatePath(view))
+    );
+    if (!valid) {
+      return null;
+    }
+
+    return {
+      path,
+      view: matched[matched.length - 1].view,
+      params,
+      query,
+      hash,
+      name: record ? record.name : null,
+      meta: Object.assign({}, ...matched.map(level => (level.record && level.record.meta) || {})),
+      matched
+    };
+  }
+
+  /**
+   * 부모 레이아웃부터 말단까지 뷰 레벨 목록 생성
+   * @private
+   * @param {Object} record - 말단 라우트 레코드
+   * @param {Object} params - 경로 파라미터
+   * @returns {Object[]|null} 레벨 배열 (파라미터 누락 시 null)
+   */
+  _matchChain(record, params) {
+    const chain = [];
+    for (let current = record; current; current = current.parent) {
+      chain.unshift(current);
+    }
+
+    const matched = [];
+    for (const current of chain) {
+      const view = this._interpolate(current.view, params);
+      if (view === null) return null;
+
+      const outlets = {};
+      for (const [name, outletView] of Object.entries(current.outlets || {})) {
+        outlets[name] = this._interpolate(outletView, params);
+        if (outlets[name] === null) return null;
+      }
+
+      matched.push({
+        record: current,
+        view,
+        outlets,
+        key: `${view}|${JSON.stringify(outlets)}`
+      });
+    }
+
+    return matched;
+  }
+
+  /**
+   * 라우트 이름으로 URL 생성
+   * @param {string} name - 라우트 이름
+   * @param {Object} [params={}] - 경로 파라미터
+   * @param {Object} [query={}] - 쿼리 파라미터
+   * @returns {string} URL 경로
+   *
+   * @example
+   * router.url('product', { id: 42 }, { tab: 'reviews' });
+   * // '/products/42?tab=reviews'
+   */
+  url(name, params = {}, query = {}) {
+    const record = this.namedRoutes.get(name);
+    if (!record) {
+      throw new Error(`Route "${name}" not found`);
+    }
+
+    const path = record.path
+      .replace(/\/:(\w+)(\?)?/g, (_, key, optional) => {
+        const value = params[key];
+        if (value === undefined || value === null || value === '') {
+          if (optional) return '';
+          throw new Error(`Missing param "${key}" for route "${name}"`);
+        }
+        return `/${encodeURIComponent(value)}`;
+      })
+      .replace(/\/\*$/, () => (params.pathMatch ? `/${params.pathMatch}` : ''));
+
+    const searchParams = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        searchParams.append(key, value);
+      }
+    });
+    const queryString = searchParams.toString();
+
+    return `${path || '/'}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  /**
+   * 뷰 미리 가져오기
+   * 경로의 뷰 파일(레이아웃, 이름 있는 아웃렛 포함)을 캐시에 저장해 이후 이동을 즉시 처리합니다.
+   * @param {string|Object} path - 페이지 경로, 라우트 경로 또는 { name, params, query }
+   * @returns {Promise<boolean>} 성공 여부
+   *
+   * @example
+   * router.prefetch('/products/42');
+   */
+  async prefetch(path) {
+    if (!this.cacheEnabled) return false;
+
+    try {
+      if (path && typeof path === 'object') {
+        path = this.url(path.name, path.params, path.query);
+      }
+
+      const route = this.resolve(path);
+      if (!route) return false;
+
+      await Promise.all(route.matched.map(level => this._fetchLevel(level)));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 뷰 캐시 비우기
+   * @param {string} [view] - 특정 뷰 파일만 제거 (없으면 전체)
+   *
+   * @example
+   * router.clearCache('views/products/list.html');
+   * router.clearCache();
+   */
+  clearCache(view) {
+    if (view) {
+      this.viewCache.delete(view);
+    } else {
+      this.viewCache.clear();
+    }
+  }
+
   /**
    * 페이지 이동
-   * @param {string} path - 페이지 경로
+   * @param {string|Object} path - 페이지 경로, 라우트 경로 또는 { name, params, query }
    * @param {boolean} [replace=false] - 히스토리 교체 여부
    * @returns {Promise<void>}
    *
    * @example
    * router.navigate('views/home.html');
    * router.navigate('views/login.html', true); // 히스토리 교체
+   * router.navigate('/products/42');
+   * router.navigate({ name: 'product', params: { id: 42 } });
    */
   async navigate(path, replace = false) {
-    // 경로 보안 검증
-    if (!Security.validatePath(path)) {
+    if (path && typeof path === 'object') {
+      path = this.url(path.name, path.params, path.query);
+    }
+
+    // 경로 해석 및 보안 검증
+    if (!this.resolve(path)) {
       console.error('Invalid path:', path);
       await this._emitHook('onError', new Error('Invalid path'));
       return;
@@ -101,33 +582,101 @@ export class ViewRouter {
    * @private
    * @param {string} path - 경로 (쿼리 스트링 포함 가능)
    * @param {boolean} [pushState=true] - pushState 사용 여부
+   * @param {Object} [context={}] - 네비게이션 정보
+   * @param {boolean} [context.popstate] - 뒤로/앞으로 가기로 시작된 네비게이션 여부
+   * @param {string} [context.key] - 뒤로/앞으로 가기 대상 히스토리 항목 키
+   * @param {number} [context.index] - 뒤로/앞으로 가기 대상 히스토리 항목 위치
+   * @param {number} [context.redirects] - 가드 리다이렉트 횟수
    */
-  async _loadView(path, pushState = true) {
+  async _loadView(path, pushState = true, context = {}) {
     const from = this.currentPath;
+    const navigationId = ++this.navigationId;
+    const controller = new AbortController();
+
+    // 가드 실행 중 더 최근 네비게이션이 시작되었는지 여부
+    const isStale = () => navigationId !== this.navigationId;
+    // 가드를 통과한 뒤 더 최근 네비게이션이 가드를 통과했는지 여부
+    // (새 네비게이션이 가드에서 취소되면 진행 중이던 네비게이션은 계속됨)
+    const isSuperseded = () => navigationId !== this._activeNavigationId;
 
     try {
-      // 이전 뷰의 인스턴스 정리
-      this._cleanupCurrentView();
+      // 경로 해석 (fetch는 뷰 파일 경로만 필요)
+      const route = this.resolve(path);
+      if (!route) {
+        throw new Error('Invalid path');
+      }
 
-      // beforeLoad 훅
-      await this._emitHook('beforeLoad', path, from);
+      // 가드 실행 시점에 교체될 레이아웃 깊이 (beforeLeave/beforeEnter 범위)
+      const guardDepth = this._getMountDepth(route.matched);
 
-      // 로딩 표시
-      if (this.loading) {
-        this.loading.show('페이지 로딩 중...');
+      // 네비게이션 가드 (beforeLeave → beforeLoad → beforeEnter)
+      const result = await this._runGuards(path, from, route, guardDepth, navigationId);
+
+      if (isStale()) return;
+
+      if (result === false) {
+        // 뒤로/앞으로 가기가 취소되면 원래 히스토리 항목으로 되돌아감 (항목을 추가하지 않음)
+        if (context.popstate && this.useHistory && from) {
+          const delta = context.index !== undefined ? this._historyIndex - context.index : 0;
+          if (delta) {
+            this._restoringIndex = this._historyIndex;
+            window.history.go(delta);
+          } else {
+            window.history.replaceState(
+              { path: from, key: this._historyKey, index: this._historyIndex },
+              '',
+              this.href(from)
+            );
+          }
+        }
+        return;
+      }
+
+      if (result !== true) {
+        const redirects = (context.redirects || 0) + 1;
+        if (redirects > ViewRouter.MAX_REDIRECTS) {
+          throw new Error(`Too many redirects from "${path}"`);
+        }
+
+        const target = typeof result === 'object' ? this.url(result.name, result.params, result.query) : result;
+        // 뒤로/앞으로 가기 중 리다이렉트되면 이동한 히스토리 항목을 교체 (항목을 추가하지 않음)
+        if (context.popstate) {
+          await this._loadView(target, false, { redirects, key: context.key, index: context.index });
+        } else {
+          await this._loadView(target, pushState, { redirects });
+        }
+        return;
       }
 
-      // 쿼리 스트링 분리 (fetch는 파일 경로만 필요)
-      const [filePath] = path.split('?');
+      // 가드를 통과했으므로 이전 네비게이션의 뷰 요청 취소
+      this._activeNavigationId = navigationId;
+      if (this._abortController) {
+        this._abortController.abort();
+      }
+      this._abortController = controller;
+
+      // 가드를 기다리는 동안 이전 네비게이션이 렌더링했을 수 있으므로 현재 레벨 기준으로 다시 계산
+      // (유지되는 레이아웃 깊이, 이 깊이부터 아웃렛 교체)
+      const depth = this._getMountDepth(route.matched);
 
-      // HTML 파일 가져오기
-      const response = await fetch(filePath);
+      // 떠나는 히스토리 항목의 스크롤 위치 저장
+      this._saveScrollPosition();
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      // 교체되는 뷰의 인스턴스만 정리
+      this._cleanupCurrentView(depth);
+
+      // 로딩 표시
+      if (this.loading) {
+        this.loading.show('페이지 로딩 중...');
       }
 
-      const html = await response.text();
+      // 교체할 뷰 파일 가져오기 (모두 받은 후 렌더링)
+      const contents = await Promise.all(
+        route.matched.slice(depth).map(level => this._fetchLevel(level, controller.signal))
+      );
+
+      // 늦게 도착한 이전 네비게이션의 응답은 버림
+      if (isSuperseded()) return;
 
       // 뷰 파일 렌더링
       // views/ 폴더 및 하위 폴더의 뷰 파일은 개발자가 작성한 신뢰할 수 있는 파일이므로
@@ -138,37 +687,591 @@ export class ViewRouter {
       // - 경로 순회 공격(..), 절대 경로 차단
       // - 사용자 입력은 뷰 내부에서 IMCAT.escape()로 처리
       // - views/admin/dashboard.html 같은 하위 폴더도 지원
-
-      // 컨테이너에 렌더링
-      const container = document.querySelector(this.container);
-      if (container) {
-        container.innerHTML = html;
-
-        // 스크립트 실행
-        this._executeScripts(container);
-      }
+      await this._transitionView(route, depth, context, () => {
+        this._renderLevels(route.matched, depth, contents);
+      });
 
       // History API 업데이트 (useHistory가 true일 때만)
-      if (pushState && this.useHistory) {
-        window.history.pushState({ path }, '', `#${path}`);
+      if (this.useHistory) {
+        if (context.popstate) {
+          this._historyKey = context.key || null;
+          if (context.index !== undefined) {
+            this._historyIndex = context.index;
+          }
+        } else {
+          // 뒤로/앞으로 가기에서 리다이렉트된 경우 이동한 항목의 위치와 키 사용
+          if (context.index !== undefined) {
+            this._historyIndex = context.index;
+            this._historyKey = context.key || null;
+          }
+
+          // 교체는 같은 히스토리 항목이므로 키 유지
+          if (pushState || !this._historyKey) {
+            this._historyKey = this._createHistoryKey();
+          }
+          if (pushState) {
+            this._historyIndex++;
+          }
+          const method = pushState ? 'pushState' : 'replaceState';
+          window.history[method](
+            { path, key: this._historyKey, index: this._historyIndex },
+            '',
+            this.href(path)
+          );
+        }
       }
 
       this.currentPath = path;
+      this.currentRoute = route;
+
+      // 스크롤 복원/이동 및 포커스 관리
+      this._restoreScroll(route, context);
+      this._manageFocus(route, this._levels[depth], from);
 
       // afterLoad 훅
-      await this._emitHook('afterLoad', path);
+      await this._emitHook('afterLoad', path, navigationId);
 
     } catch (error) {
+      // 취소된 이전 네비게이션의 에러는 무시
+      if (isStale() && isSuperseded()) return;
+
       console.error('Failed to load view:', error);
-      await this._emitHook('onError', error);
+      await this._emitHook('onError', error, navigationId);
     } finally {
-      // 로딩 숨김
-      if (this.loading) {
+      if (this._abortController === controller) {
+        this._abortController = null;
+      }
+
+      // 로딩 숨김 (최신 네비게이션만)
+      if (this.loading && !isSuperseded()) {
         this.loading.hide();
       }
     }
   }
 
+  /**
+   * 전환 애니메이션과 함께 뷰 렌더링
+   * View Transitions API를 지원하면 사용하고, 아니면 AnimationUtil로 새 뷰에 진입 애니메이션을 적용합니다.
+   * @private
+   * @param {Object} route - 해석된 라우트
+   * @param {number} depth - 렌더링 시작 깊이
+   * @param {Object} context - 네비게이션 컨텍스트
+   * @param {Function} render - 렌더링 함수
+   * @returns {Promise<void>}
+   */
+  async _transitionView(route, depth, context, render) {
+    const transition = this._getTransition(route);
+    const target = depth > 0 && this._levels[depth - 1]
+      ? this._levels[depth - 1].outlets.default
+      : document.querySelector(this.container);
+
+    const reducedMotion = typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    if (transition.name === 'none' || !target || reducedMotion) {
+      render();
+      return;
+    }
+
+    // 뒤로 가기는 반대 방향으로 슬라이드
+    const back = !!context.popstate && context.index !== undefined && context.index < this._historyIndex;
+    const name = transition.name === 'slide' ? `slide-${back ? 'back' : 'forward'}` : transition.name;
+
+    if (document.startViewTransition) {
+      await this._transitionNative(target, name, transition.duration, render);
+    } else {
+      render();
+      AnimationUtil.animate(target).keyframes(
+        ViewRouter.TRANSITION_KEYFRAMES[name],
+        transition.duration
+      );
+    }
+  }
+
+  /**
+   * View Transitions API를 사용한 뷰 전환
+   * @private
+   * @param {HTMLElement} target - 교체되는 컨테이너
+   * @param {string} name - 전환 이름 (fade, slide-forward, slide-back)
+   * @param {number} duration - 지속 시간 (ms)
+   * @param {Function} render - 렌더링 함수
+   * @returns {Promise<void>}
+   */
+  async _transitionNative(target, name, duration, render) {
+    const styleId = 'imcat-route-transition-style';
+    let styleEl = document.getElementById(styleId);
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = styleId;
+      document.head.appendChild(styleEl);
+    }
+
+    const offset = name === 'slide-back' ? -40 : 40;
+    const enter = name === 'fade' ? 'opacity: 0;' : `opacity: 0; transform: translateX(${offset}px);`;
+    const leave = name === 'fade' ? 'opacity: 0;' : `opacity: 0; transform: translateX(${-offset}px);`;
+
+    styleEl.textContent = `
+      ::view-transition-old(catui-view) {
+        animation: catui-view-leave ${duration}ms ease-out both;
+      }
+      ::view-transition-new(catui-view) {
+        animation: catui-view-enter ${duration}ms ease-out both;
+      }
+      @keyframes catui-view-leave {
+        to { ${leave} }
+      }
+      @keyframes catui-view-enter {
+        from { ${enter} }
+      }
+    `;
+
+    const root = document.documentElement;
+    target.style.viewTransitionName = 'catui-view';
+    root.setAttribute('data-catui-transition', name);
+
+    const transition = document.startViewTransition(render);
+
+    const cleanup = () => {
+      target.style.viewTransitionName = '';
+      root.removeAttribute('data-catui-transition');
+    };
+    transition.finished.then(cleanup, cleanup);
+
+    await transition.updateCallbackDone;
+  }
+
+  /**
+   * 라우트에 적용할 전환 설정 (가장 깊은 라우트의 transition 우선)
+   * @private
+   * @param {Object} route - 해석된 라우트
+   * @returns {Object} { name, duration }
+   */
+  _getTransition(route) {
+    for (let i = route.matched.length - 1; i >= 0; i--) {
+      let record = route.matched[i].record;
+      while (record) {
+        if (record.transition !== undefined) {
+          return { ...this.transition, ...this._normalizeTransition(record.transition) };
+        }
+        record = record.parent;
+      }
+    }
+
+    return this.transition;
+  }
+
+  /**
+   * 전환 옵션 정규화
+   * @private
+   * @param {string|Object|boolean} option - 'fade' | 'slide' | 'none' | false | { name, duration }
+   * @returns {Object} { name, duration? }
+   */
+  _normalizeTransition(option) {
+    const transition = option && typeof option === 'object' ? { ...option } : { name: option || 'none' };
+
+    if (!['fade', 'slide', 'none'].includes(transition.name)) {
+      console.warn(`Unknown view transition: "${transition.name}"`);
+      transition.name = 'none';
+    }
+
+    return transition;
+  }
+
+  /**
+   * 히스토리 항목 키 생성
+   * @private
+   * @returns {string}
+   */
+  _createHistoryKey() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 현재 히스토리 항목의 스크롤 위치 저장
+   * @private
+   */
+  _saveScrollPosition() {
+    if (!this.scrollRestoration || !this._historyKey) return;
+
+    this._scrollPositions.delete(this._historyKey);
+    this._scrollPositions.set(this._historyKey, {
+      x: window.scrollX,
+      y: window.scrollY
+    });
+
+    while (this._scrollPositions.size > ViewRouter.SCROLL_POSITIONS_LIMIT) {
+      this._scrollPositions.delete(this._scrollPositions.keys().next().value);
+    }
+  }
+
+  /**
+   * 뷰 렌더링 후 스크롤 처리
+   * 뒤로/앞으로 가기는 저장된 위치로 복원하고, 새 이동은 #앵커 또는 상단으로 스크롤합니다.
+   * @private
+   * @param {Object} route - 해석된 라우트
+   * @param {Object} context - 네비게이션 정보
+   */
+  _restoreScroll(route, context) {
+    if (!this.scrollRestoration) return;
+
+    const saved = context.popstate && this._scrollPositions.get(context.key);
+    if (saved) {
+      window.scrollTo(saved.x, saved.y);
+      return;
+    }
+
+    const anchor = route.hash && document.getElementById(this._decodeHash(route.hash));
+    if (anchor) {
+      anchor.scrollIntoView();
+      return;
+    }
+
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * #앵커 디코딩 (잘못된 인코딩이면 그대로 사용)
+   * @private
+   * @param {string} hash - # 뒤의 값
+   * @returns {string}
+   */
+  _decodeHash(hash) {
+    try {
+      return decodeURIComponent(hash);
+    } catch (error) {
+      return hash;
+    }
+  }
+
+  /**
+   * 뷰 전환 후 포커스 이동 및 스크린 리더 안내
+   * 교체된 뷰의 [catui-focus], h1, h2 순으로 포커스를 옮기고 페이지 제목을 aria-live로 알립니다.
+   * 첫 페이지 로드에서는 실행하지 않습니다.
+   * @private
+   * @param {Object} route - 해석된 라우트
+   * @param {Object} [level] - 교체된 뷰 레벨
+   * @param {string} from - 이전 경로
+   */
+  _manageFocus(route, level, from) {
+    if (route.meta.title) {
+      document.title = route.meta.title;
+    }
+
+    if (!this.focusManagement || !from || !level || !level.container) return;
+
+    const container = level.container;
+    const target = container.querySelector('[catui-focus]') ||
+      container.querySelector('h1') ||
+      container.querySelector('h2') ||
+      container;
+
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+    target.focus({ preventScroll: true });
+
+    const heading = target !== container ? target.textContent.trim() : '';
+    this._announce(route.meta.title || heading || document.title);
+  }
+
+  /**
+   * 스크린 리더용 aria-live 안내
+   * @private
+   * @param {string} message - 안내 메시지
+   */
+  _announce(message) {
+    if (!message) return;
+
+    if (!this._announcer || !this._announcer.isConnected) {
+      this._announcer = document.createElement('div');
+      this._announcer.setAttribute('aria-live', 'polite');
+      this._announcer.setAttribute('aria-atomic', 'true');
+      this._announcer.className = 'catui-route-announcer';
+
+      // 화면에는 보이지 않게 (visually-hidden)
+      Object.assign(this._announcer.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        margin: '-1px',
+        padding: '0',
+        overflow: 'hidden',
+        clip: 'rect(0, 0, 0, 0)',
+        whiteSpace: 'nowrap',
+        border: '0'
+      });
+
+      document.body.appendChild(this._announcer);
+    }
+
+    this._announcer.textContent = message;
+  }
+
+  /**
+   * 네비게이션 가드 실행
+   * 가드가 false를 반환하면 취소, 경로(문자열 또는 { name, params, query })를 반환하면 리다이렉트합니다.
+   * 가드에서 발생한 에러는 네비게이션을 중단하고 onError 훅으로 전달됩니다.
+   * @private
+   * @param {string} path - 이동할 경로
+   * @param {string} from - 현재 경로
+   * @param {Object} to - 해석된 이동할 라우트
+   * @param {number} depth - 유지되는 레이아웃 깊이
+   * @param {number} navigationId - 네비게이션 ID
+   * @returns {Promise<boolean|string|Object>} true(진행), false(취소) 또는 리다이렉트 경로
+   */
+  async _runGuards(path, from, to, depth, navigationId) {
+    const fromRoute = this.currentRoute;
+
+    // 교체되는 뷰의 beforeLeave 가드
+    const leaveGuards = this._collectScopes(depth, 'leaveGuards').flat();
+    for (const guard of leaveGuards) {
+      const result = this._guardResult(await guard(to, fromRoute));
+      if (result !== true) return result;
+    }
+
+    // 전역 beforeLoad 가드
+    for (const handler of [...this.hooks.beforeLoad]) {
+      const result = this._guardResult(await handler(path, from, navigationId));
+      if (result !== true) return result;
+    }
+
+    // 새로 진입하는 라우트의 beforeEnter 가드
+    for (const level of to.matched.slice(depth)) {
+      const guards = [].concat((level.record && level.record.beforeEnter) || []);
+      for (const guard of guards) {
+        const result = this._guardResult(await guard(to, fromRoute));
+        if (result !== true) return result;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 가드 반환값 정규화
+   * @private
+   * @param {*} result - 가드 반환값
+   * @returns {boolean|string|Object}
+   */
+  _guardResult(result) {
+    if (result === false) return false;
+    if (typeof result === 'string' || (result && typeof result === 'object')) return result;
+    return true;
+  }
+
+  /**
+   * 뷰 파일 HTML 가져오기 (캐시 사용)
+   * 진행 중인 요청도 캐시되므로 prefetch와 navigate가 동시에 호출되어도 한 번만 요청합니다.
+   * @private
+   * @param {string} view - 뷰 파일 경로
+   * @param {boolean} [useCache=true] - 캐시 사용 여부
+   * @param {AbortSignal} [signal] - 요청 취소 시그널
+   * @returns {Promise<string>}
+   */
+  _fetchView(view, useCache = true, signal) {
+    if (!this.cacheEnabled || !useCache) {
+      return this._requestView(view, signal);
+    }
+
+    const cached = this.viewCache.get(view);
+    if (cached) {
+      // 공유한 요청이 다른 네비게이션에서 취소되었으면 다시 요청
+      return cached.catch((error) => {
+        if (error && error.name === 'AbortError' && !(signal && signal.aborted)) {
+          return this._fetchView(view, useCache, signal);
+        }
+        throw error;
+      });
+    }
+
+    const request = this._requestView(view, signal);
+    this.viewCache.set(view, request);
+
+    // 실패한 요청은 캐시에서 제거
+    request.catch(() => {
+      if (this.viewCache.get(view) === request) {
+        this.viewCache.delete(view);
+      }
+    });
+
+    return request;
+  }
+
+  /**
+   * 뷰 파일 요청
+   * @private
+   * @param {string} view - 뷰 파일 경로
+   * @param {AbortSignal} [signal] - 요청 취소 시그널
+   * @returns {Promise<string>}
+   */
+  async _requestView(view, signal) {
+    const url = this._viewUrl(view);
+    const response = signal ? await fetch(url, { signal }) : await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.text();
+  }
+
+  /**
+   * 뷰 파일 요청 URL
+   * history 모드에서는 현재 주소가 /app/products/42처럼 중첩되므로
+   * 상대 경로를 문서 주소가 아닌 origin + base 기준으로 해석합니다.
+   * @private
+   * @param {string} view - 뷰 파일 경로 (views/...)
+   * @returns {string}
+   */
+  _viewUrl(view) {
+    if (this.viewsBase) {
+      return `${this.viewsBase.replace(/\/+$/, '')}/${view}`;
+    }
+
+    if (this.mode !== 'history' || typeof window === 'undefined') {
+      return view;
+    }
+
+    return new URL(view, `${window.location.origin}${this.base}/`).href;
+  }
+
+  /**
+   * 한 레벨의 뷰와 이름 있는 아웃렛 뷰 가져오기
+   * @private
+   * @param {Object} level - 뷰 레벨
+   * @param {AbortSignal} [signal] - 요청 취소 시그널
+   * @returns {Promise<Object>} { html, outlets }
+   */
+  async _fetchLevel(level, signal) {
+    const useCache = !level.record || level.record.cache !== false;
+    const names = Object.keys(level.outlets);
+    const [html, ...outletHtmls] = await Promise.all([
+      this._fetchView(level.view, useCache, signal),
+      ...names.map(name => this._fetchView(level.outlets[name], useCache, signal))
+    ]);
+
+    const outlets = {};
+    names.forEach((name, index) => {
+      outlets[name] = outletHtmls[index];
+    });
+
+    return { html, outlets };
+  }
+
+  /**
+   * 유지할 수 있는 레이아웃 깊이 계산
+   * 말단 뷰는 항상 다시 렌더링합니다.
+   * @private
+   * @param {Object[]} matched - 새 경로의 뷰 레벨
+   * @returns {number}
+   */
+  _getMountDepth(matched) {
+    const root = document.querySelector(this.container);
+    if (!this._levels.length || this._levels[0].container !== root) {
+      return 0;
+    }
+
+    let depth = 0;
+    while (
+      depth < matched.length - 1 &&
+      depth < this._levels.length &&
+      this._levels[depth].record === matched[depth].record &&
+      this._levels[depth].key === matched[depth].key
+    ) {
+      depth++;
+    }
+
+    return depth;
+  }
+
+  /**
+   * 지정한 깊이부터 뷰 레벨 렌더링
+   * @private
+   * @param {Object[]} matched - 새 경로의 뷰 레벨
+   * @param {number} depth - 렌더링 시작 깊이
+   * @param {Object[]} contents - 레벨별 { html, outlets }
+   */
+  _renderLevels(matched, depth, contents) {
+    // 교체되는 레벨이 채웠던 이름 있는 아웃렛 비우기
+    this._levels.slice(depth).forEach(level => {
+      level.namedTargets.forEach(target => {
+        target.innerHTML = '';
+      });
+    });
+    this._levels.length = depth;
+
+    contents.forEach((content, offset) => {
+      const index = depth + offset;
+      const parent = this._levels[index - 1];
+      const container = parent
+        ? parent.outlets.default
+        : document.querySelector(this.container);
+
+      if (!container && parent) {
+        throw new Error(`Outlet not found for "${matched[index].view}"`);
+      }
+
+      const level = {
+        record: matched[index].record,
+        key: matched[index].key,
+        container,
+        outlets: {},
+        namedTargets: [],
+        instances: [],
+        leaveGuards: []
+      };
+      this._levels.push(level);
+
+      // 렌더링 중 등록되는 인스턴스와 가드는 이 레벨 소속
+      this.currentViewInstances = level.instances;
+      this.currentLeaveGuards = level.leaveGuards;
+
+      // 컨테이너에 렌더링
+      if (container) {
+        container.innerHTML = content.html;
+        level.outlets = this._findOutlets(container);
+
+        // 스크립트 실행
+        this._executeScripts(container);
+      }
+
+      // 이름 있는 아웃렛 렌더링
+      Object.entries(content.outlets).forEach(([name, html]) => {
+        const target = parent
+          ? parent.outlets[name]
+          : document.querySelector(`[catui-outlet="${name}"]`);
+
+        if (!target) {
+          console.warn(`Outlet "${name}" not found`);
+          return;
+        }
+
+        target.innerHTML = html;
+        this._executeScripts(target);
+        level.namedTargets.push(target);
+      });
+    });
+  }
+
+  /**
+   * 컨테이너 안의 아웃렛 요소 찾기
+   * @private
+   * @param {HTMLElement} container - 컨테이너
+   * @returns {Object} { default, [이름]: HTMLElement }
+   */
+  _findOutlets(container) {
+    const outlets = {};
+
+    container.querySelectorAll('[catui-outlet]').forEach(el => {
+      const name = el.getAttribute('catui-outlet') || 'default';
+      if (!outlets[name]) {
+        outlets[name] = el;
+      }
+    });
+
+    return outlets;
+  }
+
   /**
    * 스크립트 실행
    * @private
@@ -195,6 +1298,7 @@ export class ViewRouter {
 
   /**
    * URL 파라미터 조회
+   * 쿼리 파라미터와 라우트 경로 파라미터를 합쳐서 반환합니다.
    * @returns {Object} 파라미터 객체
    *
    * @example
@@ -202,11 +1306,29 @@ export class ViewRouter {
    * const params = router.params();
    * console.log(params.id); // '123'
    * console.log(params.color); // 'red'
+   *
+   * @example
+   * // 라우트: /products/:id, URL: #/products/42?tab=reviews
+   * router.params(); // { tab: 'reviews', id: '42' }
    */
   params() {
-    const hash = window.location.hash.slice(1);
-    const [, queryString] = hash.split('?');
+    if (this.currentRoute) {
+      return { ...this.currentRoute.query, ...this.currentRoute.params };
+    }
 
+    const [location] = this._getLocationPath().split('#');
+    const [, queryString] = location.split('?');
+
+    return this._parseQuery(queryString);
+  }
+
+  /**
+   * 쿼리 스트링 파싱
+   * @private
+   * @param {string} [queryString] - 쿼리 스트링 ('?' 제외)
+   * @returns {Object}
+   */
+  _parseQuery(queryString) {
     if (!queryString) return {};
 
     const params = {};
@@ -220,6 +1342,95 @@ export class ViewRouter {
     return params;
   }
 
+  /**
+   * 라우트 패턴 컴파일
+   * @private
+   * @param {Object} route - 라우트 정의
+   * @param {Object|null} [parent=null] - 부모 라우트 레코드
+   * @returns {Object} 라우트 레코드
+   */
+  _compileRoute(route, parent = null) {
+    const definition = { ...route };
+    delete definition.children;
+
+    // 자식 경로는 부모 경로 기준
+    const path = parent
+      ? `${parent.path.replace(/\/+$/, '')}/${route.path.replace(/^\/+/, '')}`.replace(/(.)\/+$/, '$1')
+      : route.path;
+
+    const keys = [];
+    const segments = path.split('/').filter(Boolean);
+
+    const source = segments.map((segment) => {
+      if (segment === '*') {
+        keys.push('pathMatch');
+        return '(?:/(.*))?';
+      }
+
+      const param = segment.match(/^:(\w+)(\?)?$/);
+      if (param) {
+        keys.push(param[1]);
+        return param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+      }
+
+      return `/${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&')}`;
+    }).join('');
+
+    return {
+      ...definition,
+      path,
+      parent,
+      name: route.name || null,
+      keys,
+      regex: new RegExp(`^${source}/?$`)
+    };
+  }
+
+  /**
+   * 매칭 결과에서 파라미터 추출
+   * @private
+   * @param {Object} route - 라우트 레코드
+   * @param {Array} match - 정규식 매칭 결과
+   * @returns {Object}
+   */
+  _extractParams(route, match) {
+    const params = {};
+
+    route.keys.forEach((key, index) => {
+      const value = match[index + 1];
+      if (value === undefined) return;
+
+      try {
+        params[key] = decodeURIComponent(value);
+      } catch (e) {
+        params[key] = value;
+      }
+    });
+
+    return params;
+  }
+
+  /**
+   * 뷰 경로에 파라미터 치환
+   * @private
+   * @param {string} view - 뷰 경로 ('views/docs/:page.html')
+   * @param {Object} params - 파라미터
+   * @returns {string|null} 치환된 경로 (파라미터 누락 시 null)
+   */
+  _interpolate(view, params) {
+    let missing = false;
+
+    const result = view.replace(/:(\w+)/g, (_, key) => {
+      if (params[key] === undefined) {
+        missing = true;
+        return '';
+      }
+      return params[key];
+    });
+
+    return missing ? null : result;
+  }
+
   /**
    * 뒤로 가기
    *
@@ -282,43 +1493,109 @@ export class ViewRouter {
   }
 
   /**
-   * 현재 뷰의 모든 인스턴스 정리
+   * 현재 뷰의 인스턴스 정리
    * @private
+   * @param {number} [depth=0] - 이 깊이 이하(교체되는 아웃렛)의 인스턴스만 정리
    */
-  _cleanupCurrentView() {
-    // 현재 뷰의 모든 인스턴스 정리
-    this.currentViewInstances.forEach(instance => {
-      try {
-        if (instance && typeof instance.destroy === 'function') {
-          instance.destroy();
+  _cleanupCurrentView(depth = 0) {
+    this._collectScopes(depth, 'instances').forEach(instances => {
+      instances.forEach(instance => {
+        try {
+          if (instance && typeof instance.destroy === 'function') {
+            instance.destroy();
+          }
+        } catch (error) {
+          console.error('Error destroying instance:', error);
         }
-      } catch (error) {
-        console.error('Error destroying instance:', error);
-      }
+      });
+
+      // 인스턴스 배열 초기화
+      instances.length = 0;
     });
 
-    // 인스턴스 배열 초기화
-    this.currentViewInstances = [];
+    this._collectScopes(depth, 'leaveGuards').forEach(guards => {
+      guards.length = 0;
+    });
+
+    // 이후 등록은 유지되는 레이아웃 소속
+    const parent = this._levels[depth - 1];
+    this.currentViewInstances = parent ? parent.instances : [];
+    this.currentLeaveGuards = parent ? parent.leaveGuards : [];
+  }
+
+  /**
+   * 지정한 깊이 이하 뷰 레벨의 인스턴스/가드 배열 수집
+   * @private
+   * @param {number} depth - 시작 깊이
+   * @param {string} key - 'instances' 또는 'leaveGuards'
+   * @returns {Array[]}
+   */
+  _collectScopes(depth, key) {
+    const lists = this._levels.slice(depth).map(level => level[key]);
+    const current = key === 'instances' ? this.currentViewInstances : this.currentLeaveGuards;
+
+    // 뷰 로드 전에 등록된 항목
+    if (depth === 0 && !lists.includes(current)) {
+      lists.push(current);
+    }
+
+    return lists;
   }
 
   /**
    * beforeLoad 훅 등록
-   * @param {Function} handler - 핸들러 (path, from) => {}
+   * false를 반환하면 이동을 취소하고, 경로를 반환하면 해당 경로로 리다이렉트합니다.
+   * @param {Function} handler - 핸들러 (path, from, navigationId) => boolean | 경로 | void
    * @returns {Function} 구독 취소 함수
    *
    * @example
    * const unsubscribe = router.beforeLoad((path, from) => {
    *   console.log(`${from} → ${path}`);
    * });
+   *
+   * @example
+   * // 인증이 필요한 라우트 보호
+   * router.beforeLoad((path) => {
+   *   const to = router.resolve(path);
+   *   if (to.meta.requiresAuth && !isLoggedIn()) {
+   *     return `/login?redirect=${encodeURIComponent(path)}`;
+   *   }
+   * });
    */
   beforeLoad(handler) {
     this.hooks.beforeLoad.push(handler);
     return () => this._removeHook('beforeLoad', handler);
   }
 
+  /**
+   * beforeLeave 가드 등록
+   * 현재 뷰에 등록되며, 뷰가 교체되면 자동으로 제거됩니다.
+   * @param {Function} handler - 가드 (to, from) => boolean | 경로 | Promise
+   * @returns {Function} 구독 취소 함수
+   *
+   * @example
+   * // 저장하지 않은 폼 데이터가 있으면 이동 전 확인
+   * router.beforeLeave(async () => {
+   *   if (!form.isDirty()) return true;
+   *   return IMCAT.confirm('저장하지 않은 내용이 있습니다. 이동할까요?');
+   * });
+   */
+  beforeLeave(handler) {
+    const guards = this.currentLeaveGuards;
+    guards.push(handler);
+
+    return () => {
+      const index = guards.indexOf(handler);
+      if (index !== -1) {
+        guards.splice(index, 1);
+      }
+    };
+  }
+
   /**
    * afterLoad 훅 등록
-   * @param {Function} handler - 핸들러 (path) => {}
+   * 더 최근 네비게이션에 의해 취소된 로드에서는 호출되지 않습니다.
+   * @param {Function} handler - 핸들러 (path, navigationId) => {}
    * @returns {Function} 구독 취소 함수
    *
    * @example
@@ -333,7 +1610,8 @@ export class ViewRouter {
 
   /**
    * onError 훅 등록
-   * @param {Function} handler - 핸들러 (error) => {}
+   * 더 최근 네비게이션에 의해 취소된 로드에서는 호출되지 않습니다.
+   * @param {Function} handler - 핸들러 (error, navigationId) => {}
    * @returns {Function} 구독 취소 함수
    *
    * @example
@@ -391,7 +1669,7 @@ export class ViewRouter {
    * @returns {number}
    */
   getInstanceCount() {
-    return this.currentViewInstances.length;
+    return this._collectScopes(0, 'instances').reduce((count, instances) => count + instances.length, 0);
   }
 
   /**
@@ -405,6 +1683,14 @@ export class ViewRouter {
       this._popstateHandler = null;
     }
 
+    // 진행 중인 네비게이션 취소
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+    this.navigationId++;
+    this._activeNavigationId = this.navigationId;
+
     // 현재 뷰의 인스턴스 정리
     this._cleanupCurrentView();
 
@@ -416,8 +1702,24 @@ export class ViewRouter {
       this.loading.forceHide();
     }
 
+    // 라우트 테이블 및 뷰 캐시 정리
+    this.clearRoutes();
+    this.clearCache();
+
+    // 스크린 리더 안내 요소 제거
+    if (this._announcer) {
+      this._announcer.remove();
+      this._announcer = null;
+    }
+
     // 상태 초기화
     this.currentPath = '';
+    this.currentRoute = null;
+    this._historyKey = null;
+    this._historyIndex = 0;
+    this._restoringIndex = null;
+    this._scrollPositions.clear();
+    this._levels = [];
     this.instances.clear();
   }
 }
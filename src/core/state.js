@@ -3,6 +3,10 @@
  * @module core/state
  */
 
+import { Storage } from './storage.js';
+import { Utils } from './utils.js';
+import { Config } from './config.js';
+
 /**
  * 리액티브 상태 관리 클래스
  * @class
@@ -17,6 +21,11 @@ export class StateManager {
   /**
    * 상태 스토어 생성
    * @param {Object} initialState - 초기 상태
+   * @param {Object} [options={}] - 옵션
+   * @param {boolean|Object} [options.persist] - Storage 영속화
+   * @param {boolean|Object} [options.history] - 실행 취소/다시 실행 이력
+   * @param {Object<string, Function>} [options.actions] - 액션 ((store, payload) => *)
+   * @param {string} [options.name] - 디버그 로그에 표시할 스토어 이름
    * @returns {Proxy} 리액티브 상태 객체
    *
    * @example
@@ -31,9 +40,27 @@ export class StateManager {
    * });
    *
    * store.count++; // 자동으로 감지됨
+   *
+   * // Storage에 저장하고 새로고침 후 복원
+   * const cart = StateManager.create({ items: [], coupon: null }, {
+   *   persist: { key: 'cart', include: ['items'] }
+   * });
+   *
+   * // 실행 취소/다시 실행
+   * const board = StateManager.create({ columns: [], dragging: null }, {
+   *   history: { limit: 50, exclude: ['dragging'] }
+   * });
+   * board.columns.push({ title: 'Todo' });
+   * board.undo();
+   *
+   * // 액션
+   * const counter = StateManager.create({ count: 0 }, {
+   *   actions: { increment: (store, amount = 1) => { store.count += amount; } }
+   * });
+   * counter.dispatch('increment', 5);
    */
-  static create(initialState = {}) {
-    const state = new StateStore(initialState);
+  static create(initialState = {}, options = {}) {
+    const state = new StateStore(initialState, options);
     return state.getProxy();
   }
 }
@@ -43,73 +70,220 @@ export class StateManager {
  * @class
  * @private
  * @description 상태를 저장하고 관리하는 내부 클래스입니다.
+ * 중첩 객체와 배열도 리액티브 프록시로 감싸므로 `state.user.name = 'x'`나
+ * `state.items.push(item)` 같은 변경도 감지합니다.
  */
 class StateStore {
+  /**
+   * 변경을 추적하는 배열 메서드
+   * @type {string[]}
+   */
+  static ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+
   /**
    * StateStore 생성자
    * @constructor
    * @param {Object} initialState - 초기 상태
+   * @param {Object} [options={}] - 옵션
+   * @param {boolean|Object} [options.persist] - Storage 영속화 옵션 (StatePersist 참고)
+   * @param {boolean|Object} [options.history] - 실행 취소/다시 실행 이력 옵션 (StateHistory 참고)
+   * @param {Object<string, Function>} [options.actions] - 액션
+   * @param {string} [options.name] - 디버그 로그에 표시할 스토어 이름
    */
-  constructor(initialState) {
+  constructor(initialState, options = {}) {
     this._state = { ...initialState };
-    this._watchers = new Map(); // key -> [callback, callback, ...]
+    this._watchers = new Map(); // path -> [callback, callback, ...]
     this._computedCache = new Map();
-    this._computedDeps = new Map();
+    this._computedDeps = new Map(); // key -> Set<path>
     this._isUpdating = false;
     this._batchedUpdates = [];
+    this._proxy = null;
+    this._proxyCache = new WeakMap(); // 원본 객체 -> Map<path, Proxy>
+    this._rawMap = new WeakMap(); // Proxy -> 원본 객체
+    this._tracking = null; // computed 계산 중 읽은 경로
+    this._subscribers = [];
+    this._persist = null;
+    this._history = null;
+    this._name = options.name || null;
+    this._actions = new Map();
+    this._middlewares = [];
+
+    Object.keys(options.actions || {}).forEach(name => this.action(name, options.actions[name]));
+
+    if (options.persist) {
+      this._persist = new StatePersist(this, options.persist === true ? {} : options.persist);
+      this._persist.hydrate();
+    }
+
+    if (options.history) {
+      this._history = new StateHistory(this, options.history === true ? {} : options.history);
+    }
   }
 
   /**
    * 리액티브 프록시 생성
    */
   getProxy() {
+    if (!this._proxy) {
+      this._proxy = this._reactive(this._state, '');
+    }
+    return this._proxy;
+  }
+
+  /**
+   * 경로별 리액티브 프록시 (같은 객체와 경로면 같은 프록시 반환)
+   * @private
+   * @param {Object|Array} target - 원본 객체
+   * @param {string} path - 상태 루트부터의 경로 ('' = 루트)
+   * @returns {Proxy}
+   */
+  _reactive(target, path) {
+    let proxies = this._proxyCache.get(target);
+    if (!proxies) {
+      proxies = new Map();
+      this._proxyCache.set(target, proxies);
+    }
+
+    if (!proxies.has(path)) {
+      const proxy = new Proxy(target, this._createHandler(path));
+      proxies.set(path, proxy);
+      this._rawMap.set(proxy, target);
+    }
+
+    return proxies.get(path);
+  }
+
+  /**
+   * 프록시 핸들러 생성
+   * @private
+   * @param {string} path - 대상 객체의 경로
+   * @returns {Object}
+   */
+  _createHandler(path) {
     const self = this;
 
-    const proxy = new Proxy(this._state, {
+    return {
       get(target, property) {
-        // 내부 메서드 접근
-        if (property === '_store') return self;
-        if (property === 'watch') return self.watch.bind(self);
-        if (property === 'unwatch') return self.unwatch.bind(self);
-        if (property === 'compute') return self.compute.bind(self);
-        if (property === 'batch') return self.batch.bind(self);
-        if (property === 'getState') return self.getState.bind(self);
-        if (property === 'setState') return self.setState.bind(self);
-        if (property === 'reset') return self.reset.bind(self);
-        if (property === 'destroy') return self.destroy.bind(self);
-
-        return target[property];
+        // 내부 메서드 접근 (루트만)
+        if (path === '') {
+          if (property === '_store') return self;
+          if (property === 'watch') return self.watch.bind(self);
+          if (property === 'unwatch') return self.unwatch.bind(self);
+          if (property === 'compute') return self.compute.bind(self);
+          if (property === 'batch') return self.batch.bind(self);
+          if (property === 'subscribe') return self.subscribe.bind(self);
+          if (property === 'getState') return self.getState.bind(self);
+          if (property === 'setState') return self.setState.bind(self);
+          if (property === 'reset') return self.reset.bind(self);
+          if (property === 'destroy') return self.destroy.bind(self);
+        }
+
+        // 액션/이력 메서드는 같은 이름의 상태 키가 없을 때만 (있으면 _store로 접근)
+        if (path === '' && !Object.prototype.hasOwnProperty.call(target, property)) {
+          if (property === 'action') return self.action.bind(self);
+          if (property === 'hasAction') return self.hasAction.bind(self);
+          if (property === 'dispatch') return self.dispatch.bind(self);
+          if (property === 'use') return self.use.bind(self);
+
+          // 이력 (history 옵션 사용 시)
+          if (self._history) {
+            if (property === 'history') return self._history;
+            if (property === 'undo') return self._history.undo.bind(self._history);
+            if (property === 'redo') return self._history.redo.bind(self._history);
+            if (property === 'canUndo') return self._history.canUndo;
+            if (property === 'canRedo') return self._history.canRedo;
+          }
+        }
+
+        if (typeof property === 'symbol') return target[property];
+
+        // 배열 변경 메서드는 한 번의 변경으로 알림
+        if (Array.isArray(target) && StateStore.ARRAY_MUTATORS.includes(property)) {
+          return (...args) => self._mutateArray(target, path, property, args);
+        }
+
+        const value = self._toRaw(target[property]);
+        if (typeof value === 'function') return value;
+
+        const keyPath = self._joinPath(path, property);
+        self._track(keyPath);
+
+        return self._isObservable(value) ? self._reactive(value, keyPath) : value;
       },
 
       set(target, property, value) {
+        if (typeof property === 'symbol') {
+          target[property] = value;
+          return true;
+        }
+
+        const rawValue = self._toRaw(value);
         const oldValue = target[property];
 
         // 값이 같으면 무시
-        if (oldValue === value) return true;
+        if (oldValue === rawValue) return true;
 
         // 상태 업데이트
-        target[property] = value;
-
-        // 배치 모드가 아니면 즉시 알림
-        if (!self._isUpdating) {
-          self._notifyWatchers(property, value, oldValue);
-        } else {
-          // 배치 모드면 대기열에 추가
-          self._batchedUpdates.push({ property, value, oldValue });
+        target[property] = rawValue;
+        self._trigger(self._joinPath(path, property), rawValue, oldValue);
+
+        return true;
+      },
+
+      deleteProperty(target, property) {
+        if (!(property in target)) return true;
+
+        const oldValue = target[property];
+        delete target[property];
+
+        if (typeof property !== 'symbol') {
+          self._trigger(self._joinPath(path, property), undefined, oldValue);
         }
 
         return true;
+      },
+
+      ownKeys(target) {
+        // Object.keys() 등으로 키 목록을 읽으면 해당 객체에 의존
+        if (path !== '') self._track(path);
+        return Reflect.ownKeys(target);
       }
-    });
+    };
+  }
+
+  /**
+   * 배열 변경 메서드 실행 후 배열 경로로 한 번 알림
+   * @private
+   * @param {Array} target - 원본 배열
+   * @param {string} path - 배열 경로
+   * @param {string} method - 메서드 이름
+   * @param {Array} args - 인자
+   * @returns {*} 메서드 반환값
+   */
+  _mutateArray(target, path, method, args) {
+    const oldValue = target.slice();
+    const result = Array.prototype[method].apply(target, args.map(arg => this._toRaw(arg)));
 
-    return proxy;
+    const changed = oldValue.length !== target.length || oldValue.some((item, index) => item !== target[index]);
+    if (changed) {
+      this._trigger(path, target, oldValue);
+    }
+
+    // sort, reverse 등은 배열 자신을 반환하므로 프록시로 반환
+    return result === target ? this._reactive(target, path) : result;
   }
 
   /**
    * 상태 변경 감시
-   * @param {string} key - 감시할 키
+   * 'user.name' 같은 경로를 감시할 수 있으며, 하위 경로가 바뀌면 상위 경로 감시자도 호출됩니다.
+   * (상위 경로 감시자는 객체가 제자리에서 바뀌므로 newValue와 oldValue가 같은 객체입니다.)
+   * @param {string} key - 감시할 키 또는 경로
    * @param {Function} callback - 콜백 (newValue, oldValue)
    * @returns {Function} 구독 취소 함수
+   *
+   * @example
+   * store.watch('user.name', (name, prev) => console.log(name));
+   * store.watch('items', (items) => render(items)); // push/splice 등도 감지
    */
   watch(key, callback) {
     if (!this._watchers.has(key)) {
@@ -147,8 +321,196 @@ class StateStore {
     }
   }
 
+  /**
+   * 모든 상태 변경 구독
+   * 알림 단위(배치면 배치 전체)마다 변경 목록과 함께 한 번 호출됩니다.
+   * @param {Function} callback - 콜백 (changes: { path, value, oldValue }[])
+   * @returns {Function} 구독 취소 함수
+   *
+   * @example
+   * store.subscribe((changes) => {
+   *   changes.forEach(({ path, value }) => console.log(path, value));
+   * });
+   */
+  subscribe(callback) {
+    this._subscribers.push(callback);
+
+    return () => {
+      const index = this._subscribers.indexOf(callback);
+      if (index !== -1) {
+        this._subscribers.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * 액션 등록
+   * @param {string} name - 액션 이름
+   * @param {Function} handler - (store, payload) => * (Promise를 반환하면 비동기 액션)
+   * @returns {Function} 등록 해제 함수
+   *
+   * @example
+   * store.action('addItem', (store, item) => {
+   *   store.items.push(item);
+   * });
+   * store.action('loadUser', async (store, id) => {
+   *   const response = await IMCAT.api.get(`/api/users/${id}`);
+   *   store.user = response.data;
+   * });
+   */
+  action(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Action "${name}" must be a function`);
+    }
+
+    this._actions.set(name, handler);
+    return () => this._actions.delete(name);
+  }
+
+  /**
+   * 액션 등록 여부
+   * @param {string} name - 액션 이름
+   * @returns {boolean}
+   */
+  hasAction(name) {
+    return this._actions.has(name);
+  }
+
+  /**
+   * 액션 실행
+   * 미들웨어 before가 false를 반환하면 실행하지 않습니다.
+   * 동기 부분의 변경은 하나의 배치로 알립니다.
+   * @param {string} name - 액션 이름
+   * @param {*} [payload] - 전달 값
+   * @returns {*} 액션 반환값 (비동기 액션은 Promise, 거부되면 undefined)
+   *
+   * @example
+   * store.dispatch('addItem', { id: 1 });
+   * await store.dispatch('loadUser', 1);
+   */
+  dispatch(name, payload) {
+    const handler = this._actions.get(name);
+    if (!handler) {
+      throw new Error(`Unknown action: ${name}`);
+    }
+
+    const proxy = this.getProxy();
+    const context = { name, payload, store: proxy };
+
+    // before 미들웨어 (false면 거부)
+    const vetoed = this._middlewares.some(middleware => {
+      if (typeof middleware.before !== 'function') return false;
+      try {
+        return middleware.before(context) === false;
+      } catch (error) {
+        console.error(`Error in middleware before "${name}":`, error);
+        return false;
+      }
+    });
+    if (vetoed) {
+      this._logAction({ ...context, vetoed: true, changes: [] });
+      return undefined;
+    }
+
+    // 액션 중 발생한 변경 수집
+    const changes = [];
+    const unsubscribe = this.subscribe(list => changes.push(...list));
+    const startTime = Date.now();
+
+    const finish = (result, error) => {
+      unsubscribe();
+      const info = { ...context, result, error, changes, duration: Date.now() - startTime };
+
+      this._middlewares.forEach(middleware => {
+        if (typeof middleware.after !== 'function') return;
+        try {
+          middleware.after(info);
+        } catch (afterError) {
+          console.error(`Error in middleware after "${name}":`, afterError);
+        }
+      });
+      this._logAction(info);
+    };
+
+    let result;
+    try {
+      this.batch(() => {
+        result = handler.call(proxy, proxy, payload);
+      });
+    } catch (error) {
+      finish(undefined, error);
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => {
+          finish(value);
+          return value;
+        },
+        error => {
+          finish(undefined, error);
+          throw error;
+        }
+      );
+    }
+
+    finish(result);
+    return result;
+  }
+
+  /**
+   * 액션 미들웨어 등록
+   * @param {Object} middleware - 미들웨어
+   * @param {Function} [middleware.before] - ({ name, payload, store }) => false면 액션 거부
+   * @param {Function} [middleware.after] - ({ name, payload, store, result, error, changes, duration })
+   * @returns {Function} 등록 해제 함수
+   *
+   * @example
+   * store.use({
+   *   before: ({ name, payload }) => name !== 'addItem' || payload.qty > 0,
+   *   after: ({ name, changes }) => analytics.track(name, changes.length)
+   * });
+   */
+  use(middleware) {
+    if (!middleware || (typeof middleware.before !== 'function' && typeof middleware.after !== 'function')) {
+      throw new Error('Middleware must have a before or after function');
+    }
+
+    this._middlewares.push(middleware);
+    return () => {
+      const index = this._middlewares.indexOf(middleware);
+      if (index !== -1) {
+        this._middlewares.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * 액션 로그 출력 (Config debug가 true일 때)
+   * @private
+   * @param {Object} info - 액션 정보
+   */
+  _logAction(info) {
+    if (!Config.get('debug')) return;
+
+    const label = `[IMCAT state${this._name ? `:${this._name}` : ''}] ${info.name}`;
+    const diff = {};
+    info.changes.forEach(({ path, value, oldValue }) => {
+      diff[path] = { from: oldValue, to: value };
+    });
+
+    console.groupCollapsed(`${label}${info.vetoed ? ' (vetoed)' : ''}${info.error ? ' (failed)' : ''}`);
+    console.log('payload:', info.payload);
+    console.log('changes:', diff);
+    if (info.error) console.log('error:', info.error);
+    if (info.duration !== undefined) console.log(`duration: ${info.duration}ms`);
+    console.groupEnd();
+  }
+
   /**
    * 계산된 속성 (computed property)
+   * 계산 중 읽은 경로(중첩 경로 포함)를 의존성으로 추적하고, 의존성이 바뀌면 다시 계산합니다.
    * @param {string} key - 키
    * @param {Function} getter - 계산 함수
    * @returns {*} 계산된 값
@@ -157,20 +519,13 @@ class StateStore {
    * store.compute('fullName', () => {
    *   return `${store.firstName} ${store.lastName}`;
    * });
+   * store.compute('total', function() {
+   *   return this.items.reduce((sum, item) => sum + item.price * item.qty, 0);
+   * }); // store.items[0].qty = 3 이나 store.items.push(...) 시 재계산
    */
   compute(key, getter) {
     const self = this;
-
-    // 의존성 추적
-    const deps = this._trackDependencies(getter);
-    this._computedDeps.set(key, deps);
-
-    // 의존성 변경 시 캐시 무효화
-    deps.forEach(dep => {
-      this.watch(dep, () => {
-        this._computedCache.delete(key);
-      });
-    });
+    this._computedCache.delete(key);
 
     // getter를 상태에 추가
     Object.defineProperty(this._state, key, {
@@ -179,8 +534,20 @@ class StateStore {
           return self._computedCache.get(key);
         }
 
-        // getter를 state 컨텍스트로 실행
-        const value = getter.call(self._state);
+        // 계산할 때마다 의존성 다시 수집 (조건에 따라 읽는 경로가 달라질 수 있음)
+        const parent = self._tracking;
+        const deps = new Set();
+        self._tracking = deps;
+
+        let value;
+        try {
+          // getter를 리액티브 상태 컨텍스트로 실행
+          value = getter.call(self.getProxy());
+        } finally {
+          self._tracking = parent;
+        }
+
+        self._computedDeps.set(key, deps);
         self._computedCache.set(key, value);
         return value;
       },
@@ -192,30 +559,19 @@ class StateStore {
   }
 
   /**
-   * 의존성 추적 (간단한 구현)
+   * 의존성 추적 (computed 계산 중이면 읽은 경로 기록)
    * @private
+   * @param {string} path - 읽은 경로
    */
-  _trackDependencies(getter) {
-    const deps = new Set();
-    const proxy = new Proxy(this._state, {
-      get(target, property) {
-        deps.add(property);
-        return target[property];
-      }
-    });
-
-    // getter 실행하여 의존성 수집
-    try {
-      getter.call(proxy);
-    } catch (e) {
-      // 에러 무시 (의존성만 수집)
+  _track(path) {
+    if (this._tracking) {
+      this._tracking.add(path);
     }
-
-    return Array.from(deps);
   }
 
   /**
    * 배치 업데이트 (여러 변경을 한 번에)
+   * 같은 경로의 여러 변경은 한 번으로 합쳐 알립니다.
    * @param {Function} fn - 업데이트 함수
    *
    * @example
@@ -226,6 +582,12 @@ class StateStore {
    * }); // 모든 변경 후 한 번만 알림
    */
   batch(fn) {
+    // 중첩 배치는 바깥 배치에서 한 번에 알림
+    if (this._isUpdating) {
+      fn();
+      return;
+    }
+
     this._isUpdating = true;
     this._batchedUpdates = [];
 
@@ -235,11 +597,9 @@ class StateStore {
       this._isUpdating = false;
 
       // 배치된 업데이트 알림
-      this._batchedUpdates.forEach(({ property, value, oldValue }) => {
-        this._notifyWatchers(property, value, oldValue);
-      });
-
+      const updates = this._batchedUpdates;
       this._batchedUpdates = [];
+      this._flush(updates);
     }
   }
 
@@ -257,22 +617,20 @@ class StateStore {
    * @param {boolean} [merge=true] - 병합 여부
    */
   setState(newState, merge = true) {
+    const proxy = this.getProxy();
+
     this.batch(() => {
-      if (merge) {
-        Object.keys(newState).forEach(key => {
-          this._state[key] = newState[key];
-        });
-      } else {
+      if (!merge) {
         // 전체 교체
         Object.keys(this._state).forEach(key => {
           if (!(key in newState)) {
-            delete this._state[key];
+            delete proxy[key];
           }
         });
-        Object.keys(newState).forEach(key => {
-          this._state[key] = newState[key];
-        });
       }
+      Object.keys(newState).forEach(key => {
+        proxy[key] = newState[key];
+      });
     });
   }
 
@@ -284,6 +642,119 @@ class StateStore {
     this.setState(initialState, false);
   }
 
+  /**
+   * 변경 발생 (배치 모드면 대기열에 추가)
+   * @private
+   * @param {string} path - 변경된 경로
+   * @param {*} value - 새 값
+   * @param {*} oldValue - 이전 값
+   */
+  _trigger(path, value, oldValue) {
+    if (this._isUpdating) {
+      this._batchedUpdates.push({ property: path, value, oldValue });
+      return;
+    }
+
+    this._flush([{ property: path, value, oldValue }]);
+  }
+
+  /**
+   * 변경 목록을 감시자 알림으로 변환해 실행
+   * 변경된 경로, 값이 달라진 하위 경로, 상위 경로 순으로 알리고 관련 computed 캐시를 무효화합니다.
+   * @private
+   * @param {Object[]} updates - { property, value, oldValue } 목록
+   */
+  _flush(updates) {
+    // 같은 경로는 처음 이전 값과 마지막 새 값으로 합침
+    const merged = new Map();
+    updates.forEach(({ property, value, oldValue }) => {
+      const previous = merged.get(property);
+      merged.set(property, { value, oldValue: previous ? previous.oldValue : oldValue });
+    });
+
+    const changes = [];
+    const notifications = new Map(); // path -> [newValue, oldValue]
+    const staleComputed = new Map(); // key -> 이전 계산 값
+
+    merged.forEach(({ value, oldValue }, path) => {
+      if (value === oldValue) return;
+
+      changes.push({ path, value, oldValue });
+      notifications.set(path, [value, oldValue]);
+
+      // 값이 달라진 하위 경로 감시자
+      this._watchers.forEach((callbacks, key) => {
+        if (!key.startsWith(`${path}.`)) return;
+
+        const subPath = key.slice(path.length + 1);
+        const newSub = this._getPath(value, subPath);
+        const oldSub = this._getPath(oldValue, subPath);
+        if (newSub !== oldSub) {
+          notifications.set(key, [newSub, oldSub]);
+        }
+      });
+
+      // 상위 경로 감시자 (제자리 변경이므로 현재 값을 전달)
+      const segments = path.split('.');
+      for (let i = segments.length - 1; i > 0; i--) {
+        const parent = segments.slice(0, i).join('.');
+        if (!notifications.has(parent)) {
+          const current = this._getPath(this._state, parent);
+          notifications.set(parent, [current, current]);
+        }
+      }
+
+      this._invalidateComputed(path, staleComputed);
+    });
+
+    // 감시 중인 computed는 다시 계산해 값이 바뀌었으면 알림
+    staleComputed.forEach((oldValue, key) => {
+      if (!this._watchers.has(key)) return;
+
+      const value = this._state[key];
+      if (value !== oldValue) {
+        notifications.set(key, [value, oldValue]);
+      }
+    });
+
+    notifications.forEach(([newValue, oldValue], key) => {
+      this._notifyWatchers(key, newValue, oldValue);
+    });
+
+    if (changes.length > 0) {
+      [...this._subscribers].forEach(callback => {
+        try {
+          callback(changes);
+        } catch (error) {
+          console.error('Error in state subscriber:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * 경로 변경과 관련된 computed 캐시 무효화 (computed 간 의존성도 따라감)
+   * @private
+   * @param {string} path - 변경된 경로
+   * @param {Map} stale - 무효화된 key -> 이전 값
+   */
+  _invalidateComputed(path, stale) {
+    this._computedDeps.forEach((deps, key) => {
+      if (!this._computedCache.has(key)) return;
+
+      const related = Array.from(deps).some(dep =>
+        dep === path || dep.startsWith(`${path}.`) || path.startsWith(`${dep}.`)
+      );
+      if (!related) return;
+
+      if (!stale.has(key)) {
+        stale.set(key, this._computedCache.get(key));
+      }
+      this._computedCache.delete(key);
+      this._invalidateComputed(key, stale);
+    });
+  }
+
   /**
    * 감시자에게 알림
    * @private
@@ -291,7 +762,7 @@ class StateStore {
   _notifyWatchers(key, newValue, oldValue) {
     if (!this._watchers.has(key)) return;
 
-    const callbacks = this._watchers.get(key);
+    const callbacks = [...this._watchers.get(key)];
     callbacks.forEach(callback => {
       try {
         callback(newValue, oldValue);
@@ -301,6 +772,60 @@ class StateStore {
     });
   }
 
+  /**
+   * 경로 연결
+   * @private
+   * @param {string} path - 상위 경로
+   * @param {string} property - 속성 이름
+   * @returns {string}
+   */
+  _joinPath(path, property) {
+    return path ? `${path}.${property}` : String(property);
+  }
+
+  /**
+   * 경로로 값 조회
+   * @private
+   * @param {*} obj - 대상
+   * @param {string} path - 'a.b.c' 형식 경로
+   * @returns {*}
+   */
+  _getPath(obj, path) {
+    let current = obj;
+    for (const key of path.split('.')) {
+      if (current === null || current === undefined) return undefined;
+      current = current[key];
+    }
+    return current;
+  }
+
+  /**
+   * 프록시를 원본 객체로 변환
+   * @private
+   * @param {*} value - 값
+   * @returns {*}
+   */
+  _toRaw(value) {
+    if (value !== null && typeof value === 'object' && this._rawMap.has(value)) {
+      return this._rawMap.get(value);
+    }
+    return value;
+  }
+
+  /**
+   * 리액티브로 감쌀 수 있는 값인지 (일반 객체와 배열)
+   * @private
+   * @param {*} value - 값
+   * @returns {boolean}
+   */
+  _isObservable(value) {
+    if (value === null || typeof value !== 'object') return false;
+    if (Array.isArray(value)) return true;
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
   /**
    * 상태 스토어 정리 (메모리 누수 방지)
    * 모든 watcher와 computed 속성을 제거합니다.
@@ -312,8 +837,22 @@ class StateStore {
    * state.destroy();
    */
   destroy() {
+    // 영속화 정리 (대기 중인 저장은 바로 기록)
+    if (this._persist) {
+      this._persist.destroy();
+      this._persist = null;
+    }
+
+    if (this._history) {
+      this._history.destroy();
+      this._history = null;
+    }
+
     // 모든 watcher 제거
     this._watchers.clear();
+    this._subscribers = [];
+    this._actions.clear();
+    this._middlewares = [];
 
     // computed 캐시 및 의존성 제거
     this._computedCache.clear();
@@ -328,6 +867,395 @@ class StateStore {
   }
 }
 
+/**
+ * 상태 영속화 내부 클래스
+ * @class
+ * @private
+ * @description StateStore의 상태를 Storage에 저장하고 복원합니다.
+ * 저장할 키 선택, 버전 마이그레이션, 저장 지연(debounce), 탭 간 동기화를 지원합니다.
+ */
+class StatePersist {
+  /**
+   * 기본 옵션
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    key: null,
+    storage: 'local',
+    include: null,
+    exclude: [],
+    version: 0,
+    migrations: {},
+    debounce: 0,
+    sync: true
+  };
+
+  /**
+   * StatePersist 생성자
+   * @constructor
+   * @param {StateStore} store - 대상 스토어
+   * @param {Object} options - 옵션
+   * @param {string} options.key - Storage 키
+   * @param {string} [options.storage='local'] - 'local' 또는 'session'
+   * @param {string[]} [options.include] - 저장할 최상위 키 (없으면 전체)
+   * @param {string[]} [options.exclude=[]] - 저장하지 않을 최상위 키
+   * @param {number} [options.version=0] - 저장 형식 버전
+   * @param {Object<number, Function>} [options.migrations={}] - 버전별 마이그레이션 ({ 2: (state) => state })
+   * @param {number} [options.debounce=0] - 저장 지연 시간 (ms, 0이면 즉시 저장, pagehide 시 바로 저장)
+   * @param {boolean} [options.sync=true] - 다른 탭의 변경을 storage 이벤트로 반영
+   */
+  constructor(store, options) {
+    this.options = { ...StatePersist.DEFAULTS, ...options };
+    if (!this.options.key) {
+      throw new Error('State persist option requires a storage key');
+    }
+
+    this.store = store;
+    this._timer = null;
+    this._applyingRemote = false;
+    this._storageHandler = null;
+    this._pagehideHandler = null;
+    this._unsubscribe = store.subscribe(changes => this._onChange(changes));
+
+    if (this.options.sync && typeof window !== 'undefined') {
+      this._storageHandler = (event) => this._onStorage(event);
+      window.addEventListener('storage', this._storageHandler);
+    }
+
+    // 페이지를 떠날 때 대기 중인 지연 저장 기록
+    if (this.options.debounce && typeof window !== 'undefined') {
+      this._pagehideHandler = () => {
+        if (this._timer) this.save();
+      };
+      window.addEventListener('pagehide', this._pagehideHandler);
+    }
+  }
+
+  /**
+   * 저장된 상태를 스토어에 복원 (알림 없이 초기 상태에 병합)
+   */
+  hydrate() {
+    const state = this._read(Storage.get(this.options.key, null, this.options.storage));
+    if (state) {
+      Object.assign(this.store._state, state);
+    }
+  }
+
+  /**
+   * 현재 상태 저장 (대기 중인 지연 저장 취소)
+   * @returns {boolean} 성공 여부
+   */
+  save() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    return Storage.set(this.options.key, {
+      version: this.options.version,
+      state: this._pick(this.store._state)
+    }, { storage: this.options.storage });
+  }
+
+  /**
+   * 정리 (대기 중인 저장은 바로 기록)
+   */
+  destroy() {
+    if (this._timer) {
+      this.save();
+    }
+
+    this._unsubscribe();
+    if (this._storageHandler) {
+      window.removeEventListener('storage', this._storageHandler);
+      this._storageHandler = null;
+    }
+    if (this._pagehideHandler) {
+      window.removeEventListener('pagehide', this._pagehideHandler);
+      this._pagehideHandler = null;
+    }
+  }
+
+  /**
+   * 상태 변경 시 저장 예약
+   * @private
+   * @param {Object[]} changes - 변경 목록
+   */
+  _onChange(changes) {
+    if (this._applyingRemote) return;
+    if (!changes.some(({ path }) => this._isPersisted(path.split('.')[0]))) return;
+
+    if (!this.options.debounce) {
+      this.save();
+      return;
+    }
+
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.save(), this.options.debounce);
+  }
+
+  /**
+   * 다른 탭의 저장 내용을 반영
+   * @private
+   * @param {StorageEvent} event - storage 이벤트
+   */
+  _onStorage(event) {
+    if (event.key !== this.options.key || !event.newValue) return;
+
+    const storageObj = this.options.storage === 'session' ? sessionStorage : localStorage;
+    if (event.storageArea && event.storageArea !== storageObj) return;
+
+    const state = this._read(Storage.get(this.options.key, null, this.options.storage));
+    if (!state) return;
+
+    // 반영한 변경을 다시 저장하지 않고 (탭 간 반복 저장 방지)
+    // 다른 탭의 변경이므로 이 탭의 실행 취소 이력에도 기록하지 않음
+    const history = this.store._history;
+    this._applyingRemote = true;
+    if (history) history._applying = true;
+    try {
+      this.store.setState(state);
+    } finally {
+      this._applyingRemote = false;
+      if (history) history._applying = false;
+    }
+  }
+
+  /**
+   * 저장 데이터 해석 (버전 마이그레이션 후 저장 대상 키만 반환)
+   * @private
+   * @param {Object|null} data - { version, state }
+   * @returns {Object|null}
+   */
+  _read(data) {
+    if (!data || typeof data !== 'object' || !data.state) return null;
+
+    const { version, migrations } = this.options;
+    const storedVersion = data.version || 0;
+    let state = data.state;
+
+    if (storedVersion > version) {
+      console.warn(`State persist: Stored version ${storedVersion} is newer than ${version}, ignoring "${this.options.key}"`);
+      return null;
+    }
+
+    if (storedVersion < version) {
+      try {
+        Object.keys(migrations)
+          .map(Number)
+          .filter(target => target > storedVersion && target <= version)
+          .sort((a, b) => a - b)
+          .forEach(target => {
+            state = migrations[target](state);
+          });
+      } catch (error) {
+        console.error(`State persist: Migration failed for "${this.options.key}":`, error);
+        return null;
+      }
+    }
+
+    return this._pick(state || {});
+  }
+
+  /**
+   * 저장 대상 키만 선택 (computed 속성 제외)
+   * @private
+   * @param {Object} state - 상태
+   * @returns {Object}
+   */
+  _pick(state) {
+    const result = {};
+    Object.keys(state).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(state, key);
+      if (descriptor && descriptor.get) return;
+      if (this._isPersisted(key)) {
+        result[key] = state[key];
+      }
+    });
+    return result;
+  }
+
+  /**
+   * 최상위 키의 저장 대상 여부
+   * @private
+   * @param {string} key - 최상위 키
+   * @returns {boolean}
+   */
+  _isPersisted(key) {
+    const { include, exclude } = this.options;
+    if (include && !include.includes(key)) return false;
+    return !exclude.includes(key);
+  }
+}
+
+/**
+ * 상태 변경 이력 내부 클래스
+ * @class
+ * @private
+ * @description StateStore의 변경을 알림 단위(배치면 배치 전체)의 패치로 기록하고
+ * 실행 취소(undo), 다시 실행(redo), 이동(go)을 지원합니다.
+ */
+class StateHistory {
+  /**
+   * 기본 옵션
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    limit: 100,
+    exclude: []
+  };
+
+  /**
+   * StateHistory 생성자
+   * @constructor
+   * @param {StateStore} store - 대상 스토어
+   * @param {Object} options - 옵션
+   * @param {number} [options.limit=100] - 보관할 최대 이력 수
+   * @param {string[]} [options.exclude=[]] - 기록하지 않을 키 또는 경로 (임시 UI 상태 등)
+   */
+  constructor(store, options) {
+    this.options = { ...StateHistory.DEFAULTS, ...options };
+    this.store = store;
+    this.past = [];
+    this.future = [];
+    this._applying = false;
+    this._unsubscribe = store.subscribe(changes => this._record(changes));
+  }
+
+  /**
+   * 실행 취소 가능 여부
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  /**
+   * 다시 실행 가능 여부
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * 마지막 변경 실행 취소
+   * @returns {boolean} 실행 여부
+   */
+  undo() {
+    if (!this.canUndo) return false;
+
+    const patches = this.past.pop();
+    this._apply(patches.slice().reverse().map(({ path, oldValue }) => ({ path, value: oldValue })));
+    this.future.push(patches);
+    return true;
+  }
+
+  /**
+   * 취소한 변경 다시 실행
+   * @returns {boolean} 실행 여부
+   */
+  redo() {
+    if (!this.canRedo) return false;
+
+    const patches = this.future.pop();
+    this._apply(patches);
+    this.past.push(patches);
+    return true;
+  }
+
+  /**
+   * 이력 이동 (음수면 실행 취소, 양수면 다시 실행)
+   * @param {number} delta - 이동할 단계 수
+   * @returns {number} 실제 이동한 단계 수
+   */
+  go(delta) {
+    let moved = 0;
+    while (moved < Math.abs(delta) && (delta < 0 ? this.undo() : this.redo())) {
+      moved++;
+    }
+    return moved;
+  }
+
+  /**
+   * 이력 초기화
+   */
+  clear() {
+    this.past = [];
+    this.future = [];
+  }
+
+  /**
+   * 정리
+   */
+  destroy() {
+    this._unsubscribe();
+    this.clear();
+  }
+
+  /**
+   * 변경 기록 (제외 경로는 빼고, 값은 복사해 보관)
+   * @private
+   * @param {Object[]} changes - 변경 목록
+   */
+  _record(changes) {
+    if (this._applying) return;
+
+    const patches = changes
+      .filter(({ path }) => !this._isExcluded(path))
+      .map(({ path, value, oldValue }) => ({
+        path,
+        value: Utils.clone(value),
+        oldValue: Utils.clone(oldValue)
+      }));
+    if (patches.length === 0) return;
+
+    this.past.push(patches);
+    this.future = [];
+
+    if (this.past.length > this.options.limit) {
+      this.past.splice(0, this.past.length - this.options.limit);
+    }
+  }
+
+  /**
+   * 패치 적용 (한 번의 배치로, 이력에 기록하지 않음)
+   * @private
+   * @param {Object[]} patches - { path, value } 목록
+   */
+  _apply(patches) {
+    const proxy = this.store.getProxy();
+
+    this._applying = true;
+    try {
+      this.store.batch(() => {
+        patches.forEach(({ path, value }) => {
+          const segments = path.split('.');
+          const key = segments.pop();
+          const parent = segments.reduce((target, segment) => (target ? target[segment] : undefined), proxy);
+          if (!parent || typeof parent !== 'object') return;
+
+          if (value === undefined) {
+            delete parent[key];
+          } else {
+            parent[key] = Utils.clone(value);
+          }
+        });
+      });
+    } finally {
+      this._applying = false;
+    }
+  }
+
+  /**
+   * 기록 제외 경로 여부
+   * @private
+   * @param {string} path - 변경 경로
+   * @returns {boolean}
+   */
+  _isExcluded(path) {
+    return this.options.exclude.some(key => path === key || path.startsWith(`${key}.`));
+  }
+}
+
 /**
  * 전역 상태 스토어 (옵션)
  * @class
@@ -341,19 +1269,32 @@ class StateStore {
 export class GlobalState {
   static _stores = new Map();
 
+  /**
+   * 영속화 Storage 키 접두사
+   * @type {string}
+   */
+  static PERSIST_PREFIX = 'imcat-state:';
+
   /**
    * 전역 스토어 생성 또는 가져오기
    * @param {string} name - 스토어 이름
    * @param {Object} [initialState] - 초기 상태
+   * @param {Object} [options={}] - 옵션 (처음 생성할 때만 적용)
+   * @param {boolean|Object} [options.persist] - Storage 영속화 (키 기본값: 'imcat-state:' + name)
    * @returns {Proxy} 스토어
    *
    * @example
    * const userStore = GlobalState.use('user', { id: null, name: '' });
    * const appStore = GlobalState.use('app', { theme: 'light' });
+   * const cartStore = GlobalState.use('cart', { items: [] }, { persist: { debounce: 300 } });
    */
-  static use(name, initialState = {}) {
+  static use(name, initialState = {}, options = {}) {
     if (!this._stores.has(name)) {
-      this._stores.set(name, StateManager.create(initialState));
+      const storeOptions = { name, ...options };
+      if (options.persist) {
+        storeOptions.persist = { key: `${this.PERSIST_PREFIX}${name}`, ...(options.persist === true ? {} : options.persist) };
+      }
+      this._stores.set(name, StateManager.create(initialState, storeOptions));
     }
     return this._stores.get(name);
   }
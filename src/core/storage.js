@@ -3,17 +3,70 @@
  * @module core/storage
  */
 
+import { EventBus } from './event.js';
+
 /**
  * Storage 유틸리티
  * @class
  * @description localStorage/sessionStorage를 편리하게 사용할 수 있는 래퍼 클래스입니다.
  * 자동 직렬화/역직렬화, TTL(만료 시간) 지원을 제공합니다.
+ * 같은 출처의 다른 앱과 키가 겹치지 않도록 Storage.create()로 네임스페이스 인스턴스를 만들 수 있습니다.
  *
  * @example
  * Storage.set('user', { name: 'John' });
  * const user = Storage.get('user');
+ *
+ * @example
+ * const store = Storage.create('myapp');
+ * store.set('user', { name: 'John' }); // 'myapp:user' 키로 저장
+ *
+ * @example
+ * const db = Storage.create('myapp', { adapter: 'indexeddb' });
+ * await db.set('rows', largeArray, { expires: 3600 });
  */
 export class Storage {
+  /**
+   * 네임스페이스 인스턴스 생성
+   * @param {string} namespace - 네임스페이스 (키 접두사 또는 DB 이름)
+   * @param {Object} [options={}] - 옵션
+   * @param {string} [options.adapter='web'] - 'web'(localStorage/sessionStorage, 동기) 또는 'indexeddb'(비동기)
+   * @param {string} [options.storage='local'] - web 어댑터의 'local' 또는 'session'
+   * @param {boolean} [options.evict=true] - 용량 초과 시 오래 사용하지 않은 항목부터 제거 후 재시도
+   * @param {boolean} [options.sync=true] - web 어댑터에서 다른 탭의 변경을 change 이벤트로 전달
+   * @param {Object} [options.encrypt] - 암호화 옵션 (지정하면 비동기 EncryptedStorage 반환)
+   * @param {string} [options.encrypt.secret] - 키를 유도할 앱 비밀값 (PBKDF2)
+   * @param {CryptoKey} [options.encrypt.key] - 직접 지정하는 AES-GCM 키
+   * @param {boolean} [options.encrypt.session] - 탭 세션 동안만 유지되는 임의 키 사용 (storage: 'session'으로 저장)
+   * @returns {NamespacedStorage|IndexedDBStorage|EncryptedStorage}
+   *
+   * @example
+   * const store = Storage.create('myapp', { storage: 'session' });
+   * store.on('change', ({ key, value, action }) => console.log(key, action, value));
+   *
+   * @example
+   * const secure = Storage.create('myapp', { encrypt: { secret: APP_SECRET } });
+   * await secure.set('token', token, { expires: 3600 });
+   */
+  static create(namespace, options = {}) {
+    if (!namespace || typeof namespace !== 'string') {
+      throw new Error('Storage.create requires a namespace string');
+    }
+
+    // 세션 키는 탭마다 다르므로 다른 탭과 공유하는 저장소에 두면 서로의 값을 읽지 못함
+    if (options.encrypt && options.encrypt.session) {
+      if (options.adapter === 'indexeddb' || (options.storage && options.storage !== 'session')) {
+        throw new Error('Storage encrypt.session requires storage: \'session\'');
+      }
+      options = { ...options, storage: 'session' };
+    }
+
+    const storage = options.adapter === 'indexeddb'
+      ? new IndexedDBStorage(namespace, options)
+      : new NamespacedStorage(namespace, options);
+
+    return options.encrypt ? new EncryptedStorage(storage, options.encrypt) : storage;
+  }
+
   /**
    * 값 저장
    * @param {string} key - 키
@@ -36,18 +89,17 @@ export class Storage {
 
     try {
       const storage = options.storage === 'session' ? sessionStorage : localStorage;
+      const serialized = JSON.stringify(this._wrap(value, options));
 
-      const data = {
-        value,
-        timestamp: Date.now()
-      };
+      try {
+        storage.setItem(key, serialized);
+      } catch (error) {
+        if (!this._isQuotaError(error)) throw error;
 
-      // 만료 시간 설정
-      if (options.expires && typeof options.expires === 'number') {
-        data.expires = Date.now() + (options.expires * 1000);
+        // 용량 초과: 만료된 항목을 정리하고 한 번 더 시도
+        this.cleanExpired(options.storage);
+        storage.setItem(key, serialized);
       }
-
-      storage.setItem(key, JSON.stringify(data));
       return true;
     } catch (error) {
       console.error('Storage.set error:', error);
@@ -257,6 +309,1297 @@ export class Storage {
       return 0;
     }
   }
+
+  /**
+   * 용량 초과 에러 여부 (브라우저별 이름/코드 차이 흡수)
+   * @private
+   * @param {Error} error - 에러
+   * @returns {boolean}
+   */
+  static _isQuotaError(error) {
+    return !!error && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014
+    );
+  }
+
+  /**
+   * 저장 데이터 생성 ({ value, timestamp, expires })
+   * @private
+   * @param {*} value - 값
+   * @param {Object} [options={}] - { expires: 초 }
+   * @returns {Object}
+   */
+  static _wrap(value, options = {}) {
+    const data = {
+      value,
+      timestamp: Date.now()
+    };
+
+    if (options.expires && typeof options.expires === 'number') {
+      data.expires = Date.now() + (options.expires * 1000);
+    }
+
+    return data;
+  }
+
+  /**
+   * 저장 데이터 만료 여부
+   * @private
+   * @param {Object} data - 저장 데이터
+   * @returns {boolean}
+   */
+  static _isExpired(data) {
+    return !!(data && data.expires && Date.now() > data.expires);
+  }
+
+  /**
+   * 제거할 항목 선택
+   * 만료된 항목, 이번 세션에 사용하지 않은 항목(저장 시각 순), 가장 오래전에 사용한 항목 순으로 고릅니다.
+   * @private
+   * @param {Array<{key: string, data: Object}>} entries - 후보 항목
+   * @param {Set<string>} recent - 사용 순서대로 정렬된 키 (앞쪽이 가장 오래됨)
+   * @returns {string|null} 제거할 키
+   */
+  static _pickVictim(entries, recent) {
+    if (entries.length === 0) return null;
+
+    const expired = entries.find(({ data }) => this._isExpired(data));
+    if (expired) return expired.key;
+
+    const untracked = entries.filter(({ key }) => !recent.has(key));
+    if (untracked.length > 0) {
+      const savedAt = ({ data }) => (data && data.timestamp) || 0;
+      return untracked.reduce((oldest, entry) => (savedAt(entry) < savedAt(oldest) ? entry : oldest)).key;
+    }
+
+    const candidates = new Set(entries.map(({ key }) => key));
+    for (const key of recent) {
+      if (candidates.has(key)) return key;
+    }
+    return entries[0].key;
+  }
+
+  /**
+   * 키를 가장 최근에 사용한 것으로 표시
+   * @private
+   * @param {Set<string>} recent - 사용 순서
+   * @param {string} key - 키
+   */
+  static _touch(recent, key) {
+    recent.delete(key);
+    recent.add(key);
+  }
+}
+
+/**
+ * 네임스페이스 Storage (localStorage/sessionStorage)
+ * @class
+ * @description 모든 키에 '네임스페이스:' 접두사를 붙여 저장하는 동기 Storage 인스턴스입니다.
+ * Storage와 같은 set/get/TTL API를 제공하며, 용량 초과 시 이 네임스페이스에서
+ * 오래 사용하지 않은 항목부터 제거(LRU)한 뒤 다시 저장합니다.
+ *
+ * 이벤트:
+ * - change : { key, value, oldValue, action: 'set'|'remove'|'expire'|'clear', remote }
+ * - evict : { keys } 용량 확보를 위해 제거한 키
+ *
+ * @example
+ * const store = Storage.create('myapp');
+ * store.set('token', 'abc', { expires: 3600 });
+ * store.on('change', ({ key, remote }) => { ... }); // remote: 다른 탭의 변경
+ */
+export class NamespacedStorage {
+  /**
+   * 기본 옵션
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    storage: 'local',
+    separator: ':',
+    evict: true,
+    sync: true
+  };
+
+  /**
+   * NamespacedStorage 생성자
+   * @constructor
+   * @param {string} namespace - 네임스페이스
+   * @param {Object} [options={}] - 옵션 (Storage.create() 참고)
+   * @param {string} [options.separator=':'] - 네임스페이스와 키 사이 구분자
+   */
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.options = { ...NamespacedStorage.DEFAULTS, ...options };
+    this.prefix = `${namespace}${this.options.separator}`;
+    this.events = new EventBus();
+
+    this._recent = new Set();
+    this._storageHandler = null;
+
+    if (this.options.sync && typeof window !== 'undefined') {
+      this._storageHandler = (event) => this._onStorage(event);
+      window.addEventListener('storage', this._storageHandler);
+    }
+  }
+
+  /**
+   * 값 저장
+   * @param {string} key - 키 (네임스페이스 제외)
+   * @param {*} value - 값 (자동으로 JSON 직렬화)
+   * @param {Object} [options={}] - 옵션
+   * @param {number} [options.expires] - 만료 시간 (초)
+   * @returns {boolean} 성공 여부
+   */
+  set(key, value, options = {}) {
+    if (!key || typeof key !== 'string') {
+      console.error('Storage.set: key must be a non-empty string');
+      return false;
+    }
+
+    try {
+      let previous = null;
+      try {
+        previous = this._read(key);
+      } catch (e) {
+        // 손상된 값은 덮어씀
+      }
+      const oldValue = previous && !Storage._isExpired(previous) ? previous.value : null;
+
+      if (!this._write(key, JSON.stringify(Storage._wrap(value, options)))) {
+        return false;
+      }
+
+      Storage._touch(this._recent, key);
+      this.events.emit('change', { key, value, oldValue, action: 'set', remote: false });
+      return true;
+    } catch (error) {
+      console.error('Storage.set error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 값 가져오기
+   * @param {string} key - 키
+   * @param {*} [defaultValue=null] - 기본값 (없거나 만료된 경우 반환)
+   * @returns {*} 저장된 값 또는 기본값
+   */
+  get(key, defaultValue = null) {
+    if (!key || typeof key !== 'string') {
+      return defaultValue;
+    }
+
+    try {
+      const data = this._read(key);
+      if (!data) {
+        return defaultValue;
+      }
+
+      if (Storage._isExpired(data)) {
+        this._expire(key, data);
+        return defaultValue;
+      }
+
+      Storage._touch(this._recent, key);
+      return data.value;
+    } catch (error) {
+      console.error('Storage.get error:', error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * 값 존재 확인
+   * @param {string} key - 키
+   * @returns {boolean} 존재 여부
+   */
+  has(key) {
+    if (!key || typeof key !== 'string') {
+      return false;
+    }
+
+    try {
+      const data = this._read(key);
+      if (!data) return false;
+
+      if (Storage._isExpired(data)) {
+        this._expire(key, data);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 값 제거
+   * @param {string} key - 키
+   * @returns {boolean} 성공 여부
+   */
+  remove(key) {
+    if (!key || typeof key !== 'string') {
+      return false;
+    }
+
+    try {
+      const data = this._read(key);
+      this._area.removeItem(this.prefix + key);
+      this._recent.delete(key);
+
+      if (data) {
+        this.events.emit('change', { key, value: null, oldValue: data.value, action: 'remove', remote: false });
+      }
+      return true;
+    } catch (error) {
+      console.error('Storage.remove error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 이 네임스페이스의 모든 값 제거 (다른 키는 유지)
+   * @returns {boolean} 성공 여부
+   */
+  clear() {
+    try {
+      this.keys().forEach(key => this._area.removeItem(this.prefix + key));
+      this._recent.clear();
+      this.events.emit('change', { key: null, value: null, oldValue: null, action: 'clear', remote: false });
+      return true;
+    } catch (error) {
+      console.error('Storage.clear error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 이 네임스페이스의 키 목록 (접두사 제외)
+   * @returns {string[]} 키 배열
+   */
+  keys() {
+    try {
+      return Object.keys(this._area)
+        .filter(key => key.startsWith(this.prefix))
+        .map(key => key.slice(this.prefix.length));
+    } catch (error) {
+      console.error('Storage.keys error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 이 네임스페이스의 사용 크기 (대략적)
+   * @returns {number} 사용 중인 바이트 수 (근사값)
+   */
+  size() {
+    return this.keys().reduce((total, key) => {
+      const value = this._area.getItem(this.prefix + key) || '';
+      return total + (this.prefix.length + key.length + value.length) * 2;
+    }, 0);
+  }
+
+  /**
+   * 만료된 항목 제거
+   * @returns {number} 제거된 항목 수
+   */
+  cleanExpired() {
+    let removed = 0;
+
+    this.keys().forEach(key => {
+      try {
+        const data = this._read(key);
+        if (Storage._isExpired(data)) {
+          this._expire(key, data);
+          removed++;
+        }
+      } catch (e) {
+        // JSON 파싱 실패는 무시
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * 이벤트 구독
+   * @param {string} event - 'change' 또는 'evict'
+   * @param {Function} handler - 핸들러
+   * @returns {Function} 구독 취소 함수
+   */
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  /**
+   * 이벤트 1회 구독
+   * @param {string} event - 이벤트 이름
+   * @param {Function} handler - 핸들러
+   * @returns {Function} 구독 취소 함수
+   */
+  once(event, handler) {
+    return this.events.once(event, handler);
+  }
+
+  /**
+   * 구독 취소
+   * @param {string} event - 이벤트 이름
+   * @param {Function} [handler] - 핸들러 (없으면 모두 제거)
+   */
+  off(event, handler) {
+    this.events.off(event, handler);
+  }
+
+  /**
+   * 정리 (리스너 해제, 저장된 값은 유지)
+   */
+  destroy() {
+    if (this._storageHandler) {
+      window.removeEventListener('storage', this._storageHandler);
+      this._storageHandler = null;
+    }
+    this.events.clear();
+    this._recent.clear();
+  }
+
+  /**
+   * 사용할 Web Storage
+   * @private
+   * @returns {globalThis.Storage}
+   */
+  get _area() {
+    return this.options.storage === 'session' ? sessionStorage : localStorage;
+  }
+
+  /**
+   * 저장 데이터 읽기
+   * @private
+   * @param {string} key - 키
+   * @returns {Object|null}
+   */
+  _read(key) {
+    const item = this._area.getItem(this.prefix + key);
+    return item ? JSON.parse(item) : null;
+  }
+
+  /**
+   * 저장 (용량 초과 시 LRU 제거 후 재시도)
+   * @private
+   * @param {string} key - 키
+   * @param {string} serialized - 직렬화된 데이터
+   * @returns {boolean} 성공 여부
+   */
+  _write(key, serialized) {
+    const evicted = [];
+
+    for (;;) {
+      try {
+        this._area.setItem(this.prefix + key, serialized);
+        break;
+      } catch (error) {
+        if (!Storage._isQuotaError(error)) throw error;
+
+        const victim = this.options.evict ? this._pickVictim(key) : null;
+        if (victim === null) {
+          console.error(`Storage: Quota exceeded for "${this.prefix}${key}"`, error);
+          this._emitEvicted(evicted);
+          return false;
+        }
+
+        this._area.removeItem(this.prefix + victim);
+        this._recent.delete(victim);
+        evicted.push(victim);
+      }
+    }
+
+    this._emitEvicted(evicted);
+    return true;
+  }
+
+  /**
+   * 용량 확보를 위해 제거할 키 선택
+   * @private
+   * @param {string} except - 저장하려는 키
+   * @returns {string|null}
+   */
+  _pickVictim(except) {
+    const entries = this.keys()
+      .filter(key => key !== except)
+      .map(key => {
+        try {
+          return { key, data: this._read(key) };
+        } catch (error) {
+          return { key, data: null };
+        }
+      });
+
+    return Storage._pickVictim(entries, this._recent);
+  }
+
+  /**
+   * 만료된 항목 제거 및 알림
+   * @private
+   * @param {string} key - 키
+   * @param {Object} data - 만료된 데이터
+   */
+  _expire(key, data) {
+    this._area.removeItem(this.prefix + key);
+    this._recent.delete(key);
+    this.events.emit('change', { key, value: null, oldValue: data.value, action: 'expire', remote: false });
+  }
+
+  /**
+   * 다른 탭의 변경 전달
+   * @private
+   * @param {StorageEvent} event - storage 이벤트
+   */
+  _onStorage(event) {
+    if (event.storageArea && event.storageArea !== this._area) return;
+
+    if (event.key === null) {
+      this.events.emit('change', { key: null, value: null, oldValue: null, action: 'clear', remote: true });
+      return;
+    }
+    if (!event.key.startsWith(this.prefix)) return;
+
+    const parse = (raw) => {
+      try {
+        return raw ? JSON.parse(raw).value : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    this.events.emit('change', {
+      key: event.key.slice(this.prefix.length),
+      value: parse(event.newValue),
+      oldValue: parse(event.oldValue),
+      action: event.newValue === null ? 'remove' : 'set',
+      remote: true
+    });
+  }
+
+  /**
+   * 제거된 키 알림
+   * @private
+   * @param {string[]} keys - 제거된 키
+   */
+  _emitEvicted(keys) {
+    if (keys.length > 0) {
+      this.events.emit('evict', { keys });
+    }
+  }
+}
+
+/**
+ * IndexedDB Storage (비동기)
+ * @class
+ * @description 네임스페이스마다 별도 IndexedDB 데이터베이스에 저장하는 비동기 Storage입니다.
+ * localStorage보다 큰 데이터를 저장할 수 있고, 값은 JSON 대신 구조화된 복제로 저장됩니다(Date, Blob 등).
+ * NamespacedStorage와 같은 API를 Promise로 제공하며, 실패 시 reject 대신 false/기본값으로 resolve합니다.
+ * change 이벤트는 이 인스턴스의 변경만 알리며, 다른 탭의 변경은 전달하지 않습니다.
+ *
+ * @example
+ * const db = Storage.create('myapp', { adapter: 'indexeddb' });
+ * await db.set('rows', rows, { expires: 86400 });
+ * const cached = await db.get('rows', []);
+ */
+export class IndexedDBStorage {
+  /**
+   * 오브젝트 스토어 이름
+   * @type {string}
+   */
+  static STORE_NAME = 'entries';
+
+  /**
+   * 기본 옵션
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    dbName: null,
+    evict: true
+  };
+
+  /**
+   * IndexedDBStorage 생성자
+   * @constructor
+   * @param {string} namespace - 네임스페이스
+   * @param {Object} [options={}] - 옵션
+   * @param {string} [options.dbName] - 데이터베이스 이름 (기본: 'imcat-storage:네임스페이스')
+   * @param {boolean} [options.evict=true] - 용량 초과 시 LRU 제거 후 재시도
+   */
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.options = { ...IndexedDBStorage.DEFAULTS, ...options };
+    this.dbName = this.options.dbName || `imcat-storage:${namespace}`;
+    this.events = new EventBus();
+
+    this._recent = new Set();
+    this._dbPromise = null;
+  }
+
+  /**
+   * 값 저장
+   * @param {string} key - 키
+   * @param {*} value - 값 (구조화된 복제 가능 값)
+   * @param {Object} [options={}] - 옵션
+   * @param {number} [options.expires] - 만료 시간 (초)
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async set(key, value, options = {}) {
+    if (!key || typeof key !== 'string') {
+      console.error('Storage.set: key must be a non-empty string');
+      return false;
+    }
+
+    try {
+      const written = await this._write({ key, ...Storage._wrap(value, options) });
+      if (!written) {
+        return false;
+      }
+
+      const { previous } = written;
+      const oldValue = previous && !Storage._isExpired(previous) ? previous.value : null;
+      Storage._touch(this._recent, key);
+      this.events.emit('change', { key, value, oldValue, action: 'set', remote: false });
+      return true;
+    } catch (error) {
+      console.error('Storage.set error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 값 가져오기
+   * @param {string} key - 키
+   * @param {*} [defaultValue=null] - 기본값
+   * @returns {Promise<*>} 저장된 값 또는 기본값
+   */
+  async get(key, defaultValue = null) {
+    if (!key || typeof key !== 'string') {
+      return defaultValue;
+    }
+
+    try {
+      const data = await this._read(key);
+      if (!data) {
+        return defaultValue;
+      }
+
+      if (Storage._isExpired(data)) {
+        await this._expire(key, data);
+        return defaultValue;
+      }
+
+      Storage._touch(this._recent, key);
+      return data.value;
+    } catch (error) {
+      console.error('Storage.get error:', error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * 값 존재 확인
+   * @param {string} key - 키
+   * @returns {Promise<boolean>} 존재 여부
+   */
+  async has(key) {
+    if (!key || typeof key !== 'string') {
+      return false;
+    }
+
+    try {
+      const data = await this._read(key);
+      if (!data) return false;
+
+      if (Storage._isExpired(data)) {
+        await this._expire(key, data);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 값 제거
+   * @param {string} key - 키
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async remove(key) {
+    if (!key || typeof key !== 'string') {
+      return false;
+    }
+
+    try {
+      let data;
+      await this._transaction('readwrite', store => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          data = request.result;
+          store.delete(key);
+        };
+        return request;
+      });
+      this._recent.delete(key);
+
+      if (data) {
+        this.events.emit('change', { key, value: null, oldValue: data.value, action: 'remove', remote: false });
+      }
+      return true;
+    } catch (error) {
+      console.error('Storage.remove error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 모든 값 제거
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async clear() {
+    try {
+      await this._transaction('readwrite', store => store.clear());
+      this._recent.clear();
+      this.events.emit('change', { key: null, value: null, oldValue: null, action: 'clear', remote: false });
+      return true;
+    } catch (error) {
+      console.error('Storage.clear error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 키 목록
+   * @returns {Promise<string[]>} 키 배열
+   */
+  async keys() {
+    try {
+      return (await this._transaction('readonly', store => store.getAllKeys())) || [];
+    } catch (error) {
+      console.error('Storage.keys error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 만료된 항목 제거
+   * @returns {Promise<number>} 제거된 항목 수
+   */
+  async cleanExpired() {
+    try {
+      const expired = (await this._entries()).filter(data => Storage._isExpired(data));
+      for (const data of expired) {
+        await this._expire(data.key, data);
+      }
+      return expired.length;
+    } catch (error) {
+      console.error('Storage.cleanExpired error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 이벤트 구독
+   * @param {string} event - 'change' 또는 'evict'
+   * @param {Function} handler - 핸들러
+   * @returns {Function} 구독 취소 함수
+   */
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  /**
+   * 이벤트 1회 구독
+   * @param {string} event - 이벤트 이름
+   * @param {Function} handler - 핸들러
+   * @returns {Function} 구독 취소 함수
+   */
+  once(event, handler) {
+    return this.events.once(event, handler);
+  }
+
+  /**
+   * 구독 취소
+   * @param {string} event - 이벤트 이름
+   * @param {Function} [handler] - 핸들러 (없으면 모두 제거)
+   */
+  off(event, handler) {
+    this.events.off(event, handler);
+  }
+
+  /**
+   * 정리 (데이터베이스 연결 종료, 저장된 값은 유지)
+   */
+  destroy() {
+    if (this._dbPromise) {
+      this._dbPromise.then(db => db.close()).catch(() => {});
+      this._dbPromise = null;
+    }
+    this.events.clear();
+    this._recent.clear();
+  }
+
+  /**
+   * 데이터베이스 열기 (한 번만)
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IndexedDBStorage.STORE_NAME)) {
+          db.createObjectStore(IndexedDBStorage.STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // 실패하면 다음 호출에서 다시 시도
+    this._dbPromise.catch(() => {
+      this._dbPromise = null;
+    });
+
+    return this._dbPromise;
+  }
+
+  /**
+   * 트랜잭션 실행 (완료 시 마지막 요청 결과로 resolve)
+   * @private
+   * @param {string} mode - 'readonly' 또는 'readwrite'
+   * @param {Function} callback - (store) => IDBRequest
+   * @returns {Promise<*>}
+   */
+  async _transaction(mode, callback) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(IndexedDBStorage.STORE_NAME, mode);
+      const request = callback(tx.objectStore(IndexedDBStorage.STORE_NAME));
+
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error || (request && request.error));
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * 저장 데이터 읽기
+   * @private
+   * @param {string} key - 키
+   * @returns {Promise<Object|undefined>}
+   */
+  _read(key) {
+    return this._transaction('readonly', store => store.get(key));
+  }
+
+  /**
+   * 모든 저장 데이터
+   * @private
+   * @returns {Promise<Object[]>}
+   */
+  async _entries() {
+    return (await this._transaction('readonly', store => store.getAll())) || [];
+  }
+
+  /**
+   * 저장 (용량 초과 시 LRU 제거 후 재시도)
+   * 이전 값 읽기와 저장을 한 트랜잭션에서 처리합니다.
+   * @private
+   * @param {Object} record - { key, value, timestamp, expires }
+   * @returns {Promise<Object|false>} { previous } (이전 데이터) 또는 실패 시 false
+   */
+  async _write(record) {
+    const evicted = [];
+    let candidates = null;
+    let previous;
+
+    for (;;) {
+      try {
+        await this._transaction('readwrite', store => {
+          const request = store.get(record.key);
+          request.onsuccess = () => {
+            previous = request.result;
+            store.put(record);
+          };
+          return request;
+        });
+        break;
+      } catch (error) {
+        if (!Storage._isQuotaError(error)) throw error;
+
+        // 후보는 처음 한 번만 읽고 제거할 때마다 목록에서 뺌
+        if (this.options.evict && candidates === null) {
+          candidates = await this._candidates(record.key);
+        }
+
+        const victim = candidates ? Storage._pickVictim(candidates, this._recent) : null;
+        if (victim === null) {
+          console.error(`Storage: Quota exceeded for "${this.dbName}/${record.key}"`, error);
+          if (evicted.length > 0) this.events.emit('evict', { keys: evicted });
+          return false;
+        }
+
+        await this._transaction('readwrite', store => store.delete(victim));
+        this._recent.delete(victim);
+        candidates = candidates.filter(({ key }) => key !== victim);
+        evicted.push(victim);
+      }
+    }
+
+    if (evicted.length > 0) this.events.emit('evict', { keys: evicted });
+    return { previous };
+  }
+
+  /**
+   * 용량 확보를 위해 제거할 후보 (값 없이 저장/만료 시각만, 커서로 한 번 읽음)
+   * @private
+   * @param {string} except - 저장하려는 키
+   * @returns {Promise<Array<{key: string, data: Object}>>}
+   */
+  async _candidates(except) {
+    const entries = [];
+
+    await this._transaction('readonly', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const { key, timestamp, expires } = cursor.value;
+        if (key !== except) {
+          entries.push({ key, data: { timestamp, expires } });
+        }
+        cursor.continue();
+      };
+      return request;
+    });
+
+    return entries;
+  }
+
+  /**
+   * 만료된 항목 제거 및 알림
+   * @private
+   * @param {string} key - 키
+   * @param {Object} data - 만료된 데이터
+   * @returns {Promise<void>}
+   */
+  async _expire(key, data) {
+    await this._transaction('readwrite', store => store.delete(key));
+    this._recent.delete(key);
+    this.events.emit('change', { key, value: null, oldValue: data.value, action: 'expire', remote: false });
+  }
+}
+
+/**
+ * 암호화 Storage (AES-GCM)
+ * @class
+ * @description NamespacedStorage 또는 IndexedDBStorage를 감싸 값을 Web Crypto(SubtleCrypto)의
+ * AES-GCM으로 암호화해 저장합니다. 만료 시간도 암호문 안에 함께 넣어 변조할 수 없으며,
+ * 키 이름을 추가 인증 데이터로 사용하므로 다른 키의 암호문으로 바꿔치기할 수 없습니다.
+ * 복호화(무결성 검증)에 실패한 값은 없는 값으로 취급하고 제거합니다.
+ * 암호화가 비동기이므로 모든 메서드는 Promise를 반환합니다.
+ *
+ * 키 종류:
+ * - secret : 앱 비밀값에서 PBKDF2(SHA-256)로 유도 (네임스페이스를 기본 salt로 사용)
+ * - key : 직접 만든 CryptoKey (AES-GCM)
+ * - session : 임의 키를 sessionStorage에 보관 (값도 sessionStorage에 저장, 탭을 닫으면 함께 사라짐)
+ *
+ * @example
+ * const secure = Storage.create('myapp', { encrypt: { session: true } });
+ * await secure.set('draft', formData);
+ * const draft = await secure.get('draft', {});
+ */
+export class EncryptedStorage {
+  /**
+   * 기본 옵션
+   * @type {Object}
+   */
+  static DEFAULTS = {
+    secret: null,
+    key: null,
+    session: false,
+    salt: null,
+    iterations: 100000
+  };
+
+  /**
+   * 세션 키를 보관하는 sessionStorage 키 접두사
+   * @type {string}
+   */
+  static SESSION_KEY_PREFIX = 'imcat-storage-key:';
+
+  // 생성 중인 세션 키 (같은 네임스페이스의 인스턴스가 동시에 만들어도 하나만 사용)
+  static _pendingSessionKeys = new Map();
+
+  /**
+   * EncryptedStorage 생성자
+   * @constructor
+   * @param {NamespacedStorage|IndexedDBStorage} storage - 실제로 저장할 Storage
+   * @param {Object} options - 암호화 옵션
+   * @param {string} [options.secret] - 앱 비밀값
+   * @param {CryptoKey} [options.key] - AES-GCM 키
+   * @param {boolean} [options.session=false] - 세션 키 사용
+   * @param {string} [options.salt] - PBKDF2 salt (기본: 네임스페이스)
+   * @param {number} [options.iterations=100000] - PBKDF2 반복 횟수
+   */
+  constructor(storage, options) {
+    this.options = { ...EncryptedStorage.DEFAULTS, ...options };
+    if (!this.options.secret && !this.options.key && !this.options.session) {
+      throw new Error('Storage encrypt option requires a secret, key or session');
+    }
+
+    this.storage = storage;
+    this.namespace = storage.namespace;
+    this.events = new EventBus();
+
+    this._keyPromise = null;
+    this._eventQueue = Promise.resolve();
+    this._unsubscribes = ['change', 'evict'].map(event =>
+      storage.on(event, detail => this._relay(event, detail))
+    );
+  }
+
+  /**
+   * 값 암호화 후 저장
+   * @param {string} key - 키
+   * @param {*} value - 값 (JSON 직렬화 가능 값)
+   * @param {Object} [options={}] - 옵션
+   * @param {number} [options.expires] - 만료 시간 (초)
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async set(key, value, options = {}) {
+    if (!key || typeof key !== 'string') {
+      console.error('Storage.set: key must be a non-empty string');
+      return false;
+    }
+
+    try {
+      const envelope = await this._encrypt(key, Storage._wrap(value, options));
+      return await this.storage.set(key, envelope, options);
+    } catch (error) {
+      console.error('Storage.set error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 값 복호화 후 가져오기
+   * @param {string} key - 키
+   * @param {*} [defaultValue=null] - 기본값 (없거나, 만료되었거나, 무결성 검증에 실패한 경우)
+   * @returns {Promise<*>} 저장된 값 또는 기본값
+   */
+  async get(key, defaultValue = null) {
+    if (!key || typeof key !== 'string') {
+      return defaultValue;
+    }
+
+    try {
+      const envelope = await this.storage.get(key, null);
+      if (!envelope) {
+        return defaultValue;
+      }
+
+      const data = await this._decrypt(key, envelope);
+      if (!data || Storage._isExpired(data)) {
+        if (!data) {
+          console.warn(`Storage: Integrity check failed for "${key}", discarding value`);
+        }
+        await this.storage.remove(key);
+        return defaultValue;
+      }
+
+      return data.value;
+    } catch (error) {
+      console.error('Storage.get error:', error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * 값 존재 확인 (복호화 가능한 값만)
+   * @param {string} key - 키
+   * @returns {Promise<boolean>} 존재 여부
+   */
+  async has(key) {
+    const missing = {};
+    return (await this.get(key, missing)) !== missing;
+  }
+
+  /**
+   * 값 제거
+   * @param {string} key - 키
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async remove(key) {
+    return this.storage.remove(key);
+  }
+
+  /**
+   * 모든 값 제거
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  async clear() {
+    return this.storage.clear();
+  }
+
+  /**
+   * 키 목록
+   * @returns {Promise<string[]>} 키 배열
+   */
+  async keys() {
+    return this.storage.keys();
+  }
+
+  /**
+   * 만료된 항목 제거
+   * @returns {Promise<number>} 제거된 항목 수
+   */
+  async cleanExpired() {
+    return this.storage.cleanExpired();
+  }
+
+  /**
+   * 이벤트 구독 (change 이벤트 값은 복호화되어 전달)
+   * @param {string} event - 'change' 또는 'evict'
+   * @param {Function} handler - 핸들러
+   * @returns {Function} 구독 취소 함수
+   */
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  /**
+   * 이벤트 1회 구독
+   * @param {string} event - 이벤트 이름
+   * @param {Function} handler - 핸들러
+   * @returns {Function} 구독 취소 함수
+   */
+  once(event, handler) {
+    return this.events.once(event, handler);
+  }
+
+  /**
+   * 구독 취소
+   * @param {string} event - 이벤트 이름
+   * @param {Function} [handler] - 핸들러 (없으면 모두 제거)
+   */
+  off(event, handler) {
+    this.events.off(event, handler);
+  }
+
+  /**
+   * 정리 (내부 Storage 포함, 저장된 값은 유지)
+   */
+  destroy() {
+    this._unsubscribes.forEach(unsubscribe => unsubscribe());
+    this._unsubscribes = [];
+    this.storage.destroy();
+    this.events.clear();
+    this._keyPromise = null;
+  }
+
+  /**
+   * 암호화 키 (한 번만 준비)
+   * @private
+   * @returns {Promise<CryptoKey>}
+   */
+  _getKey() {
+    if (this._keyPromise) return this._keyPromise;
+
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      return Promise.reject(new Error('Web Crypto (SubtleCrypto) is not available'));
+    }
+
+    const { key, secret } = this.options;
+    if (key) {
+      this._keyPromise = Promise.resolve(key);
+    } else if (secret) {
+      this._keyPromise = this._deriveKey(secret);
+    } else {
+      this._keyPromise = this._sessionKey();
+    }
+
+    // 실패하면 다음 호출에서 다시 시도
+    this._keyPromise.catch(() => {
+      this._keyPromise = null;
+    });
+
+    return this._keyPromise;
+  }
+
+  /**
+   * 앱 비밀값에서 키 유도 (PBKDF2)
+   * @private
+   * @param {string} secret - 비밀값
+   * @returns {Promise<CryptoKey>}
+   */
+  async _deriveKey(secret) {
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: encoder.encode(this.options.salt || `imcat-storage:${this.namespace}`),
+        iterations: this.options.iterations,
+        hash: 'SHA-256'
+      },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 세션 키 (sessionStorage에 보관, 없으면 생성)
+   * @private
+   * @returns {Promise<CryptoKey>}
+   */
+  _sessionKey() {
+    const storageKey = `${EncryptedStorage.SESSION_KEY_PREFIX}${this.namespace}`;
+    const saved = sessionStorage.getItem(storageKey);
+
+    if (saved) {
+      return crypto.subtle.importKey('raw', this._fromBase64(saved), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    const pending = EncryptedStorage._pendingSessionKeys;
+    if (!pending.has(storageKey)) {
+      pending.set(storageKey, (async () => {
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const raw = await crypto.subtle.exportKey('raw', key);
+        sessionStorage.setItem(storageKey, this._toBase64(new Uint8Array(raw)));
+        return key;
+      })().finally(() => {
+        pending.delete(storageKey);
+      }));
+    }
+
+    return pending.get(storageKey);
+  }
+
+  /**
+   * 암호화 ({ iv, data } base64)
+   * @private
+   * @param {string} key - 키 (추가 인증 데이터)
+   * @param {Object} payload - { value, timestamp, expires }
+   * @returns {Promise<Object>}
+   */
+  async _encrypt(key, payload) {
+    const encoder = new TextEncoder();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(`${this.namespace}:${key}`) },
+      await this._getKey(),
+      encoder.encode(JSON.stringify(payload))
+    );
+
+    return { iv: this._toBase64(iv), data: this._toBase64(new Uint8Array(encrypted)) };
+  }
+
+  /**
+   * 복호화 (변조되었거나 키가 다르면 null, 키를 준비할 수 없으면 reject)
+   * @private
+   * @param {string} key - 키 (추가 인증 데이터)
+   * @param {Object} envelope - { iv, data }
+   * @returns {Promise<Object|null>}
+   */
+  async _decrypt(key, envelope) {
+    const cryptoKey = await this._getKey();
+
+    if (!envelope || typeof envelope.iv !== 'string' || typeof envelope.data !== 'string') {
+      return null;
+    }
+
+    try {
+      const decrypted = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: this._fromBase64(envelope.iv),
+          additionalData: new TextEncoder().encode(`${this.namespace}:${key}`)
+        },
+        cryptoKey,
+        this._fromBase64(envelope.data)
+      );
+      return JSON.parse(new TextDecoder().decode(decrypted));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 내부 Storage 이벤트를 복호화해 순서대로 전달
+   * @private
+   * @param {string} event - 이벤트 이름
+   * @param {Object} detail - 이벤트 데이터
+   */
+  _relay(event, detail) {
+    this._eventQueue = this._eventQueue.then(async () => {
+      if (event !== 'change' || detail.key === null) {
+        this.events.emit(event, detail);
+        return;
+      }
+
+      const open = async (envelope) => {
+        const data = envelope ? await this._decrypt(detail.key, envelope) : null;
+        return data ? data.value : null;
+      };
+
+      this.events.emit(event, {
+        ...detail,
+        value: await open(detail.value),
+        oldValue: await open(detail.oldValue)
+      });
+    }).catch(error => {
+      console.error('Storage event error:', error);
+    });
+  }
+
+  /**
+   * 바이트 배열 → base64
+   * @private
+   * @param {Uint8Array} bytes - 바이트
+   * @returns {string}
+   */
+  _toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * base64 → 바이트 배열
+   * @private
+   * @param {string} base64 - base64 문자열
+   * @returns {Uint8Array}
+   */
+  _fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
 }
 
 export default Storage;
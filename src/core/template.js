@@ -3,18 +3,83 @@
  * @module core/template
  */
 
+import { Formatters } from './formatters.js';
+
 /**
  * 간단하고 빠른 템플릿 엔진
  * @class
- * @description {{key}} 문법을 사용하는 간단한 템플릿 엔진입니다.
- * 자동 XSS 방어(이스케이프)를 제공하며, 조건부/리스트 렌더링을 지원합니다.
+ * @description {{key}} 문법을 사용하는 템플릿 엔진입니다.
+ * 자동 XSS 방어(이스케이프)를 기본으로 하며, 점 경로, 필터, 조건/반복 블록, 파셜을 지원합니다.
+ *
+ * 문법:
+ * - {{user.name}} : 값 출력 (이스케이프)
+ * - {{{html}}} 또는 {{& html}} : 이스케이프 없이 출력
+ * - {{price | currency}}, {{text | truncate:20:'…'}} : 필터 (Formatters 또는 등록한 필터)
+ * - {{#if cond}}...{{else}}...{{/if}}, {{#unless cond}}...{{/unless}}
+ * - {{#each items}}{{name}} {{@index}}{{else}}없음{{/each}} (this, @index, @key, @first, @last, ../부모)
+ * - {{> partialName}}, {{> partialName user}} : 파셜
+ * - {{! 주석 }}
  *
  * @example
  * const html = Template.render('Hello {{name}}!', { name: 'John' });
+ *
+ * @example
+ * Template.render('{{#each items}}<li>{{name}} {{price | currency}}</li>{{else}}<li>없음</li>{{/each}}', {
+ *   items: [{ name: 'Laptop', price: 1200000 }]
+ * });
  */
 export class Template {
+  /**
+   * 컴파일 캐시 최대 크기 (초과 시 가장 오래된 템플릿부터 제거)
+   * @type {number}
+   */
+  static CACHE_LIMIT = 500;
+
+  /**
+   * 파셜 최대 중첩 깊이 (자기 자신을 부르는 파셜의 무한 재귀 방지)
+   * @type {number}
+   */
+  static MAX_PARTIAL_DEPTH = 100;
+
+  /**
+   * HTML 이스케이프 대상 문자
+   * @type {Object<string, string>}
+   */
+  static ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  };
+
+  /**
+   * 컴파일된 렌더 함수 캐시 (템플릿 문자열 → 함수)
+   * @private
+   */
+  static _cache = new Map();
+
+  /**
+   * 등록된 파셜
+   * @private
+   */
+  static _partials = new Map();
+
+  /**
+   * 현재 렌더링 중인 파셜 깊이
+   * @private
+   */
+  static _partialDepth = 0;
+
+  /**
+   * 등록된 필터
+   * @private
+   */
+  static _filters = new Map();
+
   /**
    * 템플릿 렌더링 (자동 XSS 방어)
+   * 블록 짝이 맞지 않거나, 알 수 없는 블록/필터/파셜을 사용하거나, 파셜이 너무 깊이 중첩되면 에러를 던집니다.
    * @param {string} template - 템플릿 문자열 ({{key}} 형식)
    * @param {Object} [data={}] - 데이터 객체
    * @returns {string} 렌더링된 HTML
@@ -29,24 +94,17 @@ export class Template {
    *   userInput: '<script>alert("XSS")</script>'
    * });
    * // '&lt;script&gt;alert("XSS")&lt;/script&gt;'
+   *
+   * @example
+   * // 점 경로와 필터
+   * Template.render('{{user.name}} - {{order.total | currency}}', data);
    */
   static render(template, data = {}) {
     if (typeof template !== 'string') {
       return '';
     }
 
-    // {{key}} 형식의 플레이스홀더를 데이터로 치환
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      const value = data[key];
-
-      // undefined/null은 빈 문자열로
-      if (value === undefined || value === null) {
-        return '';
-      }
-
-      // 자동 이스케이프 (XSS 방어)
-      return this._escape(String(value));
-    });
+    return this._program(template)(this._scope(data), true);
   }
 
   /**
@@ -67,10 +125,7 @@ export class Template {
       return '';
     }
 
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      const value = data[key];
-      return value !== undefined && value !== null ? String(value) : '';
-    });
+    return this._program(template)(this._scope(data), false);
   }
 
   /**
@@ -117,7 +172,7 @@ export class Template {
   /**
    * 템플릿 컴파일 (재사용을 위한 함수 생성)
    * @param {string} template - 템플릿 문자열
-   * @returns {Function} 렌더링 함수
+   * @returns {Function} 렌더링 함수 (data) => string
    *
    * @example
    * const greeting = Template.compile('Hello {{name}}!');
@@ -125,24 +180,473 @@ export class Template {
    * greeting({ name: 'Jane' }); // 'Hello Jane!'
    *
    * @performance
-   * - 같은 템플릿을 여러 번 사용할 경우 compile()로 최적화
-   * - 정규표현식이 매번 실행되지만, 간단한 패턴이므로 충분히 빠름
-   * - 복잡한 템플릿 엔진이 필요하면 Handlebars, Mustache 권장
+   * - 템플릿을 한 번만 파싱해 렌더 함수로 변환하고, 호출 시에는 값 조회와 문자열 연결만 수행
+   * - 같은 문자열의 템플릿은 캐시를 공유 (render()도 같은 캐시 사용)
+   * - DOM을 사용하지 않으므로 Web Worker, Node 환경에서도 동작
    */
   static compile(template) {
-    return (data = {}) => this.render(template, data);
+    if (typeof template !== 'string') {
+      return () => '';
+    }
+
+    const program = this._program(template);
+    return (data = {}) => program(this._scope(data), true);
+  }
+
+  /**
+   * 컴파일 캐시 비우기
+   */
+  static clearCache() {
+    this._cache.clear();
+  }
+
+  /**
+   * 파셜 등록
+   * @param {string} name - 파셜 이름 ({{> name}})
+   * @param {string} template - 템플릿 문자열
+   *
+   * @example
+   * Template.registerPartial('userCard', '<div class="card">{{name}}</div>');
+   * Template.render('{{#each users}}{{> userCard}}{{/each}}', { users });
+   */
+  static registerPartial(name, template) {
+    if (typeof template !== 'string') {
+      throw new Error(`Partial "${name}" must be a string`);
+    }
+    this._partials.set(name, template);
+  }
+
+  /**
+   * 파셜 등록 해제
+   * @param {string} name - 파셜 이름
+   */
+  static unregisterPartial(name) {
+    this._partials.delete(name);
+  }
+
+  /**
+   * 필터 등록 (같은 이름의 Formatters보다 우선)
+   * @param {string} name - 필터 이름
+   * @param {Function} fn - (value, ...args) => *
+   *
+   * @example
+   * Template.registerFilter('upper', value => String(value).toUpperCase());
+   * Template.render('{{name | upper}}', { name: 'john' }); // 'JOHN'
+   */
+  static registerFilter(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Filter "${name}" must be a function`);
+    }
+    this._filters.set(name, fn);
+  }
+
+  /**
+   * 필터 등록 해제
+   * @param {string} name - 필터 이름
+   */
+  static unregisterFilter(name) {
+    this._filters.delete(name);
+  }
+
+  /**
+   * 템플릿을 노드 트리로 파싱
+   * @private
+   * @param {string} template - 템플릿 문자열
+   * @returns {Object[]} 노드 목록
+   */
+  static _parse(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const pattern = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const current = () => {
+      const block = stack[stack.length - 1];
+      return block.inverse || block.children;
+    };
+
+    while ((match = pattern.exec(template)) !== null) {
+      if (match.index > lastIndex) {
+        current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = pattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        current().push({ type: 'var', raw: true, ...this._parseExpression(match[1]) });
+        continue;
+      }
+
+      const tag = match[2];
+      const head = tag.charAt(0);
+
+      if (head === '!') continue;
+
+      if (head === '#') {
+        const [, name, expression] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+        if (!['if', 'unless', 'each'].includes(name)) {
+          throw new Error(`Template: Unknown block "{{${tag}}}"`);
+        }
+        const block = { type: name, ...this._parseExpression(expression), children: [], inverse: null };
+        current().push(block);
+        stack.push(block);
+      } else if (head === '/') {
+        const name = tag.slice(1).trim();
+        const block = stack.pop();
+        if (stack.length === 0 || block.type !== name) {
+          throw new Error(`Template: Unexpected "{{${tag}}}"`);
+        }
+      } else if (tag === 'else') {
+        const block = stack[stack.length - 1];
+        if (stack.length === 1 || block.inverse) {
+          throw new Error('Template: Unexpected "{{else}}"');
+        }
+        block.inverse = [];
+      } else if (head === '>') {
+        const [name, expression] = tag.slice(1).trim().split(/\s+(.+)/);
+        current().push({ type: 'partial', name, path: expression ? expression.trim() : null });
+      } else if (head === '&') {
+        current().push({ type: 'var', raw: true, ...this._parseExpression(tag.slice(1)) });
+      } else {
+        current().push({ type: 'var', raw: false, ...this._parseExpression(tag) });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Template: Unclosed "{{#${stack[stack.length - 1].type}}}"`);
+    }
+
+    if (lastIndex < template.length) {
+      root.children.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return root.children;
+  }
+
+  /**
+   * 출력 식 파싱 ('path | filter:arg | filter')
+   * @private
+   * @param {string} expression - 식
+   * @returns {Object} { path, filters: [{ name, args }] }
+   */
+  static _parseExpression(expression) {
+    const [path, ...filters] = this._split(expression.trim(), '|');
+
+    return {
+      path: path.trim(),
+      filters: filters.map(filter => {
+        const [name, ...args] = this._split(filter.trim(), ':');
+        return { name: name.trim(), args: args.map(arg => arg.trim()) };
+      })
+    };
+  }
+
+  /**
+   * 따옴표 밖의 구분자로 문자열 분리
+   * @private
+   * @param {string} str - 문자열
+   * @param {string} separator - 구분자 (한 글자)
+   * @returns {string[]}
+   */
+  static _split(str, separator) {
+    const parts = [];
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < str.length; i++) {
+      const char = str[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === separator) {
+        parts.push(str.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(str.slice(start));
+
+    return parts;
+  }
+
+  /**
+   * 캐시된 렌더 함수 반환 (없으면 컴파일 후 캐시)
+   * @private
+   * @param {string} template - 템플릿 문자열
+   * @returns {Function} (scope, escape) => string
+   */
+  static _program(template) {
+    let program = this._cache.get(template);
+
+    if (!program) {
+      program = this._compileNodes(this._parse(template));
+
+      // 가장 오래된 항목부터 제거
+      if (this._cache.size >= this.CACHE_LIMIT) {
+        this._cache.delete(this._cache.keys().next().value);
+      }
+      this._cache.set(template, program);
+    }
+
+    return program;
+  }
+
+  /**
+   * 노드 목록 컴파일
+   * @private
+   * @param {Object[]} nodes - 노드 목록
+   * @returns {Function} (scope, escape) => string
+   */
+  static _compileNodes(nodes) {
+    const parts = nodes.map(node => this._compileNode(node));
+
+    if (parts.length === 0) return () => '';
+    if (parts.length === 1) return parts[0];
+
+    return (scope, escape) => {
+      let html = '';
+      for (let i = 0; i < parts.length; i++) {
+        html += parts[i](scope, escape);
+      }
+      return html;
+    };
+  }
+
+  /**
+   * 노드 컴파일
+   * @private
+   * @param {Object} node - 노드
+   * @returns {Function} (scope, escape) => string
+   */
+  static _compileNode(node) {
+    switch (node.type) {
+      case 'text': {
+        const { value } = node;
+        return () => value;
+      }
+
+      case 'var': {
+        const read = this._compileValue(node);
+        const { raw } = node;
+        return (scope, escape) => {
+          const value = read(scope);
+          if (value === undefined || value === null) return '';
+          return escape && !raw ? this._escape(String(value)) : String(value);
+        };
+      }
+
+      case 'if':
+      case 'unless': {
+        const read = this._compileValue(node);
+        const negate = node.type === 'unless';
+        const body = this._compileNodes(node.children);
+        const inverse = this._compileNodes(node.inverse || []);
+        return (scope, escape) => (
+          this._truthy(read(scope)) !== negate ? body(scope, escape) : inverse(scope, escape)
+        );
+      }
+
+      case 'each':
+        return this._compileEach(node);
+
+      case 'partial': {
+        const { name } = node;
+        const read = node.path ? this._compileExpression(node.path) : null;
+        return (scope, escape) => {
+          const partial = this._partials.get(name);
+          if (partial === undefined) {
+            throw new Error(`Template: Unknown partial "${name}"`);
+          }
+          if (this._partialDepth >= this.MAX_PARTIAL_DEPTH) {
+            throw new Error(`Template: Partial "${name}" exceeded the maximum depth of ${this.MAX_PARTIAL_DEPTH}`);
+          }
+
+          this._partialDepth++;
+          try {
+            return this._program(partial)(read ? this._scope(read(scope), scope) : scope, escape);
+          } finally {
+            this._partialDepth--;
+          }
+        };
+      }
+    }
+
+    return () => '';
+  }
+
+  /**
+   * each 블록 컴파일 (배열 또는 객체)
+   * @private
+   * @param {Object} node - each 노드
+   * @returns {Function} (scope, escape) => string
+   */
+  static _compileEach(node) {
+    const read = this._compileValue(node);
+    const body = this._compileNodes(node.children);
+    const inverse = this._compileNodes(node.inverse || []);
+
+    return (scope, escape) => {
+      const collection = read(scope);
+      const isArray = Array.isArray(collection);
+      const keys = isArray || !collection || typeof collection !== 'object' ? null : Object.keys(collection);
+      const length = isArray ? collection.length : keys ? keys.length : 0;
+
+      if (length === 0) {
+        return inverse(scope, escape);
+      }
+
+      let html = '';
+      for (let index = 0; index < length; index++) {
+        const key = isArray ? index : keys[index];
+        const locals = { index, key, first: index === 0, last: index === length - 1 };
+        html += body(this._scope(collection[key], scope, locals), escape);
+      }
+      return html;
+    };
+  }
+
+  /**
+   * 필터를 포함한 출력 식 컴파일 (등록한 필터 > Formatters)
+   * @private
+   * @param {Object} node - { path, filters }
+   * @returns {Function} scope => *
+   */
+  static _compileValue({ path, filters }) {
+    const read = this._compileExpression(path);
+    if (filters.length === 0) return read;
+
+    const steps = filters.map(({ name, args }) => ({
+      name,
+      args: args.map(arg => this._compileExpression(arg))
+    }));
+
+    return scope => steps.reduce((result, { name, args }) => {
+      // 필터는 렌더링 시점에 찾음 (컴파일 후 등록한 필터도 사용 가능)
+      const filter = this._filters.get(name) || (typeof Formatters[name] === 'function' ? Formatters[name] : null);
+      if (!filter) {
+        throw new Error(`Template: Unknown filter "${name}"`);
+      }
+      return filter.call(Formatters, result, ...args.map(arg => arg(scope)));
+    }, read(scope));
+  }
+
+  /**
+   * 식 컴파일 (리터럴 또는 경로)
+   * 경로의 첫 키가 현재 데이터에 없으면 부모 스코프에서 찾습니다.
+   * @private
+   * @param {string} expression - 'user.name', 'this', '@index', '../title', "'text'", 10 등
+   * @returns {Function} scope => *
+   */
+  static _compileExpression(expression) {
+    const literal = this._literal(expression);
+    if (literal.matched) {
+      return () => literal.value;
+    }
+
+    let depth = 0;
+    let rest = expression;
+    while (rest.startsWith('../')) {
+      depth++;
+      rest = rest.slice(3);
+    }
+
+    const up = (scope) => {
+      let current = scope;
+      for (let i = 0; i < depth && current.parent; i++) {
+        current = current.parent;
+      }
+      return current;
+    };
+
+    if (rest.startsWith('@')) {
+      const name = rest.slice(1);
+      return scope => up(scope).locals[name];
+    }
+
+    const keys = rest.split('.');
+    const isThis = keys[0] === 'this';
+    const path = isThis ? keys.slice(1) : keys;
+    const first = keys[0];
+
+    return (scope) => {
+      const current = up(scope);
+      let target;
+
+      if (isThis) {
+        target = current.data;
+      } else {
+        let owner = current;
+        while (owner && !this._hasKey(owner.data, first)) {
+          owner = owner.parent;
+        }
+        target = (owner || current).data;
+      }
+
+      for (let i = 0; i < path.length; i++) {
+        if (target === null || target === undefined) return undefined;
+        target = target[path[i]];
+      }
+      return target;
+    };
+  }
+
+  /**
+   * 리터럴 해석 (문자열, 숫자, true/false/null)
+   * @private
+   * @param {string} expression - 식
+   * @returns {{matched: boolean, value: *}}
+   */
+  static _literal(expression) {
+    if (/^(['"]).*\1$/.test(expression)) return { matched: true, value: expression.slice(1, -1) };
+    if (expression !== '' && !isNaN(expression)) return { matched: true, value: Number(expression) };
+    if (expression === 'true') return { matched: true, value: true };
+    if (expression === 'false') return { matched: true, value: false };
+    if (expression === 'null') return { matched: true, value: null };
+
+    return { matched: false, value: undefined };
+  }
+
+  /**
+   * 스코프 생성
+   * @private
+   * @param {*} data - 현재 데이터
+   * @param {Object} [parent=null] - 부모 스코프
+   * @param {Object} [locals={}] - @index 등 반복 변수
+   * @returns {Object}
+   */
+  static _scope(data, parent = null, locals = {}) {
+    return { data, parent, locals };
+  }
+
+  /**
+   * 객체가 키를 가지고 있는지
+   * @private
+   * @param {*} data - 데이터
+   * @param {string} key - 키
+   * @returns {boolean}
+   */
+  static _hasKey(data, key) {
+    return data !== null && typeof data === 'object' && key in data;
+  }
+
+  /**
+   * 블록 조건 판단 (빈 배열은 거짓)
+   * @private
+   * @param {*} value - 값
+   * @returns {boolean}
+   */
+  static _truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
   }
 
   /**
-   * HTML 이스케이프 (내부용)
+   * HTML 이스케이프 (DOM 없이 동작, 속성 값에도 안전)
    * @private
    * @param {string} str - 문자열
    * @returns {string} 이스케이프된 문자열
    */
   static _escape(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+    return /[&<>"']/.test(str) ? str.replace(/[&<>"']/g, char => Template.ESCAPE_MAP[char]) : str;
   }
 }
 
@@ -0,0 +1,111 @@
+/**
+ * 뷰 캐시
+ * @module core/view-cache
+ */
+
+/**
+ * LRU 뷰 캐시
+ * @class
+ * @description 뷰 파일 HTML을 메모리에 보관하는 LRU 캐시입니다.
+ * 최대 개수를 넘으면 가장 오래 사용하지 않은 항목부터 제거하고, TTL이 지난 항목은 조회 시 제거합니다.
+ *
+ * @example
+ * const cache = new ViewCache({ max: 20, ttl: 5 * 60 * 1000 });
+ * cache.set('views/home.html', html);
+ * cache.get('views/home.html'); // html
+ */
+export class ViewCache {
+  /**
+   * ViewCache 생성자
+   * @constructor
+   * @param {Object} [options={}] - 옵션
+   * @param {number} [options.max=20] - 최대 항목 수
+   * @param {number} [options.ttl=300000] - 유효 시간 (ms, 0이면 만료 없음)
+   */
+  constructor(options = {}) {
+    this.max = options.max !== undefined ? options.max : 20;
+    this.ttl = options.ttl !== undefined ? options.ttl : 300000;
+    this.entries = new Map();
+  }
+
+  /**
+   * 항목 조회 (최근 사용으로 갱신)
+   * @param {string} key - 키
+   * @returns {*} 값 (없거나 만료되면 undefined)
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (this._isExpired(entry)) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Map 순서를 최근 사용 순으로 유지
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * 항목 저장
+   * @param {string} key - 키
+   * @param {*} value - 값
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, time: Date.now() });
+
+    // 가장 오래 사용하지 않은 항목부터 제거
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 유효한 항목 존재 여부
+   * @param {string} key - 키
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    return !!entry && !this._isExpired(entry);
+  }
+
+  /**
+   * 항목 삭제
+   * @param {string} key - 키
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * 전체 삭제
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * 저장된 항목 수
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 만료 여부
+   * @private
+   * @param {Object} entry - 캐시 항목
+   * @returns {boolean}
+   */
+  _isExpired(entry) {
+    return this.ttl > 0 && Date.now() - entry.time > this.ttl;
+  }
+}
+
+export default ViewCache;
@@ -0,0 +1,187 @@
+/**
+ * API Mock Adapter 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { APIUtil } from '../../src/core/api.js';
+import { MockAdapter } from '../../src/core/api-mock.js';
+
+describe('MockAdapter', () => {
+  let mock;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    mock = APIUtil.mock();
+  });
+
+  afterEach(() => {
+    APIUtil.setAdapter(null);
+    vi.useRealTimers();
+  });
+
+  describe('응답 등록', () => {
+    it('APIUtil.mock()은 MockAdapter를 어댑터로 설정해야 함', async () => {
+      expect(mock).toBeInstanceOf(MockAdapter);
+      mock.onGet('/api/me').reply(200, { name: 'John' });
+
+      const response = await APIUtil.get('/api/me');
+
+      expect(response.success).toBe(true);
+      expect(response.data).toEqual({ name: 'John' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('응답 함수에 경로 파라미터, 쿼리, 본문을 전달해야 함', async () => {
+      mock.onPost('/api/users/:id/posts').reply(({ params, query, body }) => [
+        201,
+        { userId: params.id, draft: query.draft, ...body }
+      ]);
+
+      const response = await APIUtil.post('/api/users/7/posts?draft=1', { title: 'Hi' });
+
+      expect(response.data).toEqual({ userId: '7', draft: '1', title: 'Hi' });
+    });
+
+    it('메서드가 다르면 일치하지 않고 먼저 등록한 핸들러가 우선해야 함', async () => {
+      mock
+        .onGet('/api/items/*').reply(200, { from: 'wildcard' })
+        .onGet('/api/items/1').reply(200, { from: 'exact' })
+        .onDelete('/api/items/1').reply(204);
+
+      expect((await APIUtil.get('/api/items/1')).data).toEqual({ from: 'wildcard' });
+      expect((await APIUtil.delete('/api/items/1')).success).toBe(true);
+    });
+
+    it('정규식 패턴의 이름 있는 그룹을 파라미터로 전달해야 함', async () => {
+      mock.onAny(/\/api\/files\/(?<name>[\w.]+)$/).reply(({ method, params }) => [200, { method, name: params.name }]);
+
+      const response = await APIUtil.put('/api/files/a.txt', {});
+
+      expect(response.data).toEqual({ method: 'PUT', name: 'a.txt' });
+    });
+
+    it('replyOnce는 한 번만 응답하고 다음 핸들러로 넘어가야 함', async () => {
+      mock
+        .onGet('/api/status').replyOnce(503, { message: 'Busy' })
+        .onGet('/api/status').reply(200, { ok: true });
+
+      expect((await APIUtil.get('/api/status')).statusCode).toBe(503);
+      expect((await APIUtil.get('/api/status')).data).toEqual({ ok: true });
+    });
+
+    it('일치하는 핸들러가 없으면 404를 반환해야 함', async () => {
+      const response = await APIUtil.get('/api/unknown');
+
+      expect(response.statusCode).toBe(404);
+      expect(response.message).toBe('No mock handler for GET /api/unknown');
+    });
+
+    it('passthrough면 일치하지 않는 요청을 fetch로 보내야 함', async () => {
+      APIUtil.mock({ passthrough: true });
+      global.fetch.mockResolvedValue(new Response('{"real":true}', {
+        headers: { 'content-type': 'application/json' }
+      }));
+
+      const response = await APIUtil.get('/api/real');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(response.data).toEqual({ real: true });
+    });
+  });
+
+  describe('지연 및 오류 시뮬레이션', () => {
+    it('지정한 시간만큼 응답을 지연해야 함', async () => {
+      vi.useFakeTimers();
+      mock.onGet('/api/slow').delay(500).reply(200, { done: true });
+
+      let response = null;
+      APIUtil.get('/api/slow').then((result) => {
+        response = result;
+      });
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(response).toBeNull();
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(response.data).toEqual({ done: true });
+    });
+
+    it('지연이 끝나면 취소 리스너를 제거해야 함', async () => {
+      const controller = new AbortController();
+      const addListener = vi.spyOn(controller.signal, 'addEventListener');
+      const removeListener = vi.spyOn(controller.signal, 'removeEventListener');
+
+      await mock._wait(1, controller.signal);
+
+      expect(addListener).toHaveBeenCalledWith('abort', expect.any(Function), { once: true });
+      expect(removeListener).toHaveBeenCalledWith('abort', addListener.mock.calls[0][1]);
+    });
+
+    it('networkError()는 네트워크 오류로 처리되어야 함', async () => {
+      mock.onGet('/api/flaky').networkError();
+
+      const response = await APIUtil.get('/api/flaky');
+
+      expect(response.statusCode).toBe(0);
+      expect(response.error.type).toBe('network');
+    });
+
+    it('timeout()은 요청 제한 시간을 넘겨 408이 되어야 함', async () => {
+      mock.onGet('/api/hang').timeout();
+
+      const response = await APIUtil.get('/api/hang', { timeout: 10 });
+
+      expect(response.statusCode).toBe(408);
+      expect(response.error.type).toBe('timeout');
+    });
+  });
+
+  describe('요청 기록', () => {
+    it('메서드와 URL 패턴으로 요청 기록을 조회해야 함', async () => {
+      mock.onAny('/api/*').reply(200, {});
+
+      await APIUtil.get('/api/users?page=2');
+      await APIUtil.post('/api/users', { name: 'John' }, { headers: { 'X-Trace': '1' } });
+
+      expect(mock.history).toHaveLength(2);
+      expect(mock.calls('GET', '/api/users')[0].query).toEqual({ page: '2' });
+
+      const [post] = mock.calls('POST', '/api/users');
+      expect(post.body).toEqual({ name: 'John' });
+      expect(post.headers['X-Trace']).toBe('1');
+
+      mock.resetHistory();
+      expect(mock.calls()).toHaveLength(0);
+    });
+
+    it('reset()은 핸들러와 기록을 모두 지워야 함', async () => {
+      mock.onGet('/api/me').reply(200, {});
+      await APIUtil.get('/api/me');
+
+      mock.reset();
+
+      expect(mock.history).toHaveLength(0);
+      expect((await APIUtil.get('/api/me')).statusCode).toBe(404);
+    });
+  });
+
+  describe('APIUtil.setAdapter()', () => {
+    it('함수 어댑터를 사용하고 null이면 fetch로 복원해야 함', async () => {
+      const adapter = vi.fn(async () => new Response('plain text'));
+      APIUtil.setAdapter(adapter);
+
+      const response = await APIUtil.get('/api/text', { responseType: 'text' });
+      expect(response.data).toBe('plain text');
+      expect(adapter).toHaveBeenCalledWith('/api/text', expect.objectContaining({ method: 'GET' }));
+
+      APIUtil.setAdapter(null);
+      global.fetch.mockResolvedValue(new Response('{}', { headers: { 'content-type': 'application/json' } }));
+      await APIUtil.get('/api/text');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('잘못된 어댑터는 에러를 던져야 함', () => {
+      expect(() => APIUtil.setAdapter({})).toThrow();
+    });
+  });
+});
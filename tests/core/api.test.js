@@ -2,8 +2,9 @@
  * API Module 테스트
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { APIUtil } from '../../src/core/api.js';
+import { Config } from '../../src/core/config.js';
 
 // Mock fetch
 global.fetch = vi.fn();
@@ -165,6 +166,7 @@ describe('API Module', () => {
       });
 
       expect(global.fetch).toHaveBeenCalledWith('/api/users', {
+        signal: expect.any(AbortSignal),
         headers: {
           'Content-Type': 'application/json',
           'Authorization': 'Bearer token123'
@@ -184,6 +186,7 @@ describe('API Module', () => {
         await APIUtil.get('/api/users');
         
         expect(global.fetch).toHaveBeenCalledWith('/api/users', {
+          signal: expect.any(AbortSignal),
           method: 'GET',
           headers: {
             'Content-Type': 'application/json'
@@ -203,6 +206,7 @@ describe('API Module', () => {
         await APIUtil.post('/api/users', body);
         
         expect(global.fetch).toHaveBeenCalledWith('/api/users', {
+          signal: expect.any(AbortSignal),
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
@@ -223,6 +227,7 @@ describe('API Module', () => {
         await APIUtil.put('/api/users/1', body);
         
         expect(global.fetch).toHaveBeenCalledWith('/api/users/1', {
+          signal: expect.any(AbortSignal),
           method: 'PUT',
           headers: {
             'Content-Type': 'application/json'
@@ -243,6 +248,7 @@ describe('API Module', () => {
         await APIUtil.patch('/api/users/1', body);
         
         expect(global.fetch).toHaveBeenCalledWith('/api/users/1', {
+          signal: expect.any(AbortSignal),
           method: 'PATCH',
           headers: {
             'Content-Type': 'application/json'
@@ -262,6 +268,7 @@ describe('API Module', () => {
         await APIUtil.delete('/api/users/1');
         
         expect(global.fetch).toHaveBeenCalledWith('/api/users/1', {
+          signal: expect.any(AbortSignal),
           method: 'DELETE',
           headers: {
             'Content-Type': 'application/json'
@@ -415,6 +422,754 @@ describe('API Module', () => {
     });
   });
 
+  describe('Config 설정, 제한 시간 및 취소', () => {
+    const jsonResponse = (data) => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      json: async () => data
+    });
+
+    // 시그널이 취소될 때까지 응답하지 않는 fetch
+    const pendingFetch = () => {
+      global.fetch.mockImplementation((url, config) => new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+        if (config.signal.aborted) {
+          abort();
+        }
+        config.signal.addEventListener('abort', abort);
+      }));
+    };
+
+    afterEach(() => {
+      Config.reset('api');
+    });
+
+    it('Config api.baseURL을 상대 경로에 결합해야 함', async () => {
+      Config.set('api.baseURL', 'https://api.example.com/v1/');
+      global.fetch.mockResolvedValue(jsonResponse({}));
+
+      await APIUtil.get('/users');
+      await APIUtil.get('https://cdn.example.com/data.json');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://api.example.com/v1/users');
+      expect(global.fetch.mock.calls[1][0]).toBe('https://cdn.example.com/data.json');
+    });
+
+    it('Config api.headers를 기본 헤더로 사용해야 함', async () => {
+      Config.set('api.headers', { 'X-App': 'imcat', 'Accept-Language': 'ko' });
+      global.fetch.mockResolvedValue(jsonResponse({}));
+
+      await APIUtil.get('/api/users', { headers: { 'Accept-Language': 'en' } });
+
+      expect(global.fetch.mock.calls[0][1].headers).toEqual({
+        'Content-Type': 'application/json',
+        'X-App': 'imcat',
+        'Accept-Language': 'en'
+      });
+    });
+
+    it('제한 시간을 넘기면 408 응답을 반환해야 함', async () => {
+      pendingFetch();
+
+      const response = await APIUtil.get('/api/slow', { timeout: 10 });
+
+      expect(response.success).toBe(false);
+      expect(response.statusCode).toBe(408);
+      expect(response.error.type).toBe('timeout');
+    });
+
+    it('요청별 제한 시간이 없으면 Config api.timeout을 사용해야 함', async () => {
+      Config.set('api.timeout', 10);
+      pendingFetch();
+
+      const response = await APIUtil.get('/api/slow');
+
+      expect(response.statusCode).toBe(408);
+    });
+
+    it('signal로 요청을 취소하면 aborted 응답을 반환해야 함', async () => {
+      pendingFetch();
+      const controller = new AbortController();
+
+      const request = APIUtil.get('/api/search', { signal: controller.signal });
+      controller.abort();
+      const response = await request;
+
+      expect(response.success).toBe(false);
+      expect(response.statusCode).toBe(0);
+      expect(response.error.type).toBe('aborted');
+    });
+
+    it('이미 취소된 signal이면 바로 취소되어야 함', async () => {
+      pendingFetch();
+      const controller = new AbortController();
+      controller.abort();
+
+      const response = await APIUtil.get('/api/search', { signal: controller.signal });
+
+      expect(response.error.type).toBe('aborted');
+    });
+
+    it('네트워크 오류는 취소와 구분되어야 함', async () => {
+      global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      const response = await APIUtil.get('/api/users');
+
+      expect(response.statusCode).toBe(0);
+      expect(response.error.type).toBe('network');
+      expect(response.message).toBe('Failed to fetch');
+    });
+  });
+
+  describe('재시도', () => {
+    const response = (status, data = {}, headers = {}) => ({
+      ok: status < 400,
+      status,
+      headers: { get: name => headers[name.toLowerCase()] || (name === 'content-type' ? 'application/json' : null) },
+      json: async () => data
+    });
+
+    afterEach(() => {
+      Config.reset('api');
+      APIUtil.interceptors.clear();
+      vi.useRealTimers();
+    });
+
+    it('일시적인 503 응답은 성공할 때까지 재시도해야 함', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(503, { message: 'Unavailable' }))
+        .mockResolvedValueOnce(response(502, { message: 'Bad Gateway' }))
+        .mockResolvedValueOnce(response(200, { id: 1 }));
+      const onRetry = vi.fn();
+
+      const result = await APIUtil.get('/api/feed', { retry: { retries: 3, delay: 0, onRetry } });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ id: 1 });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+      expect(onRetry.mock.calls[1][0]).toMatchObject({ attempt: 2, method: 'GET', url: '/api/feed' });
+      expect(onRetry.mock.calls[1][0].response.statusCode).toBe(502);
+    });
+
+    it('재시도 횟수를 모두 쓰면 마지막 실패를 반환해야 함', async () => {
+      global.fetch.mockResolvedValue(response(503, { message: 'Unavailable' }));
+
+      const result = await APIUtil.get('/api/feed', { retry: { retries: 2, delay: 0 } });
+
+      expect(result.statusCode).toBe(503);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('기본적으로 멱등하지 않은 메서드는 재시도하지 않아야 함', async () => {
+      global.fetch.mockResolvedValue(response(503));
+
+      await APIUtil.post('/api/orders', { id: 1 }, { retry: { retries: 2, delay: 0 } });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      global.fetch.mockClear();
+      await APIUtil.post('/api/orders', { id: 1 }, { retry: { retries: 2, delay: 0, methods: ['POST'] } });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('재시도 대상이 아닌 상태 코드는 재시도하지 않아야 함', async () => {
+      global.fetch.mockResolvedValue(response(404, { message: 'Not found' }));
+
+      const result = await APIUtil.get('/api/users/9', { retry: { retries: 2, delay: 0 } });
+
+      expect(result.statusCode).toBe(404);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('네트워크 오류는 재시도하고 취소는 재시도하지 않아야 함', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(response(200, { ok: true }));
+
+      const result = await APIUtil.get('/api/feed', { retry: { retries: 2, delay: 0 } });
+      expect(result.success).toBe(true);
+
+      global.fetch.mockClear();
+      const controller = new AbortController();
+      controller.abort();
+      global.fetch.mockRejectedValue(new DOMException('Aborted', 'AbortError'));
+
+      const aborted = await APIUtil.get('/api/feed', { signal: controller.signal, retry: { retries: 2, delay: 0 } });
+      expect(aborted.error.type).toBe('aborted');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('지수 백오프로 대기 시간을 늘려야 함', async () => {
+      vi.useFakeTimers();
+      global.fetch.mockResolvedValue(response(503));
+      const delays = [];
+
+      const request = APIUtil.get('/api/feed', {
+        retry: { retries: 3, delay: 100, jitter: false, onRetry: ({ delay }) => delays.push(delay) }
+      });
+      await vi.advanceTimersByTimeAsync(1000);
+      await request;
+
+      expect(delays).toEqual([100, 200, 400]);
+    });
+
+    it('지터는 대기 시간을 50% ~ 100% 범위로 분산해야 함', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      global.fetch.mockResolvedValue(response(503));
+      const onRetry = vi.fn();
+
+      await APIUtil.get('/api/feed', { retry: { retries: 1, delay: 10, onRetry } });
+
+      expect(onRetry.mock.calls[0][0].delay).toBe(5);
+      Math.random.mockRestore();
+    });
+
+    it('Retry-After 헤더의 대기 시간을 따라야 함', async () => {
+      vi.useFakeTimers();
+      global.fetch
+        .mockResolvedValueOnce(response(429, { message: 'Too Many Requests' }, { 'retry-after': '2' }))
+        .mockResolvedValueOnce(response(200, {}));
+      const onRetry = vi.fn();
+
+      const request = APIUtil.get('/api/feed', { retry: { retries: 1, onRetry } });
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      const result = await request;
+
+      expect(onRetry.mock.calls[0][0].delay).toBe(2000);
+      expect(result.success).toBe(true);
+    });
+
+    it('대기 중 취소되면 재시도를 중단해야 함', async () => {
+      global.fetch.mockResolvedValue(response(503));
+      const controller = new AbortController();
+
+      const request = APIUtil.get('/api/feed', { signal: controller.signal, retry: { retries: 2, delay: 1000 } });
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+      controller.abort();
+      const result = await request;
+
+      expect(result.error.type).toBe('aborted');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('Config api.retry를 기본값으로 사용하고 응답 인터셉터는 한 번만 실행해야 함', async () => {
+      Config.set('api.retry', { retries: 1, delay: 0 });
+      global.fetch
+        .mockResolvedValueOnce(response(503))
+        .mockResolvedValueOnce(response(200, {}));
+      const onFulfilled = vi.fn(result => result);
+      const onRejected = vi.fn(result => result);
+      APIUtil.interceptors.response.use(onFulfilled, onRejected);
+
+      await APIUtil.get('/api/feed');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(onFulfilled).toHaveBeenCalledTimes(1);
+      expect(onRejected).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET 중복 제거 및 캐시', () => {
+    let count;
+
+    beforeEach(() => {
+      count = 0;
+      global.fetch.mockImplementation(async () => {
+        count++;
+        return {
+          ok: true,
+          status: 200,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ count })
+        };
+      });
+    });
+
+    afterEach(() => {
+      APIUtil.cache.clear();
+      Config.reset('api');
+      vi.restoreAllMocks();
+    });
+
+    it('동시에 보낸 같은 GET 요청은 하나의 요청을 공유해야 함', async () => {
+      const [a, b] = await Promise.all([
+        APIUtil.get('/api/me'),
+        APIUtil.get('/api/me')
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(a.data).toEqual({ count: 1 });
+      expect(b.data).toEqual({ count: 1 });
+
+      // 완료 후에는 새로 요청
+      await APIUtil.get('/api/me');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('signal이 있거나 dedupe: false면 공유하지 않아야 함', async () => {
+      const controller = new AbortController();
+
+      await Promise.all([
+        APIUtil.get('/api/me'),
+        APIUtil.get('/api/me', { signal: controller.signal }),
+        APIUtil.get('/api/me', { dedupe: false })
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(global.fetch.mock.calls[2][1]).not.toHaveProperty('dedupe');
+    });
+
+    it('응답 형식이나 기본 URL이 다르면 공유하지 않고 합류한 호출자는 복사본을 받아야 함', async () => {
+      const [a, b, c, d] = await Promise.all([
+        APIUtil.get('/api/me'),
+        APIUtil.get('/api/me'),
+        APIUtil.get('/api/me', { responseType: 'json' }),
+        APIUtil.get('/api/me', { baseURL: 'https://other.example.com' })
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(global.fetch.mock.calls[2][0]).toBe('https://other.example.com/api/me');
+      expect(b).toEqual(a);
+      expect(b).not.toBe(a);
+      const { count: original } = a.data;
+      b.data.count = 99;
+      expect(a.data.count).toBe(original);
+      expect([c.success, d.success]).toEqual([true, true]);
+    });
+
+    it('TTL 동안 캐시된 응답을 반환해야 함', async () => {
+      const now = Date.now();
+      vi.spyOn(Date, 'now').mockReturnValue(now);
+
+      await APIUtil.get('/api/me', { cache: 1000 });
+      const cached = await APIUtil.get('/api/me', { cache: 1000 });
+      expect(cached.data).toEqual({ count: 1 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      Date.now.mockReturnValue(now + 1000);
+      const fresh = await APIUtil.get('/api/me', { cache: 1000 });
+      expect(fresh.data).toEqual({ count: 2 });
+    });
+
+    it('stale-while-revalidate 동안 오래된 응답을 반환하고 백그라운드에서 갱신해야 함', async () => {
+      const now = Date.now();
+      vi.spyOn(Date, 'now').mockReturnValue(now);
+      const cache = { ttl: 1000, staleWhileRevalidate: 5000 };
+
+      await APIUtil.get('/api/me', { cache });
+      Date.now.mockReturnValue(now + 2000);
+
+      const stale = await APIUtil.get('/api/me', { cache });
+      expect(stale.data).toEqual({ count: 1 });
+
+      await vi.waitFor(async () => {
+        const revalidated = await APIUtil.get('/api/me', { cache });
+        expect(revalidated.data).toEqual({ count: 2 });
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('캐시된 응답을 수정해도 다른 호출에 영향이 없어야 함', async () => {
+      const first = await APIUtil.get('/api/me', { cache: true });
+      first.data.count = 99;
+
+      const second = await APIUtil.get('/api/me', { cache: true });
+      second.data.count = 100;
+      const third = await APIUtil.get('/api/me', { cache: true });
+
+      expect(third.data).toEqual({ count: 1 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('메모리 캐시는 CACHE_LIMIT을 넘으면 오래된 항목부터 제거해야 함', async () => {
+      const limit = APIUtil.CACHE_LIMIT;
+      APIUtil.CACHE_LIMIT = 2;
+
+      await APIUtil.get('/api/a', { cache: true });
+      await APIUtil.get('/api/b', { cache: true });
+      await APIUtil.get('/api/c', { cache: true });
+
+      expect([...APIUtil._cacheEntries.keys()]).toEqual(['/api/b', '/api/c']);
+      APIUtil.CACHE_LIMIT = limit;
+    });
+
+    it('실패한 응답은 캐시하지 않아야 함', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 500,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ message: 'Server error' })
+      });
+
+      await APIUtil.get('/api/me', { cache: true });
+      const response = await APIUtil.get('/api/me', { cache: true });
+
+      expect(response.success).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('Storage 기반 캐시는 localStorage에 저장해야 함', async () => {
+      await APIUtil.get('/api/me', { cache: { storage: 'local' } });
+
+      expect(localStorage.getItem(`${APIUtil.CACHE_PREFIX}/api/me`)).not.toBeNull();
+
+      const cached = await APIUtil.get('/api/me', { cache: { storage: 'local' } });
+      expect(cached.data).toEqual({ count: 1 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('키 또는 접두사로 캐시를 무효화해야 함', async () => {
+      Config.set('api.baseURL', 'https://api.example.com');
+      const options = { cache: { storage: 'session' } };
+
+      await APIUtil.get('/api/users', options);
+      await APIUtil.get('/api/users/1', options);
+      await APIUtil.get('/api/me', options);
+      expect(sessionStorage.getItem(`${APIUtil.CACHE_PREFIX}https://api.example.com/api/me`)).not.toBeNull();
+
+      APIUtil.cache.invalidate('/api/me');
+      await APIUtil.get('/api/me', options);
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+
+      APIUtil.cache.invalidatePrefix('/api/users');
+      await APIUtil.get('/api/users', options);
+      await APIUtil.get('/api/users/1', options);
+      await APIUtil.get('/api/me', options);
+      expect(global.fetch).toHaveBeenCalledTimes(6);
+    });
+  });
+
+  describe('본문 형식 및 진행률', () => {
+    const jsonResponse = (data) => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      json: async () => data
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('FormData는 직렬화하지 않고 Content-Type을 브라우저에 맡겨야 함', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({}));
+      const form = new FormData();
+      form.append('name', 'John');
+
+      await APIUtil.post('/api/files', form);
+
+      const config = global.fetch.mock.calls[0][1];
+      expect(config.body).toBe(form);
+      expect(config.headers).not.toHaveProperty('Content-Type');
+    });
+
+    it('URLSearchParams와 Blob도 그대로 전송하고 명시한 Content-Type은 유지해야 함', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({}));
+      const params = new URLSearchParams({ q: 'cat' });
+      const blob = new Blob(['data'], { type: 'text/plain' });
+
+      await APIUtil.put('/api/search', params);
+      await APIUtil.patch('/api/raw', blob, { headers: { 'Content-Type': 'application/octet-stream' } });
+
+      expect(global.fetch.mock.calls[0][1].body).toBe(params);
+      expect(global.fetch.mock.calls[1][1].body).toBe(blob);
+      expect(global.fetch.mock.calls[1][1].headers['Content-Type']).toBe('application/octet-stream');
+    });
+
+    it('responseType에 맞는 형식으로 응답을 읽어야 함', async () => {
+      const blob = new Blob(['csv']);
+      const buffer = new ArrayBuffer(4);
+      const stream = {};
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'text/csv' },
+        text: async () => 'a,b',
+        blob: async () => blob,
+        arrayBuffer: async () => buffer,
+        body: stream
+      });
+
+      expect((await APIUtil.get('/api/export', { responseType: 'text' })).data).toBe('a,b');
+      expect((await APIUtil.get('/api/export', { responseType: 'blob' })).data).toBe(blob);
+      expect((await APIUtil.get('/api/export', { responseType: 'arrayBuffer' })).data).toBe(buffer);
+      expect((await APIUtil.get('/api/export', { responseType: 'stream' })).data).toBe(stream);
+      expect(global.fetch.mock.calls[0][1]).not.toHaveProperty('responseType');
+    });
+
+    it('실패 응답은 responseType과 관계없이 에러 메시지를 읽어야 함', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 403,
+        headers: { get: () => 'application/json' },
+        json: async () => ({ message: 'Forbidden' })
+      });
+
+      const response = await APIUtil.get('/api/export', { responseType: 'blob' });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.message).toBe('Forbidden');
+    });
+
+    it('다운로드 진행률을 보고해야 함', async () => {
+      const body = JSON.stringify({ items: [1, 2, 3] });
+      global.fetch.mockResolvedValueOnce(new Response(body, {
+        headers: { 'content-type': 'application/json', 'content-length': String(body.length) }
+      }));
+      const onDownloadProgress = vi.fn();
+
+      const response = await APIUtil.get('/api/items', { onDownloadProgress });
+
+      expect(response.data).toEqual({ items: [1, 2, 3] });
+      expect(onDownloadProgress).toHaveBeenLastCalledWith({ loaded: body.length, total: body.length, percent: 100 });
+    });
+
+    it('업로드 진행률이 필요하면 XMLHttpRequest로 전송해야 함', async () => {
+      class FakeXHR {
+        constructor() {
+          this.upload = {};
+          this.headers = {};
+          FakeXHR.instance = this;
+        }
+        open(method, url) {
+          this.method = method;
+          this.url = url;
+        }
+        setRequestHeader(name, value) {
+          this.headers[name] = value;
+        }
+        getAllResponseHeaders() {
+          return 'content-type: application/json\r\n';
+        }
+        send(body) {
+          this.body = body;
+          this.upload.onprogress({ loaded: 50, total: 100, lengthComputable: true });
+          this.upload.onprogress({ loaded: 100, total: 100, lengthComputable: true });
+          this.status = 201;
+          this.statusText = 'Created';
+          this.response = new TextEncoder().encode('{"id":7}').buffer;
+          this.onload();
+        }
+      }
+      vi.stubGlobal('XMLHttpRequest', FakeXHR);
+      const form = new FormData();
+      const onUploadProgress = vi.fn();
+
+      const response = await APIUtil.post('/api/files', form, { onUploadProgress, headers: { 'X-Token': 'abc' } });
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(FakeXHR.instance.method).toBe('POST');
+      expect(FakeXHR.instance.body).toBe(form);
+      expect(FakeXHR.instance.headers).toEqual({ 'X-Token': 'abc' });
+      expect(onUploadProgress.mock.calls.map(call => call[0].percent)).toEqual([50, 100]);
+      expect(response.success).toBe(true);
+      expect(response.data).toEqual({ id: 7 });
+    });
+  });
+
+  describe('auth()', () => {
+    let token;
+    let removeAuth;
+
+    beforeEach(() => {
+      token = 'old';
+      // 새 토큰이 아니면 401 응답
+      global.fetch.mockImplementation(async (url, config) => {
+        const valid = config.headers.Authorization === 'Bearer new';
+        return {
+          ok: valid,
+          status: valid ? 200 : 401,
+          headers: { get: () => 'application/json' },
+          json: async () => (valid ? { url } : { message: 'Unauthorized' })
+        };
+      });
+    });
+
+    afterEach(() => {
+      if (removeAuth) removeAuth();
+      removeAuth = null;
+      APIUtil.interceptors.clear();
+    });
+
+    it('getToken과 refresh가 없으면 에러를 던져야 함', () => {
+      expect(() => APIUtil.auth({ getToken: () => token })).toThrow();
+    });
+
+    it('요청에 토큰을 추가하고 skipAuth면 제외해야 함', async () => {
+      token = 'new';
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh: vi.fn() });
+
+      await APIUtil.get('/api/me');
+      await APIUtil.get('/api/public', { skipAuth: true });
+      await APIUtil.get('/api/other', { headers: { Authorization: 'Basic abc' } });
+
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer new');
+      expect(global.fetch.mock.calls[1][1].headers).not.toHaveProperty('Authorization');
+      expect(global.fetch.mock.calls[1][1]).not.toHaveProperty('skipAuth');
+      expect(global.fetch.mock.calls[2][1].headers.Authorization).toBe('Basic abc');
+    });
+
+    it('동시에 실패한 요청은 한 번만 갱신하고 새 토큰으로 다시 보내야 함', async () => {
+      const refresh = vi.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        token = 'new';
+        return true;
+      });
+      const onRejected = vi.fn(result => result);
+      APIUtil.interceptors.response.use(null, onRejected);
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh });
+
+      const results = await Promise.all([
+        APIUtil.get('/api/a'),
+        APIUtil.post('/api/b', { x: 1 }),
+        APIUtil.delete('/api/c')
+      ]);
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(results.every(result => result.success)).toBe(true);
+      expect(results.map(result => result.data.url)).toEqual(['/api/a', '/api/b', '/api/c']);
+      expect(onRejected).not.toHaveBeenCalled();
+    });
+
+    it('갱신 중에 시작한 요청은 갱신이 끝난 뒤 새 토큰으로 보내야 함', async () => {
+      let finish;
+      const refresh = vi.fn(() => new Promise((resolve) => {
+        finish = () => {
+          token = 'new';
+          resolve('new');
+        };
+      }));
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh });
+
+      const first = APIUtil.get('/api/a');
+      await vi.waitFor(() => expect(refresh).toHaveBeenCalled());
+      const second = APIUtil.get('/api/b');
+      finish();
+      await Promise.all([first, second]);
+
+      const calls = global.fetch.mock.calls.filter(call => call[0] === '/api/b');
+      expect(calls).toHaveLength(1);
+      expect(calls[0][1].headers.Authorization).toBe('Bearer new');
+    });
+
+    it('refresh가 반환한 토큰으로 다시 보내야 함', async () => {
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh: async () => 'new' });
+
+      const response = await APIUtil.get('/api/me');
+
+      expect(response.success).toBe(true);
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer new');
+    });
+
+    it('갱신에 실패하면 onLogout을 한 번 호출하고 401 응답을 반환해야 함', async () => {
+      const onLogout = vi.fn();
+      const refresh = vi.fn(async () => false);
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh, onLogout });
+
+      const results = await Promise.all([APIUtil.get('/api/a'), APIUtil.get('/api/b')]);
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(onLogout).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.statusCode)).toEqual([401, 401]);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('refresh 안에서 skipAuth 없이 보낸 요청이 401을 받아도 교착되지 않아야 함', async () => {
+      const onLogout = vi.fn();
+      const refresh = vi.fn(async () => {
+        const res = await APIUtil.post('/auth/refresh', null);
+        return res.success;
+      });
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh, onLogout });
+
+      const timeout = new Promise(resolve => setTimeout(() => resolve('timeout'), 1000));
+      const results = await Promise.race([
+        Promise.all([APIUtil.get('/api/a'), APIUtil.get('/api/b')]),
+        timeout
+      ]);
+
+      expect(results).not.toBe('timeout');
+      expect(results.map(result => result.statusCode)).toEqual([401, 401]);
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(onLogout).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls.filter(call => call[0] === '/auth/refresh')).toHaveLength(1);
+      expect(global.fetch.mock.calls.find(call => call[0] === '/auth/refresh')[1])
+        .not.toHaveProperty('_refreshRequest');
+    });
+
+    it('refresh가 await 뒤에 client로 보낸 요청은 갱신을 기다리지 않아야 함', async () => {
+      const fetchMock = global.fetch.getMockImplementation();
+      global.fetch.mockImplementation(async (url, config) => {
+        if (url !== '/auth/refresh') return fetchMock(url, config);
+        return {
+          ok: true,
+          status: 200,
+          headers: { get: () => 'application/json' },
+          json: async () => ({ accessToken: 'new' })
+        };
+      });
+      const refresh = vi.fn(async (client) => {
+        await null;
+        const res = await client.post('/auth/refresh', null);
+        return res.success && res.data.accessToken;
+      });
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh });
+
+      const results = await Promise.all([APIUtil.get('/api/a'), APIUtil.get('/api/b')]);
+
+      expect(results.every(result => result.success)).toBe(true);
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls.find(call => call[0] === '/auth/refresh')[1])
+        .not.toHaveProperty('_refreshRequest');
+    });
+
+    it('refresh가 await 뒤에 APIUtil로 보낸 요청 때문에 멈추면 제한 시간 후 실패해야 함', async () => {
+      const onLogout = vi.fn();
+      const refresh = vi.fn(async () => {
+        await null;
+        return APIUtil.post('/auth/refresh', null);
+      });
+      removeAuth = APIUtil.auth({ getToken: () => token, refresh, onLogout, refreshTimeout: 50 });
+
+      const results = await Promise.all([APIUtil.get('/api/a'), APIUtil.get('/api/b')]);
+
+      expect(results.map(result => result.statusCode)).toEqual([401, 401]);
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(onLogout).toHaveBeenCalledWith(expect.objectContaining({ message: 'Token refresh timed out' }));
+      expect(APIUtil._refreshPromise).toBe(null);
+    });
+
+    it('401 이후 getToken이 실패해도 갱신한 토큰으로 다시 보내야 함', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const getToken = vi.fn()
+        .mockReturnValueOnce('old')
+        .mockImplementationOnce(() => {
+          throw new Error('token store unavailable');
+        });
+      removeAuth = APIUtil.auth({ getToken, refresh: async () => 'new' });
+
+      const response = await APIUtil.get('/api/me');
+
+      expect(response.success).toBe(true);
+      expect(errorSpy).toHaveBeenCalledWith('APIUtil: getToken failed:', expect.any(Error));
+      errorSpy.mockRestore();
+    });
+
+    it('해제하면 토큰을 추가하지 않아야 함', async () => {
+      token = 'new';
+      const remove = APIUtil.auth({ getToken: () => token, refresh: vi.fn() });
+      remove();
+
+      await APIUtil.get('/api/me');
+
+      expect(global.fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+    });
+  });
+
   describe('Interceptors (인터셉터)', () => {
     beforeEach(() => {
       // 인터셉터 초기화
@@ -0,0 +1,215 @@
+/**
+ * Binding 테스트
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Binding } from '../../src/core/binding.js';
+import { StateManager } from '../../src/core/state.js';
+
+describe('Binding', () => {
+  let root;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    root = document.getElementById('app');
+  });
+
+  describe('단방향 바인딩', () => {
+    it('data-bind-text는 값이 바뀌면 텍스트를 갱신해야 함', () => {
+      root.innerHTML = '<span data-bind-text="user.name"></span><b data-bind-text="items.length"></b>';
+      const store = StateManager.create({ user: { name: 'John' }, items: [] });
+      new Binding(root, store);
+
+      expect(root.querySelector('span').textContent).toBe('John');
+      expect(root.querySelector('b').textContent).toBe('0');
+
+      store.user.name = 'Jane';
+      store.items.push('a');
+
+      expect(root.querySelector('span').textContent).toBe('Jane');
+      expect(root.querySelector('b').textContent).toBe('1');
+    });
+
+    it('data-bind-show는 값과 부정 식에 따라 표시해야 함', () => {
+      root.innerHTML = '<p class="list" data-bind-show="items.length"></p><p class="empty" data-bind-show="!items.length"></p>';
+      const store = StateManager.create({ items: [] });
+      new Binding(root, store);
+
+      expect(root.querySelector('.list').style.display).toBe('none');
+      expect(root.querySelector('.empty').style.display).toBe('');
+
+      store.items = [1];
+
+      expect(root.querySelector('.list').style.display).toBe('');
+      expect(root.querySelector('.empty').style.display).toBe('none');
+    });
+
+    it('data-bind-class는 값 클래스와 조건부 클래스를 적용해야 함', () => {
+      root.innerHTML = '<div data-bind-class="theme"></div><button data-bind-class="active: selected, disabled: !enabled"></button>';
+      const store = StateManager.create({ theme: 'dark large', selected: false, enabled: true });
+      new Binding(root, store);
+      const div = root.querySelector('div');
+      const button = root.querySelector('button');
+
+      expect(div.className).toBe('dark large');
+      expect(button.classList.contains('disabled')).toBe(false);
+
+      store.theme = 'light';
+      store.selected = true;
+      store.enabled = false;
+
+      expect(div.className).toBe('light');
+      expect(button.classList.contains('active')).toBe(true);
+      expect(button.classList.contains('disabled')).toBe(true);
+    });
+  });
+
+  describe('양방향 바인딩', () => {
+    it('입력하면 스토어를 갱신하고 스토어 변경은 입력값에 반영해야 함', () => {
+      root.innerHTML = '<input data-bind-value="form.name"><input type="number" data-bind-value="qty">';
+      const store = StateManager.create({ form: { name: 'John' }, qty: 1 });
+      new Binding(root, store);
+      const [text, number] = root.querySelectorAll('input');
+
+      expect(text.value).toBe('John');
+
+      text.value = 'Jane';
+      text.dispatchEvent(new Event('input'));
+      number.value = '3';
+      number.dispatchEvent(new Event('input'));
+
+      expect(store.form.name).toBe('Jane');
+      expect(store.qty).toBe(3);
+
+      store.form.name = 'Kim';
+      expect(text.value).toBe('Kim');
+    });
+
+    it('체크박스와 라디오는 checked로 동기화해야 함', () => {
+      root.innerHTML = `
+        <input type="checkbox" data-bind-value="agree">
+        <input type="radio" name="size" value="s" data-bind-value="size">
+        <input type="radio" name="size" value="m" data-bind-value="size">
+      `;
+      const store = StateManager.create({ agree: false, size: 's' });
+      new Binding(root, store);
+      const [checkbox, small, medium] = root.querySelectorAll('input');
+
+      expect(small.checked).toBe(true);
+
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new Event('change'));
+      medium.checked = true;
+      medium.dispatchEvent(new Event('change'));
+
+      expect(store.agree).toBe(true);
+      expect(store.size).toBe('m');
+    });
+  });
+
+  describe('이벤트와 범위', () => {
+    it('data-on-*는 methods 핸들러를 스토어와 함께 호출해야 함', () => {
+      root.innerHTML = '<button data-on-click="increment"></button><span data-bind-text="count"></span>';
+      const store = StateManager.create({ count: 0 });
+      new Binding(root, store, {
+        methods: { increment: (event, target) => target.count++ }
+      });
+
+      root.querySelector('button').click();
+
+      expect(store.count).toBe(1);
+      expect(root.querySelector('span').textContent).toBe('1');
+    });
+
+    it('data-on-*는 스토어 액션을 data-payload와 함께 실행해야 함', () => {
+      root.innerHTML = '<button data-on-click="add" data-payload=\'{"id":3}\'></button>';
+      const store = StateManager.create({ items: [] }, {
+        actions: { add: (target, item) => target.items.push(item) }
+      });
+      new Binding(root, store);
+
+      root.querySelector('button').click();
+
+      expect(store.items).toEqual([{ id: 3 }]);
+    });
+
+    it('실패한 비동기 액션은 콘솔 에러로 알려야 함', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const failure = new Error('load failed');
+      root.innerHTML = '<button data-on-click="load"></button>';
+      const store = StateManager.create({ items: [] }, {
+        actions: { load: async () => { throw failure; } }
+      });
+      new Binding(root, store);
+
+      root.querySelector('button').click();
+
+      await vi.waitFor(() => expect(errorSpy).toHaveBeenCalledWith('Binding: Action "load" failed:', failure));
+      errorSpy.mockRestore();
+    });
+
+    it('중첩된 바인딩 범위의 요소는 건너뛰어야 함', () => {
+      root.innerHTML = `
+        <span class="outer" data-bind-text="name"></span>
+        <div data-imcat="bind" data-store="inner"><span class="inner" data-bind-text="name"></span></div>
+      `;
+      const store = StateManager.create({ name: 'Outer' });
+      new Binding(root, store);
+
+      expect(root.querySelector('.outer').textContent).toBe('Outer');
+      expect(root.querySelector('.inner').textContent).toBe('');
+    });
+
+    it('destroy() 후에는 DOM을 갱신하지 않고 입력도 반영하지 않아야 함', () => {
+      root.innerHTML = '<span data-bind-text="count"></span><input data-bind-value="text">';
+      const store = StateManager.create({ count: 0, text: '' });
+      const binding = new Binding(root, store);
+
+      binding.destroy();
+      store.count = 5;
+      const input = root.querySelector('input');
+      input.value = 'x';
+      input.dispatchEvent(new Event('input'));
+
+      expect(root.querySelector('span').textContent).toBe('0');
+      expect(store.text).toBe('');
+    });
+
+    it('스토어가 아니면 에러를 던져야 함', () => {
+      expect(() => new Binding(root, {})).toThrow();
+      expect(() => new Binding('#missing', StateManager.create())).toThrow();
+    });
+
+    it('찾을 수 없는 핸들러는 경고해야 함', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      root.innerHTML = '<button data-on-click="missing"></button>';
+      new Binding(root, StateManager.create());
+
+      root.querySelector('button').click();
+
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('상태 값으로 저장한 함수는 실행하고 스토어 API는 핸들러로 쓰지 않아야 함', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const toggle = vi.fn();
+      root.innerHTML = `
+        <button class="toggle" data-on-click="menu.toggle"></button>
+        <button class="reset" data-on-click="reset"></button>
+        <button class="set" data-on-click="setState"></button>
+        <button class="undo" data-on-click="undo"></button>
+      `;
+      const store = StateManager.create({ count: 1, menu: { toggle } }, { history: true });
+      new Binding(root, store);
+
+      ['toggle', 'reset', 'set', 'undo'].forEach(name => root.querySelector(`.${name}`).click());
+
+      expect(toggle).toHaveBeenCalledWith(expect.any(Event), store, root.querySelector('.toggle'));
+      expect(store.count).toBe(1);
+      expect(store.menu.toggle).toBe(toggle);
+      expect(warn).toHaveBeenCalledTimes(3);
+      warn.mockRestore();
+    });
+  });
+});
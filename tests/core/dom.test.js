@@ -367,6 +367,119 @@ describe('DOM Module', () => {
     });
   });
 
+  describe('DOM.patch()', () => {
+    let list;
+
+    beforeEach(() => {
+      document.body.innerHTML = '<ul id="list"></ul>';
+      list = document.getElementById('list');
+    });
+
+    const render = items => items.map(item => `<li data-key="${item.id}" class="${item.cls || ''}">${item.title}</li>`).join('');
+
+    it('바뀐 텍스트와 속성만 갱신하고 노드를 재사용해야 함', () => {
+      DOM.patch(list, render([{ id: 1, title: 'A' }, { id: 2, title: 'B' }]));
+      const [first, second] = list.children;
+
+      DOM.patch('#list', render([{ id: 1, title: 'A2', cls: 'done' }, { id: 2, title: 'B' }]));
+
+      expect(list.children[0]).toBe(first);
+      expect(list.children[1]).toBe(second);
+      expect(first.textContent).toBe('A2');
+      expect(first.className).toBe('done');
+    });
+
+    it('키로 항목을 이동/추가/삭제해야 함', () => {
+      DOM.patch(list, render([{ id: 1, title: 'A' }, { id: 2, title: 'B' }, { id: 3, title: 'C' }]));
+      const [a, , c] = list.children;
+
+      DOM.patch(list, render([{ id: 3, title: 'C' }, { id: 4, title: 'D' }, { id: 1, title: 'A' }]));
+
+      expect(Array.from(list.children).map(li => li.textContent)).toEqual(['C', 'D', 'A']);
+      expect(list.children[0]).toBe(c);
+      expect(list.children[2]).toBe(a);
+    });
+
+    it('앞 항목을 삭제하면 남은 항목은 이동하지 않고 포커스를 유지해야 함', async () => {
+      const items = ['A', 'B', 'C', 'D'].map((title, index) => ({
+        id: index + 1,
+        title: `${title}<input>`
+      }));
+      DOM.patch(list, render(items));
+      const survivors = Array.from(list.children).slice(1);
+      const input = survivors[1].querySelector('input');
+      input.focus();
+
+      const records = [];
+      const observer = new MutationObserver(mutations => records.push(...mutations));
+      observer.observe(list, { childList: true, subtree: true, attributes: true, characterData: true });
+      DOM.patch(list, render(items.slice(1)));
+      await Promise.resolve();
+      records.push(...observer.takeRecords());
+      observer.disconnect();
+
+      expect(Array.from(list.children)).toEqual(survivors);
+      expect(document.activeElement).toBe(input);
+      expect(records).toHaveLength(1);
+      expect(records[0].removedNodes).toHaveLength(1);
+      expect(records.some(record => survivors.some(node =>
+        node.contains(record.target) ||
+        Array.from(record.addedNodes).includes(node) ||
+        Array.from(record.removedNodes).includes(node)
+      ))).toBe(false);
+    });
+
+    it('입력 중인 값과 포커스를 유지해야 함', () => {
+      DOM.patch(document.body, '<form><input name="q" value=""><span>0</span></form>');
+      const input = document.querySelector('input');
+      input.focus();
+      input.value = '입력 중';
+
+      DOM.patch(document.body, '<form><input name="q" value=""><span>1</span></form>');
+
+      expect(document.querySelector('input')).toBe(input);
+      expect(input.value).toBe('입력 중');
+      expect(document.activeElement).toBe(input);
+      expect(document.querySelector('span').textContent).toBe('1');
+    });
+
+    it('마크업의 value/checked가 바뀌면 프로퍼티도 갱신해야 함', () => {
+      DOM.patch(document.body, '<input type="checkbox"><input value="a">');
+      DOM.patch(document.body, '<input type="checkbox" checked><input value="b">');
+
+      const [checkbox, text] = document.querySelectorAll('input');
+      expect(checkbox.checked).toBe(true);
+      expect(text.value).toBe('b');
+    });
+
+    it('태그가 다르면 교체하고 남는 노드는 제거해야 함', () => {
+      DOM.patch(document.body, '<p>1</p><p>2</p><p>3</p>');
+      DOM.patch(document.body, '<div>1</div>text');
+
+      expect(document.body.innerHTML).toBe('<div>1</div>text');
+    });
+
+    it('data-patch-ignore 요소의 내부는 건드리지 않아야 함', () => {
+      DOM.patch(document.body, '<div data-patch-ignore><span>widget</span></div><p>a</p>');
+      document.querySelector('span').textContent = 'mounted';
+
+      DOM.patch(document.body, '<div data-patch-ignore></div><p>b</p>');
+
+      expect(document.querySelector('span').textContent).toBe('mounted');
+      expect(document.querySelector('p').textContent).toBe('b');
+    });
+
+    it('테이블 행을 패치하고 체이닝을 지원해야 함', () => {
+      document.body.innerHTML = '<table><tbody id="rows"></tbody></table>';
+
+      const result = DOM.select('#rows').patch('<tr data-key="1"><td>1</td></tr>');
+
+      expect(result.get(0)).toBe(document.getElementById('rows'));
+      expect(document.querySelector('#rows tr td').textContent).toBe('1');
+      expect(DOM.patch('#missing', '<p></p>')).toBeNull();
+    });
+  });
+
   describe('DOM.ready()', () => {
     it('DOM 준비 완료 시 콜백을 실행해야 함', () => {
       const callback = vi.fn();
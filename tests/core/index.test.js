@@ -33,6 +33,16 @@ describe('Core Index (IMCAT)', () => {
       expect(el.hasClass('test')).toBe(true);
     });
 
+    it('patch() - 바뀐 부분만 갱신해야 함', () => {
+      IMCAT.patch('#app', '<p data-key="a">1</p>');
+      const p = document.querySelector('#app p');
+
+      IMCAT.patch('#app', '<p data-key="a">2</p>');
+
+      expect(document.querySelector('#app p')).toBe(p);
+      expect(p.textContent).toBe('2');
+    });
+
     it('ready() - DOM 준비 완료 콜백을 실행해야 함', () => {
       const callback = vi.fn();
       IMCAT.ready(callback);
@@ -61,6 +71,67 @@ describe('Core Index (IMCAT)', () => {
       expect(typeof IMCAT.view.params).toBe('function');
       expect(typeof IMCAT.view.current).toBe('function');
     });
+
+    it('catui-href 링크에 마우스를 올리면 뷰를 미리 가져와야 함', () => {
+      const prefetch = vi.spyOn(IMCAT.view, 'prefetch').mockResolvedValue(true);
+      document.body.innerHTML = `
+        <a id="link" catui-href="views/page.html">Page</a>
+        <a id="none" catui-href="views/other.html" catui-prefetch="none">Other</a>
+      `;
+
+      document.getElementById('link').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+      document.getElementById('none').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+      expect(prefetch).toHaveBeenCalledTimes(1);
+      expect(prefetch).toHaveBeenCalledWith('views/page.html');
+      prefetch.mockRestore();
+    });
+
+    it('URL을 사용하는 라우터면 catui-href 링크에 href를 채워야 함', () => {
+      const prefetch = vi.spyOn(IMCAT.view, 'prefetch').mockResolvedValue(true);
+      IMCAT.view.useHistory = true;
+      document.body.innerHTML = '<a id="link" catui-href="/products/1">Product</a>';
+
+      document.getElementById('link').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+      expect(document.getElementById('link').getAttribute('href')).toBe('#/products/1');
+      IMCAT.view.useHistory = false;
+      prefetch.mockRestore();
+    });
+
+    it('Config router 설정의 history 모드로 catui-href 링크를 처리해야 함', () => {
+      const prefetch = vi.spyOn(IMCAT.view, 'prefetch').mockResolvedValue(true);
+      const navigate = vi.spyOn(IMCAT.view, 'navigate').mockResolvedValue();
+      IMCAT.config({ router: { useHistory: true, mode: 'history', base: '/app' } });
+      document.body.innerHTML = '<a id="link" catui-href="/products/1">Product</a>';
+      const link = document.getElementById('link');
+
+      link.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+      expect(IMCAT.view.mode).toBe('history');
+      expect(link.getAttribute('href')).toBe('/app/products/1');
+
+      // 새 탭 열기는 브라우저에 맡기고, 일반 클릭은 라우터로 이동
+      // (jsdom은 링크 이동을 구현하지 않으므로 확인 후 기본 동작 취소)
+      let passedThrough = null;
+      link.addEventListener('click', (e) => {
+        passedThrough = !e.defaultPrevented;
+        e.preventDefault();
+      });
+      link.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, ctrlKey: true }));
+      expect(passedThrough).toBe(true);
+      expect(navigate).not.toHaveBeenCalled();
+
+      const plain = new MouseEvent('click', { bubbles: true, cancelable: true });
+      link.dispatchEvent(plain);
+      expect(plain.defaultPrevented).toBe(true);
+      expect(navigate).toHaveBeenCalledWith('/products/1');
+
+      IMCAT.config.reset('router');
+      expect(IMCAT.view.useHistory).toBe(false);
+      expect(IMCAT.view.mode).toBe('hash');
+      navigate.mockRestore();
+      prefetch.mockRestore();
+    });
   });
 
   describe('API Utility', () => {
@@ -75,6 +146,42 @@ describe('Core Index (IMCAT)', () => {
     });
   });
 
+  describe('Realtime API', () => {
+    it('realtime() - 수신 메시지를 이벤트 버스로 전달해야 함', () => {
+      const sockets = [];
+      vi.stubGlobal('WebSocket', class {
+        constructor() {
+          sockets.push(this);
+        }
+        close() {}
+      });
+
+      const handler = vi.fn();
+      IMCAT.on('realtime:message:notice', handler);
+      const client = IMCAT.realtime('ws://localhost/ws');
+      sockets[0].onmessage({ data: '{"type":"notice","text":"Hi"}' });
+
+      expect(handler).toHaveBeenCalledWith({ type: 'notice', text: 'Hi' }, expect.any(Object));
+
+      client.destroy();
+      IMCAT.off('realtime:message:notice', handler);
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe('Binding API', () => {
+    it('bind() - 바인딩을 현재 뷰 인스턴스로 등록해야 함', () => {
+      document.getElementById('app').innerHTML = '<span data-bind-text="count"></span>';
+      const store = IMCAT.state.create({ count: 1 });
+
+      const binding = IMCAT.bind('#app', store);
+
+      expect(document.querySelector('#app span').textContent).toBe('1');
+      expect(IMCAT.view.currentViewInstances).toContain(binding);
+      binding.destroy();
+    });
+  });
+
   describe('Event Bus API', () => {
     it('on() - 이벤트를 구독해야 함', () => {
       const handler = vi.fn();
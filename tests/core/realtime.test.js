@@ -0,0 +1,306 @@
+/**
+ * Realtime Client 테스트
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RealtimeClient } from '../../src/core/realtime.js';
+import { EventBus } from '../../src/core/event.js';
+
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = 0;
+    this.sent = [];
+    this.close = vi.fn((code) => {
+      this.readyState = 3;
+      if (this.onclose) this.onclose({ code, reason: '' });
+    });
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+
+  receive(data) {
+    this.onmessage({ data: typeof data === 'string' ? data : JSON.stringify(data) });
+  }
+
+  drop(code = 1006) {
+    this.readyState = 3;
+    this.onclose({ code, reason: '' });
+  }
+}
+
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.listeners = {};
+    this.close = vi.fn();
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(name, listener) {
+    this.listeners[name] = listener;
+  }
+
+  removeEventListener(name) {
+    delete this.listeners[name];
+  }
+}
+
+const lastSocket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+describe('RealtimeClient', () => {
+  let bus;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    FakeWebSocket.instances = [];
+    FakeEventSource.instances = [];
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    vi.stubGlobal('EventSource', FakeEventSource);
+    bus = new EventBus();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  describe('연결', () => {
+    it('URL 스킴으로 전송 방식을 정해야 함', () => {
+      const ws = new RealtimeClient('wss://example.com/ws');
+      const sse = new RealtimeClient('/api/stream', { withCredentials: true });
+
+      expect(ws.transport).toBe('websocket');
+      expect(sse.transport).toBe('sse');
+      expect(FakeEventSource.instances[0].options).toEqual({ withCredentials: true });
+
+      ws.destroy();
+      sse.destroy();
+    });
+
+    it('연결되면 상태와 open 이벤트를 알려야 함', () => {
+      const onOpen = vi.fn();
+      bus.on('realtime:open', onOpen);
+      const client = new RealtimeClient('ws://localhost', { eventBus: bus });
+
+      expect(client.status).toBe('connecting');
+      lastSocket().open();
+
+      expect(client.connected).toBe(true);
+      expect(onOpen).toHaveBeenCalledWith({ reconnected: false });
+      client.destroy();
+    });
+
+    it('알 수 없는 전송 방식은 에러를 던져야 함', () => {
+      expect(() => new RealtimeClient('ws://localhost', { transport: 'polling' })).toThrow();
+    });
+  });
+
+  describe('메시지 라우팅', () => {
+    it('타입 필드로 이벤트 버스와 클라이언트 리스너에 전달해야 함', () => {
+      const onChat = vi.fn();
+      const onAny = vi.fn();
+      bus.on('realtime:message:chat', onChat);
+      const client = new RealtimeClient('ws://localhost', { eventBus: bus });
+      client.on('*', onAny);
+      lastSocket().open();
+
+      lastSocket().receive({ type: 'chat', text: 'Hi' });
+      lastSocket().receive('plain text');
+
+      expect(onChat).toHaveBeenCalledWith({ type: 'chat', text: 'Hi' }, expect.objectContaining({ type: 'chat' }));
+      expect(onAny).toHaveBeenCalledTimes(2);
+      expect(onAny.mock.calls[1][1].type).toBe('message');
+      client.destroy();
+    });
+
+    it('연결 이벤트와 같은 이름의 메시지 타입은 연결 이벤트로 전달하지 않아야 함', () => {
+      const onOpen = vi.fn();
+      const onBusError = vi.fn();
+      const onMessage = vi.fn();
+      bus.on('realtime:error', onBusError);
+      const client = new RealtimeClient('ws://localhost', { eventBus: bus });
+      client.on('open', onOpen);
+      client.on('message:error', onMessage);
+      lastSocket().open();
+
+      lastSocket().receive({ type: 'open' });
+      lastSocket().receive({ type: 'error', code: 'E1' });
+
+      expect(onOpen).toHaveBeenCalledTimes(1);
+      expect(onBusError).not.toHaveBeenCalled();
+      expect(onMessage).toHaveBeenCalledWith({ type: 'error', code: 'E1' }, expect.objectContaining({ type: 'error' }));
+      client.destroy();
+    });
+
+    it('SSE 이름 있는 이벤트를 타입으로 사용해야 함', () => {
+      const onCount = vi.fn();
+      const client = new RealtimeClient('/stream', { events: ['count'] });
+      client.on('message:count', onCount);
+      const source = FakeEventSource.instances[0];
+      source.onopen();
+
+      source.listeners.count({ data: '{"value":3}' });
+
+      expect(onCount).toHaveBeenCalledWith({ value: 3 }, expect.any(Object));
+      client.destroy();
+      expect(source.listeners.count).toBeUndefined();
+    });
+
+    it('SSE에서 send를 호출하면 에러를 던져야 함', () => {
+      const client = new RealtimeClient('/stream');
+      expect(() => client.send('x')).toThrow();
+      client.destroy();
+    });
+  });
+
+  describe('재연결', () => {
+    it('연결이 끊기면 지수 백오프로 다시 연결해야 함', () => {
+      const onReconnecting = vi.fn();
+      const client = new RealtimeClient('ws://localhost', {
+        reconnect: { delay: 100, jitter: false }
+      });
+      client.on('reconnecting', onReconnecting);
+      lastSocket().open();
+
+      lastSocket().drop();
+      expect(client.status).toBe('reconnecting');
+      expect(onReconnecting).toHaveBeenLastCalledWith({ attempt: 1, delay: 100 });
+
+      vi.advanceTimersByTime(100);
+      expect(FakeWebSocket.instances).toHaveLength(2);
+
+      lastSocket().drop();
+      expect(onReconnecting).toHaveBeenLastCalledWith({ attempt: 2, delay: 200 });
+
+      vi.advanceTimersByTime(200);
+      lastSocket().open();
+      expect(client.attempt).toBe(0);
+      client.destroy();
+    });
+
+    it('재시도 횟수를 넘으면 failed 이벤트 후 종료되어야 함', () => {
+      const onFailed = vi.fn();
+      const client = new RealtimeClient('ws://localhost', { reconnect: { retries: 1, delay: 10 } });
+      client.on('failed', onFailed);
+
+      lastSocket().drop();
+      vi.advanceTimersByTime(10);
+      lastSocket().drop();
+
+      expect(client.status).toBe('closed');
+      expect(onFailed).toHaveBeenCalledWith({ attempts: 1 });
+      client.destroy();
+    });
+
+    it('close()로 종료하면 재연결하지 않아야 함', () => {
+      const client = new RealtimeClient('ws://localhost');
+      lastSocket().open();
+
+      client.close();
+      vi.advanceTimersByTime(60000);
+
+      expect(client.status).toBe('closed');
+      expect(FakeWebSocket.instances).toHaveLength(1);
+    });
+
+    it('오프라인이면 온라인 이벤트까지 재연결을 미뤄야 함', () => {
+      const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      const client = new RealtimeClient('ws://localhost', { reconnect: { delay: 10 } });
+      lastSocket().open();
+
+      lastSocket().drop();
+      vi.advanceTimersByTime(1000);
+      expect(FakeWebSocket.instances).toHaveLength(1);
+
+      onLine.mockReturnValue(true);
+      window.dispatchEvent(new Event('online'));
+      expect(FakeWebSocket.instances).toHaveLength(2);
+
+      client.destroy();
+      onLine.mockRestore();
+    });
+  });
+
+  describe('오프라인 큐', () => {
+    it('연결 전에 보낸 메시지는 연결되면 순서대로 전송해야 함', () => {
+      const client = new RealtimeClient('ws://localhost');
+
+      expect(client.send({ type: 'chat', text: 'a' })).toBe(false);
+      client.send('b');
+      lastSocket().open();
+
+      expect(lastSocket().sent).toEqual(['{"type":"chat","text":"a"}', 'b']);
+      expect(client.queue).toHaveLength(0);
+      expect(client.send('c')).toBe(true);
+      client.destroy();
+    });
+
+    it('큐가 가득 차면 가장 오래된 메시지를 버려야 함', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const client = new RealtimeClient('ws://localhost', { queueSize: 2 });
+
+      client.send('1');
+      client.send('2');
+      client.send('3');
+
+      expect(client.queue).toEqual(['2', '3']);
+      expect(warn).toHaveBeenCalled();
+      client.destroy();
+      warn.mockRestore();
+    });
+  });
+
+  describe('하트비트', () => {
+    it('주기적으로 하트비트를 보내고 pong은 라우팅하지 않아야 함', () => {
+      const onAny = vi.fn();
+      const client = new RealtimeClient('ws://localhost', {
+        heartbeat: { interval: 1000, message: { type: 'ping' } }
+      });
+      client.on('*', onAny);
+      lastSocket().open();
+
+      vi.advanceTimersByTime(1000);
+      expect(lastSocket().sent).toEqual(['{"type":"ping"}']);
+
+      lastSocket().receive({ type: 'pong' });
+      expect(onAny).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(10000);
+      expect(client.status).toBe('open');
+      client.destroy();
+    });
+
+    it('제한 시간 안에 응답이 없으면 다시 연결해야 함', () => {
+      const client = new RealtimeClient('ws://localhost', {
+        heartbeat: { interval: 1000, timeout: 500 },
+        reconnect: { delay: 100, jitter: false }
+      });
+      const socket = lastSocket();
+      socket.open();
+
+      vi.advanceTimersByTime(1500);
+
+      expect(socket.close).toHaveBeenCalled();
+      expect(client.status).toBe('reconnecting');
+
+      vi.advanceTimersByTime(100);
+      expect(FakeWebSocket.instances).toHaveLength(2);
+      client.destroy();
+    });
+  });
+});
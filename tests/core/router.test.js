@@ -16,6 +16,8 @@ describe('View Router Module', () => {
     document.body.innerHTML = '<div id="app"></div>';
     window.location.hash = '';
     vi.clearAllMocks();
+    // jsdom은 window.scrollTo를 구현하지 않음
+    window.scrollTo = vi.fn();
   });
 
   afterEach(() => {
@@ -231,7 +233,7 @@ describe('View Router Module', () => {
         });
 
         await router.navigate('views/page.html');
-        expect(beforeLoad).toHaveBeenCalledWith('views/page.html', '');
+        expect(beforeLoad).toHaveBeenCalledWith('views/page.html', '', expect.any(Number));
       });
 
       it('from 경로를 전달해야 함', async () => {
@@ -246,7 +248,7 @@ describe('View Router Module', () => {
         router.beforeLoad(beforeLoad);
         await router.navigate('views/page2.html');
 
-        expect(beforeLoad).toHaveBeenCalledWith('views/page2.html', 'views/page1.html');
+        expect(beforeLoad).toHaveBeenCalledWith('views/page2.html', 'views/page1.html', expect.any(Number));
       });
 
       it('구독 취소 함수를 반환해야 함', async () => {
@@ -276,7 +278,7 @@ describe('View Router Module', () => {
         });
 
         await router.navigate('views/page.html');
-        expect(afterLoad).toHaveBeenCalledWith('views/page.html');
+        expect(afterLoad).toHaveBeenCalledWith('views/page.html', expect.any(Number));
       });
     });
 
@@ -328,6 +330,660 @@ describe('View Router Module', () => {
     });
   });
 
+  describe('네비게이션 가드', () => {
+    beforeEach(() => {
+      global.fetch.mockImplementation(async (view) => ({
+        ok: true,
+        text: async () => `<div>${view}</div>`
+      }));
+    });
+
+    it('beforeLoad가 false를 반환하면 이동을 취소해야 함', async () => {
+      const afterLoad = vi.fn();
+      router.beforeLoad(() => false);
+      router.afterLoad(afterLoad);
+
+      await router.navigate('views/page.html');
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(afterLoad).not.toHaveBeenCalled();
+      expect(router.current()).toBe('');
+    });
+
+    it('beforeLoad가 경로를 반환하면 리다이렉트해야 함', async () => {
+      router.beforeLoad((path) => (path === 'views/admin.html' ? 'views/login.html' : undefined));
+
+      await router.navigate('views/admin.html');
+
+      expect(router.current()).toBe('views/login.html');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('views/login.html', expect.objectContaining({ signal: expect.any(AbortSignal) }));
+    });
+
+    it('무한 리다이렉트는 에러로 중단해야 함', async () => {
+      const onError = vi.fn();
+      router.onError(onError);
+      router.beforeLoad((path) => (path === 'views/a.html' ? 'views/b.html' : 'views/a.html'));
+
+      await router.navigate('views/a.html');
+
+      expect(onError).toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('가드에서 에러가 발생하면 이동을 중단해야 함', async () => {
+      const onError = vi.fn();
+      router.onError(onError);
+      router.beforeLoad(() => {
+        throw new Error('Guard error');
+      });
+
+      await router.navigate('views/page.html');
+
+      expect(onError).toHaveBeenCalled();
+      expect(router.current()).toBe('');
+    });
+
+    it('라우트별 beforeEnter와 meta를 지원해야 함', async () => {
+      let loggedIn = false;
+      router.addRoutes([
+        { path: '/login', view: 'views/login.html', name: 'login' },
+        {
+          path: '/admin',
+          view: 'views/admin.html',
+          meta: { requiresAuth: true },
+          beforeEnter: (to) => (to.meta.requiresAuth && !loggedIn ? { name: 'login' } : true)
+        }
+      ]);
+
+      await router.navigate('/admin');
+      expect(router.current()).toBe('/login');
+
+      loggedIn = true;
+      await router.navigate('/admin');
+      expect(router.current()).toBe('/admin');
+      expect(router.currentRoute.meta).toEqual({ requiresAuth: true });
+    });
+
+    it('beforeLeave가 false를 반환하면 현재 뷰에 머물러야 함', async () => {
+      await router.navigate('views/form.html');
+
+      const instance = router.registerInstance({ destroy: vi.fn() });
+      const leave = vi.fn(async () => false);
+      router.beforeLeave(leave);
+
+      await router.navigate('views/other.html');
+
+      expect(leave).toHaveBeenCalled();
+      expect(instance.destroy).not.toHaveBeenCalled();
+      expect(router.current()).toBe('views/form.html');
+    });
+
+    it('beforeLeave는 뷰가 교체되면 자동으로 제거되어야 함', async () => {
+      await router.navigate('views/form.html');
+      const leave = vi.fn(() => true);
+      router.beforeLeave(leave);
+
+      await router.navigate('views/other.html');
+      await router.navigate('views/form.html');
+
+      expect(leave).toHaveBeenCalledTimes(1);
+    });
+
+    it('beforeLeave 구독 취소 함수를 반환해야 함', async () => {
+      await router.navigate('views/form.html');
+      const unsubscribe = router.beforeLeave(() => false);
+      unsubscribe();
+
+      await router.navigate('views/other.html');
+      expect(router.current()).toBe('views/other.html');
+    });
+  });
+
+  describe('뷰 캐시 및 미리 가져오기', () => {
+    beforeEach(() => {
+      global.fetch.mockImplementation(async (view) => ({
+        ok: true,
+        text: async () => `<div>${view}</div>`
+      }));
+    });
+
+    it('다시 방문한 뷰는 캐시에서 렌더링해야 함', async () => {
+      await router.navigate('views/a.html');
+      await router.navigate('views/b.html');
+      await router.navigate('views/a.html');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(document.querySelector('#app').innerHTML).toBe('<div>views/a.html</div>');
+    });
+
+    it('prefetch()한 뷰는 이동 시 다시 요청하지 않아야 함', async () => {
+      router.addRoute({ path: '/products/:id', view: 'views/products/detail.html' });
+
+      expect(await router.prefetch('/products/1')).toBe(true);
+      await router.navigate('/products/2');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('진행 중인 요청을 공유해야 함', async () => {
+      router.prefetch('views/a.html');
+      await router.navigate('views/a.html');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('유효하지 않은 경로는 미리 가져오지 않아야 함', async () => {
+      expect(await router.prefetch('../etc/passwd')).toBe(false);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('실패한 요청은 캐시하지 않아야 함', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Error' });
+
+      expect(await router.prefetch('views/a.html')).toBe(false);
+      await router.navigate('views/a.html');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(router.current()).toBe('views/a.html');
+    });
+
+    it('TTL이 지나면 다시 요청해야 함', async () => {
+      vi.useFakeTimers();
+      router.init({ cache: { ttl: 1000 }, useHistory: false });
+
+      await router.navigate('views/a.html');
+      vi.advanceTimersByTime(1001);
+      await router.navigate('views/a.html');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      vi.useRealTimers();
+    });
+
+    it('cache: false 라우트와 비활성화 옵션을 지원해야 함', async () => {
+      router.addRoute({ path: '/live', view: 'views/live.html', cache: false });
+      await router.navigate('/live');
+      await router.navigate('/live');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      router.init({ cache: false, useHistory: false });
+      await router.navigate('views/a.html');
+      await router.navigate('views/a.html');
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+      expect(await router.prefetch('views/b.html')).toBe(false);
+    });
+
+    it('clearCache()로 캐시를 비워야 함', async () => {
+      await router.navigate('views/a.html');
+      router.clearCache('views/a.html');
+      await router.navigate('views/a.html');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('스크롤 복원 및 포커스 관리', () => {
+    beforeEach(() => {
+      global.fetch.mockImplementation(async (view) => ({
+        ok: true,
+        text: async () => ({
+          'views/a.html': '<h1>Page A</h1><p>A</p>',
+          'views/b.html': '<section><h2>Page B</h2><p id="details">B</p></section>',
+          'views/c.html': '<p>No heading</p>'
+        })[view]
+      }));
+    });
+
+    it('새 이동 시 상단으로 스크롤해야 함', async () => {
+      await router.navigate('views/a.html');
+      expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+    });
+
+    it('#앵커가 있으면 해당 요소로 스크롤해야 함', async () => {
+      const scrollIntoView = vi.fn();
+      window.HTMLElement.prototype.scrollIntoView = scrollIntoView;
+
+      await router.navigate('views/b.html#details');
+
+      expect(router.resolve('views/b.html#details').hash).toBe('details');
+      expect(scrollIntoView).toHaveBeenCalled();
+      expect(window.scrollTo).not.toHaveBeenCalled();
+    });
+
+    it('#앵커의 인코딩이 잘못되어도 이동해야 함', async () => {
+      const onError = vi.fn();
+      router.onError(onError);
+
+      await router.navigate('views/b.html#%E0%A4%A');
+
+      expect(onError).not.toHaveBeenCalled();
+      expect(router.current()).toBe('views/b.html#%E0%A4%A');
+      expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+    });
+
+    it('저장하는 스크롤 위치 개수를 제한해야 함', async () => {
+      const limit = ViewRouter.SCROLL_POSITIONS_LIMIT;
+      ViewRouter.SCROLL_POSITIONS_LIMIT = 2;
+
+      await router.navigate('views/a.html');
+      const first = window.history.state.key;
+      await router.navigate('views/b.html');
+      await router.navigate('views/c.html');
+      await router.navigate('views/a.html');
+
+      expect(router._scrollPositions.size).toBe(2);
+      expect(router._scrollPositions.has(first)).toBe(false);
+      ViewRouter.SCROLL_POSITIONS_LIMIT = limit;
+    });
+
+    it('뒤로/앞으로 가기 시 저장된 스크롤 위치를 복원해야 함', async () => {
+      await router.navigate('views/a.html');
+      const keyA = window.history.state.key;
+
+      window.scrollY = 400;
+      await router.navigate('views/b.html');
+      window.scrollY = 0;
+
+      await router._loadView('views/a.html', false, { popstate: true, key: keyA });
+
+      expect(window.scrollTo).toHaveBeenLastCalledWith(0, 400);
+    });
+
+    it('가드가 뒤로 가기를 취소하면 항목을 추가하지 않고 원래 항목으로 돌아가야 함', async () => {
+      router.init({ autoNavigate: false });
+      await router.navigate('views/a.html');
+      const stateA = window.history.state;
+      await router.navigate('views/b.html');
+      const stateB = window.history.state;
+
+      const go = vi.spyOn(window.history, 'go').mockImplementation(() => {});
+      const pushState = vi.spyOn(window.history, 'pushState');
+      const guard = vi.fn(() => false);
+      router.beforeLoad(guard);
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: stateA }));
+      await vi.waitFor(() => expect(go).toHaveBeenCalledWith(1));
+      expect(pushState).not.toHaveBeenCalled();
+
+      // 되돌아가며 발생한 popstate는 다시 가드를 실행하지 않음
+      window.dispatchEvent(new PopStateEvent('popstate', { state: stateB }));
+      await Promise.resolve();
+      expect(guard).toHaveBeenCalledTimes(1);
+      expect(router.current()).toBe('views/b.html');
+
+      go.mockRestore();
+      pushState.mockRestore();
+      router.destroy();
+    });
+
+    it('가드가 뒤로 가기를 리다이렉트하면 이동한 항목을 교체해야 함', async () => {
+      router.init({ autoNavigate: false });
+      await router.navigate('views/a.html');
+      const stateA = window.history.state;
+      await router.navigate('views/b.html');
+
+      const pushState = vi.spyOn(window.history, 'pushState');
+      const replaceState = vi.spyOn(window.history, 'replaceState');
+      router.beforeLoad(path => (path === 'views/a.html' ? 'views/c.html' : true));
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: stateA }));
+      await vi.waitFor(() => expect(router.current()).toBe('views/c.html'));
+
+      expect(pushState).not.toHaveBeenCalled();
+      expect(replaceState).toHaveBeenCalledWith(
+        { path: 'views/c.html', key: stateA.key, index: stateA.index },
+        '',
+        expect.any(String)
+      );
+      expect(router._historyIndex).toBe(stateA.index);
+
+      pushState.mockRestore();
+      replaceState.mockRestore();
+      router.destroy();
+    });
+
+    it('새로고침하면 현재 히스토리 항목의 키와 위치를 복원해야 함', async () => {
+      window.history.replaceState({ path: 'views/b.html', key: 'saved', index: 3 }, '', '#views/b.html');
+      router.init({ autoNavigate: false });
+
+      expect(router._historyKey).toBe('saved');
+      expect(router._historyIndex).toBe(3);
+
+      await router.navigate('views/b.html', true);
+      expect(window.history.state).toEqual({ path: 'views/b.html', key: 'saved', index: 3 });
+
+      await router.navigate('views/a.html');
+      expect(window.history.state.index).toBe(4);
+      router.destroy();
+    });
+
+    it('replace 이동은 현재 히스토리 항목을 교체해야 함', async () => {
+      const replaceStateSpy = vi.spyOn(window.history, 'replaceState');
+      await router.navigate('views/a.html', true);
+
+      expect(replaceStateSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'views/a.html' }), '', '#views/a.html'
+      );
+      replaceStateSpy.mockRestore();
+    });
+
+    it('뷰 전환 후 제목으로 포커스를 옮기고 안내해야 함', async () => {
+      await router.navigate('views/a.html');
+      // 첫 로드에서는 포커스를 옮기지 않음
+      expect(document.activeElement).toBe(document.body);
+
+      await router.navigate('views/b.html');
+
+      const heading = document.querySelector('#app h2');
+      expect(document.activeElement).toBe(heading);
+      expect(heading.getAttribute('tabindex')).toBe('-1');
+      expect(document.querySelector('[aria-live="polite"]').textContent).toBe('Page B');
+    });
+
+    it('제목이 없으면 컨테이너로 포커스를 옮기고 meta.title을 안내해야 함', async () => {
+      router.addRoute({ path: '/c', view: 'views/c.html', meta: { title: 'Page C' } });
+
+      await router.navigate('views/a.html');
+      await router.navigate('/c');
+
+      expect(document.activeElement).toBe(document.querySelector('#app'));
+      expect(document.title).toBe('Page C');
+      expect(document.querySelector('[aria-live="polite"]').textContent).toBe('Page C');
+    });
+
+    it('옵션으로 비활성화할 수 있어야 함', async () => {
+      router.init({ scrollRestoration: false, focusManagement: false, useHistory: false });
+
+      await router.navigate('views/a.html');
+      await router.navigate('views/b.html');
+
+      expect(window.scrollTo).not.toHaveBeenCalled();
+      expect(document.activeElement).toBe(document.body);
+    });
+  });
+
+  describe('history 모드', () => {
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/');
+      global.fetch.mockImplementation(async (view) => ({
+        ok: true,
+        text: async () => `<div>${view}</div>`
+      }));
+      router.addRoutes([
+        { path: '/', view: 'views/home.html' },
+        { path: '/products/:id', view: 'views/products/detail.html' }
+      ]);
+    });
+
+    afterEach(() => {
+      router.destroy();
+      window.history.replaceState(null, '', '/');
+    });
+
+    it('기본 경로를 포함한 실제 경로로 URL을 변경해야 함', async () => {
+      router.init({ mode: 'history', base: '/app/', autoNavigate: false });
+
+      await router.navigate('/products/42?tab=reviews');
+
+      expect(window.location.pathname).toBe('/app/products/42');
+      expect(window.location.search).toBe('?tab=reviews');
+      expect(window.location.hash).toBe('');
+      expect(window.history.state.path).toBe('/products/42?tab=reviews');
+    });
+
+    it('href()는 모드에 맞는 URL을 반환해야 함', () => {
+      expect(router.href('/products/1')).toBe('#/products/1');
+
+      router.init({ mode: 'history', base: '/app', autoNavigate: false });
+      expect(router.href('/products/1')).toBe('/app/products/1');
+      expect(router.href('views/page.html')).toBe('/app/#views/page.html');
+    });
+
+    it('초기 주소의 경로를 뷰로 로드해야 함', async () => {
+      window.history.replaceState(null, '', '/app/products/7?tab=qna');
+
+      router.init({ mode: 'history', base: '/app' });
+      await vi.waitFor(() => expect(router.current()).toBe('/products/7?tab=qna'));
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${window.location.origin}/app/views/products/detail.html`,
+        expect.objectContaining({ signal: expect.any(AbortSignal) })
+      );
+      expect(router.params()).toEqual({ id: '7', tab: 'qna' });
+    });
+
+    it('중첩 경로에서도 뷰 파일을 기본 경로 기준으로 요청해야 함', async () => {
+      router.init({ mode: 'history', base: '/app', autoNavigate: false, cache: false });
+
+      await router.navigate('/products/42');
+      expect(window.location.pathname).toBe('/app/products/42');
+
+      await router.navigate('/');
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        `${window.location.origin}/app/views/home.html`,
+        expect.anything()
+      );
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/products/views/'), expect.anything());
+    });
+
+    it('viewsBase를 지정하면 그 기준으로 요청해야 함', async () => {
+      router.init({ mode: 'history', base: '/app', viewsBase: 'https://cdn.example.com/app/', autoNavigate: false });
+
+      await router.navigate('/products/42');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://cdn.example.com/app/views/products/detail.html',
+        expect.anything()
+      );
+    });
+
+    it('뷰 안의 #앵커는 라우트 경로로 해석하지 않아야 함', () => {
+      window.history.replaceState(null, '', '/app/products/7#reviews');
+      router.init({ mode: 'history', base: '/app', autoNavigate: false });
+
+      expect(router._getLocationPath()).toBe('/products/7#reviews');
+      expect(router.resolve(router._getLocationPath()).hash).toBe('reviews');
+    });
+  });
+
+  describe('네비게이션 경쟁 처리', () => {
+    // 취소 시그널을 따르는 지연 응답 fetch
+    const deferredFetch = () => {
+      const pending = {};
+      global.fetch.mockImplementation((view, options = {}) => new Promise((resolve, reject) => {
+        pending[view] = () => resolve({ ok: true, text: async () => `<div>${view}</div>` });
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => {
+            reject(new DOMException('Aborted', 'AbortError'));
+          });
+        }
+      }));
+      return pending;
+    };
+
+    it('새 네비게이션이 시작되면 이전 요청을 취소해야 함', async () => {
+      deferredFetch();
+
+      const first = router.navigate('views/slow.html');
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+      const signal = global.fetch.mock.calls[0][1].signal;
+
+      const second = router.navigate('views/fast.html');
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+
+      expect(signal.aborted).toBe(true);
+      router.destroy();
+      await Promise.all([first, second]);
+    });
+
+    it('가드에서 취소된 네비게이션은 진행 중인 이전 네비게이션을 취소하지 않아야 함', async () => {
+      const pending = deferredFetch();
+      router.beforeLoad(path => path !== 'views/blocked.html');
+
+      const first = router.navigate('views/slow.html');
+      await vi.waitFor(() => expect(pending['views/slow.html']).toBeDefined());
+      const signal = global.fetch.mock.calls[0][1].signal;
+
+      await router.navigate('views/blocked.html');
+      expect(signal.aborted).toBe(false);
+
+      pending['views/slow.html']();
+      await first;
+
+      expect(router.current()).toBe('views/slow.html');
+      expect(document.querySelector('#app').innerHTML).toBe('<div>views/slow.html</div>');
+    });
+
+    it('늦게 도착한 이전 응답은 렌더링하지 않아야 함', async () => {
+      const pending = {};
+      global.fetch.mockImplementation(view => new Promise((resolve) => {
+        pending[view] = () => resolve({ ok: true, text: async () => `<div>${view}</div>` });
+      }));
+      const afterLoad = vi.fn();
+      router.afterLoad(afterLoad);
+
+      const first = router.navigate('views/slow.html');
+      await vi.waitFor(() => expect(pending['views/slow.html']).toBeDefined());
+      const second = router.navigate('views/fast.html');
+      await vi.waitFor(() => expect(pending['views/fast.html']).toBeDefined());
+
+      pending['views/fast.html']();
+      await second;
+      pending['views/slow.html']();
+      await first;
+
+      expect(router.current()).toBe('views/fast.html');
+      expect(document.querySelector('#app').innerHTML).toBe('<div>views/fast.html</div>');
+      expect(afterLoad).toHaveBeenCalledTimes(1);
+      expect(afterLoad).toHaveBeenCalledWith('views/fast.html', router.navigationId);
+    });
+
+    it('취소된 네비게이션은 onError를 호출하지 않아야 함', async () => {
+      const pending = deferredFetch();
+      const onError = vi.fn();
+      router.onError(onError);
+
+      const first = router.navigate('views/slow.html');
+      await vi.waitFor(() => expect(pending['views/slow.html']).toBeDefined());
+      const second = router.navigate('views/fast.html');
+      await vi.waitFor(() => expect(pending['views/fast.html']).toBeDefined());
+
+      pending['views/fast.html']();
+      await Promise.all([first, second]);
+
+      expect(onError).not.toHaveBeenCalled();
+      expect(router.current()).toBe('views/fast.html');
+    });
+
+    it('이전 네비게이션이 최신 네비게이션의 로딩을 숨기지 않아야 함', async () => {
+      const pending = deferredFetch();
+      const loading = { show: vi.fn(), hide: vi.fn() };
+      router.init({ loading, autoNavigate: false });
+
+      const first = router.navigate('views/slow.html');
+      await vi.waitFor(() => expect(pending['views/slow.html']).toBeDefined());
+      const second = router.navigate('views/fast.html');
+      await first;
+
+      expect(loading.hide).not.toHaveBeenCalled();
+
+      await vi.waitFor(() => expect(pending['views/fast.html']).toBeDefined());
+      pending['views/fast.html']();
+      await second;
+
+      expect(loading.hide).toHaveBeenCalledTimes(1);
+      router.destroy();
+    });
+  });
+
+  describe('뷰 전환 애니메이션', () => {
+    let startViewTransition;
+    let transitions;
+
+    beforeEach(() => {
+      global.fetch.mockImplementation(async (view) => ({
+        ok: true,
+        text: async () => `<div>${view}</div>`
+      }));
+      router.addRoutes([
+        { path: '/a', view: 'views/a.html' },
+        { path: '/b', view: 'views/b.html', transition: 'slide' },
+        { path: '/c', view: 'views/c.html', transition: 'none' }
+      ]);
+
+      // View Transitions API 모의 (콜백 실행 시점의 전환 이름 기록)
+      transitions = [];
+      startViewTransition = vi.fn((callback) => {
+        transitions.push(document.documentElement.getAttribute('data-catui-transition'));
+        const done = Promise.resolve().then(callback);
+        return { updateCallbackDone: done, finished: done };
+      });
+      document.startViewTransition = startViewTransition;
+    });
+
+    afterEach(() => {
+      delete document.startViewTransition;
+      delete HTMLElement.prototype.animate;
+      router.destroy();
+    });
+
+    it('기본값은 전환 없이 바로 렌더링해야 함', async () => {
+      await router.navigate('/a');
+
+      expect(startViewTransition).not.toHaveBeenCalled();
+      expect(document.querySelector('#app').innerHTML).toBe('<div>views/a.html</div>');
+    });
+
+    it('전역 전환 설정으로 View Transitions API를 사용해야 함', async () => {
+      router.init({ transition: { name: 'fade', duration: 200 }, autoNavigate: false });
+
+      await router.navigate('/a');
+
+      expect(startViewTransition).toHaveBeenCalledTimes(1);
+      expect(transitions).toEqual(['fade']);
+      expect(document.querySelector('#app').innerHTML).toBe('<div>views/a.html</div>');
+      expect(document.getElementById('imcat-route-transition-style').textContent).toContain('200ms');
+    });
+
+    it('라우트별 전환이 전역 설정보다 우선해야 함', async () => {
+      router.init({ transition: 'fade', autoNavigate: false });
+
+      await router.navigate('/c');
+      expect(startViewTransition).not.toHaveBeenCalled();
+
+      await router.navigate('/b');
+      expect(transitions).toEqual(['slide-forward']);
+    });
+
+    it('뒤로 가기는 반대 방향으로 슬라이드해야 함', async () => {
+      router.init({ autoNavigate: false });
+
+      await router.navigate('/a');
+      const previous = window.history.state;
+      await router.navigate('/b');
+      await router._loadView('/b', false, { popstate: true, key: 'x', index: previous.index + 1 });
+      await router._loadView('/b', false, { popstate: true, key: previous.key, index: previous.index - 1 });
+
+      expect(transitions).toEqual(['slide-forward', 'slide-forward', 'slide-back']);
+    });
+
+    it('View Transitions API가 없으면 AnimationUtil로 진입 애니메이션을 적용해야 함', async () => {
+      delete document.startViewTransition;
+      HTMLElement.prototype.animate = vi.fn(() => ({ finished: Promise.resolve() }));
+      router.init({ transition: 'fade', autoNavigate: false });
+
+      await router.navigate('/a');
+
+      const app = document.querySelector('#app');
+      expect(app.innerHTML).toBe('<div>views/a.html</div>');
+      expect(HTMLElement.prototype.animate).toHaveBeenCalledWith(
+        ViewRouter.TRANSITION_KEYFRAMES.fade,
+        expect.objectContaining({ duration: 300 })
+      );
+      expect(HTMLElement.prototype.animate.mock.instances[0]).toBe(app);
+    });
+  });
+
   describe('로딩 통합', () => {
     it('로딩 인디케이터를 표시해야 함', async () => {
       const loading = {
@@ -382,6 +1038,227 @@ describe('View Router Module', () => {
     });
   });
 
+  describe('라우트 테이블', () => {
+    beforeEach(() => {
+      router.addRoutes([
+        { path: '/', view: 'views/home.html', name: 'home' },
+        { path: '/products/:id', view: 'views/products/detail.html', name: 'product' },
+        { path: '/docs/:page', view: 'views/docs/:page.html', name: 'docs' },
+        { path: '/files/*', view: 'views/files.html', name: 'files' },
+        { path: '/search/:keyword?', view: 'views/search.html', name: 'search' },
+        { path: '*', view: 'views/404.html' }
+      ]);
+    });
+
+    it('경로 파라미터를 추출해야 함', () => {
+      const route = router.resolve('/products/42?tab=reviews');
+      expect(route.view).toBe('views/products/detail.html');
+      expect(route.params).toEqual({ id: '42' });
+      expect(route.query).toEqual({ tab: 'reviews' });
+      expect(route.name).toBe('product');
+    });
+
+    it('뷰 경로에 파라미터를 치환해야 함', () => {
+      expect(router.resolve('/docs/intro').view).toBe('views/docs/intro.html');
+    });
+
+    it('와일드카드는 나머지 경로를 pathMatch로 전달해야 함', () => {
+      expect(router.resolve('/files/a/b.txt').params.pathMatch).toBe('a/b.txt');
+    });
+
+    it('선택적 파라미터를 지원해야 함', () => {
+      expect(router.resolve('/search').params).toEqual({});
+      expect(router.resolve('/search/cat').params).toEqual({ keyword: 'cat' });
+    });
+
+    it('매칭되지 않으면 404 폴백 라우트를 사용해야 함', () => {
+      const route = router.resolve('/unknown/page');
+      expect(route.view).toBe('views/404.html');
+      expect(route.params.pathMatch).toBe('/unknown/page');
+    });
+
+    it('해석된 뷰 파일은 validatePath를 통과해야 함', () => {
+      expect(router.resolve('/docs/..%2F..%2Fetc')).toBeNull();
+      expect(router.resolve('/docs/%3Cscript%3E')).toBeNull();
+    });
+
+    it('기존 뷰 파일 경로도 그대로 해석해야 함', () => {
+      expect(router.resolve('views/page.html?id=1').view).toBe('views/page.html');
+      expect(router.resolve('../etc/passwd')).toBeNull();
+    });
+
+    it('라우트 경로로 이동하고 params()에 경로 파라미터를 포함해야 함', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        text: async () => '<div>Product</div>'
+      });
+
+      await router.navigate('/products/42?tab=reviews');
+
+      expect(global.fetch).toHaveBeenCalledWith('views/products/detail.html', expect.objectContaining({ signal: expect.any(AbortSignal) }));
+      expect(router.current()).toBe('/products/42?tab=reviews');
+      expect(window.location.hash).toBe('#/products/42?tab=reviews');
+      expect(router.params()).toEqual({ id: '42', tab: 'reviews' });
+    });
+
+    it('라우트 이름으로 이동할 수 있어야 함', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        text: async () => '<div>Product</div>'
+      });
+
+      await router.navigate({ name: 'product', params: { id: 7 } });
+      expect(router.current()).toBe('/products/7');
+    });
+
+    it('url()로 역방향 URL을 생성해야 함', () => {
+      expect(router.url('home')).toBe('/');
+      expect(router.url('product', { id: 42 }, { tab: 'reviews' })).toBe('/products/42?tab=reviews');
+      expect(router.url('files', { pathMatch: 'a/b.txt' })).toBe('/files/a/b.txt');
+      expect(router.url('search')).toBe('/search');
+      expect(router.url('product', { id: 'a b' })).toBe('/products/a%20b');
+    });
+
+    it('url()은 누락된 라우트나 파라미터에 에러를 던져야 함', () => {
+      expect(() => router.url('missing')).toThrow();
+      expect(() => router.url('product')).toThrow();
+    });
+
+    it('404 폴백이 없으면 매칭되지 않는 경로를 차단해야 함', async () => {
+      router.clearRoutes();
+      const onError = vi.fn();
+      router.onError(onError);
+
+      await router.navigate('/nowhere');
+      expect(onError).toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('중첩 레이아웃', () => {
+    const views = {
+      'views/admin/layout.html': '<nav>Admin</nav><div catui-outlet="toolbar"></div><div catui-outlet></div>',
+      'views/admin/dashboard.html': '<div>Dashboard</div>',
+      'views/admin/users.html': '<div>Users</div>',
+      'views/admin/users-toolbar.html': '<button>Add user</button>',
+      'views/admin/user.html': '<div>User</div>',
+      'views/home.html': '<div>Home</div>'
+    };
+
+    beforeEach(() => {
+      global.fetch.mockImplementation(async (view) => ({
+        ok: true,
+        text: async () => views[view]
+      }));
+
+      router.addRoutes([
+        { path: '/', view: 'views/home.html' },
+        {
+          path: '/admin',
+          view: 'views/admin/layout.html',
+          children: [
+            { path: '', view: 'views/admin/dashboard.html', name: 'admin' },
+            {
+              path: 'users',
+              view: 'views/admin/users.html',
+              name: 'admin-users',
+              outlets: { toolbar: 'views/admin/users-toolbar.html' }
+            },
+            { path: 'users/:id', view: 'views/admin/user.html', name: 'admin-user' }
+          ]
+        }
+      ]);
+    });
+
+    it('레이아웃의 아웃렛에 자식 뷰를 렌더링해야 함', async () => {
+      await router.navigate('/admin');
+
+      const app = document.querySelector('#app');
+      expect(app.querySelector('nav').textContent).toBe('Admin');
+      expect(app.querySelector('[catui-outlet=""]').innerHTML).toBe('<div>Dashboard</div>');
+      expect(router.url('admin-user', { id: 3 })).toBe('/admin/users/3');
+    });
+
+    it('자식 경로 이동 시 레이아웃은 유지하고 아웃렛만 교체해야 함', async () => {
+      await router.navigate('/admin');
+      const nav = document.querySelector('#app nav');
+      global.fetch.mockClear();
+
+      await router.navigate('/admin/users');
+
+      expect(document.querySelector('#app nav')).toBe(nav);
+      expect(global.fetch.mock.calls.map(call => call[0])).not.toContain('views/admin/layout.html');
+      expect(document.querySelector('[catui-outlet=""]').innerHTML).toBe('<div>Users</div>');
+    });
+
+    it('이름 있는 아웃렛을 채우고 벗어나면 비워야 함', async () => {
+      await router.navigate('/admin/users');
+      const toolbar = document.querySelector('[catui-outlet="toolbar"]');
+      expect(toolbar.innerHTML).toBe('<button>Add user</button>');
+
+      await router.navigate('/admin/users/3');
+      expect(toolbar.innerHTML).toBe('');
+      expect(router.params().id).toBe('3');
+    });
+
+    it('교체된 아웃렛의 인스턴스만 정리해야 함', async () => {
+      await router.navigate('/admin');
+
+      const layoutInstance = { destroy: vi.fn() };
+      router._levels[0].instances.push(layoutInstance);
+      const childInstance = router.registerInstance({ destroy: vi.fn() });
+      expect(router.getInstanceCount()).toBe(2);
+
+      await router.navigate('/admin/users');
+      expect(childInstance.destroy).toHaveBeenCalled();
+      expect(layoutInstance.destroy).not.toHaveBeenCalled();
+
+      await router.navigate('/');
+      expect(layoutInstance.destroy).toHaveBeenCalled();
+      expect(router.getInstanceCount()).toBe(0);
+    });
+
+    it('가드를 기다리는 동안 이전 네비게이션이 렌더링한 레이아웃을 기준으로 교체해야 함', async () => {
+      await router.navigate('/');
+      let releaseLayout;
+      global.fetch.mockImplementation(async (view) => {
+        if (view === 'views/admin/layout.html') {
+          await new Promise(resolve => { releaseLayout = resolve; });
+        }
+        return { ok: true, text: async () => views[view] };
+      });
+      let releaseGuard;
+      router.beforeLoad(path => (path === '/admin/users'
+        ? new Promise(resolve => { releaseGuard = () => resolve(true); })
+        : true));
+
+      const fast = router.navigate('/admin');
+      await vi.waitFor(() => expect(releaseLayout).toBeDefined());
+      const slow = router.navigate('/admin/users');
+      await vi.waitFor(() => expect(releaseGuard).toBeDefined());
+
+      releaseLayout();
+      await fast;
+      const nav = document.querySelector('#app nav');
+      expect(nav).not.toBe(null);
+
+      releaseGuard();
+      await slow;
+
+      expect(document.querySelector('#app nav')).toBe(nav);
+      expect(global.fetch.mock.calls.filter(call => call[0] === 'views/admin/layout.html')).toHaveLength(1);
+      expect(document.querySelector('[catui-outlet=""]').innerHTML).toBe('<div>Users</div>');
+      expect(document.querySelector('[catui-outlet="toolbar"]').innerHTML).toBe('<button>Add user</button>');
+    });
+
+    it('레이아웃 밖으로 이동하면 전체를 다시 렌더링해야 함', async () => {
+      await router.navigate('/admin/users');
+      await router.navigate('/');
+
+      expect(document.querySelector('#app').innerHTML).toBe('<div>Home</div>');
+    });
+  });
+
   describe('실전 시나리오', () => {
     it('완전한 SPA 네비게이션', async () => {
       const beforeLoad = vi.fn();
@@ -397,14 +1274,14 @@ describe('View Router Module', () => {
 
       // 홈으로 이동
       await router.navigate('views/home.html');
-      expect(beforeLoad).toHaveBeenCalledWith('views/home.html', '');
-      expect(afterLoad).toHaveBeenCalledWith('views/home.html');
+      expect(beforeLoad).toHaveBeenCalledWith('views/home.html', '', expect.any(Number));
+      expect(afterLoad).toHaveBeenCalledWith('views/home.html', expect.any(Number));
       expect(router.current()).toBe('views/home.html');
 
       // 프로필로 이동
       await router.navigate('views/profile.html');
-      expect(beforeLoad).toHaveBeenCalledWith('views/profile.html', 'views/home.html');
-      expect(afterLoad).toHaveBeenCalledWith('views/profile.html');
+      expect(beforeLoad).toHaveBeenCalledWith('views/profile.html', 'views/home.html', expect.any(Number));
+      expect(afterLoad).toHaveBeenCalledWith('views/profile.html', expect.any(Number));
       expect(router.current()).toBe('views/profile.html');
     });
 
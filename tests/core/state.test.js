@@ -2,8 +2,9 @@
  * State Module 테스트
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { StateManager, GlobalState } from '../../src/core/state.js';
+import { Config } from '../../src/core/config.js';
 
 describe('State Module', () => {
   describe('StateManager.create()', () => {
@@ -238,6 +239,499 @@ describe('State Module', () => {
     });
   });
 
+  describe('깊은 반응성', () => {
+    it('중첩 속성 변경을 경로 감시자와 상위 감시자에 알려야 함', () => {
+      const store = StateManager.create({ user: { name: 'John', address: { city: 'Seoul' } } });
+      const onName = vi.fn();
+      const onUser = vi.fn();
+
+      store.watch('user.name', onName);
+      store.watch('user', onUser);
+      store.user.name = 'Jane';
+
+      expect(onName).toHaveBeenCalledWith('Jane', 'John');
+      expect(onUser).toHaveBeenCalledTimes(1);
+      expect(store.getState().user.name).toBe('Jane');
+    });
+
+    it('상위 객체를 교체하면 값이 바뀐 하위 경로만 알려야 함', () => {
+      const store = StateManager.create({ user: { name: 'John', age: 30 } });
+      const onName = vi.fn();
+      const onAge = vi.fn();
+
+      store.watch('user.name', onName);
+      store.watch('user.age', onAge);
+      store.user = { name: 'Jane', age: 30 };
+
+      expect(onName).toHaveBeenCalledWith('Jane', 'John');
+      expect(onAge).not.toHaveBeenCalled();
+    });
+
+    it('배열 변경 메서드를 한 번의 변경으로 알려야 함', () => {
+      const store = StateManager.create({ items: [1, 2] });
+      const callback = vi.fn();
+
+      store.watch('items', callback);
+      store.items.push(3, 4);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0]).toEqual([1, 2, 3, 4]);
+      expect(callback.mock.calls[0][1]).toEqual([1, 2]);
+
+      store.items.splice(0, 1);
+      store.items[0] = 20;
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(store.items).toEqual([20, 3, 4]);
+    });
+
+    it('같은 경로의 프록시는 동일해야 하고 프록시를 저장하면 원본으로 저장해야 함', () => {
+      const store = StateManager.create({ user: { name: 'John' }, copy: null });
+
+      expect(store.user).toBe(store.user);
+
+      store.copy = store.user;
+      expect(store.getState().copy).toBe(store.getState().user);
+    });
+
+    it('배치 내 중첩 변경은 상위 감시자를 한 번만 호출해야 함', () => {
+      const store = StateManager.create({ user: { name: 'John', age: 30 } });
+      const callback = vi.fn();
+
+      store.watch('user', callback);
+      store.batch(() => {
+        store.user.name = 'Jane';
+        store.user.age = 31;
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('setState()도 감시자에 알려야 함', () => {
+      const store = StateManager.create({ a: 1, b: 2 });
+      const onA = vi.fn();
+      const onB = vi.fn();
+
+      store.watch('a', onA);
+      store.watch('b', onB);
+      store.setState({ a: 10 }, false);
+
+      expect(onA).toHaveBeenCalledWith(10, 1);
+      expect(onB).toHaveBeenCalledWith(undefined, 2);
+    });
+
+    it('computed는 중첩 읽기와 배열 변경을 의존성으로 추적해야 함', () => {
+      const store = StateManager.create({ items: [{ price: 100, qty: 1 }] });
+      store.compute('total', function() {
+        return this.items.reduce((sum, item) => sum + item.price * item.qty, 0);
+      });
+
+      expect(store.total).toBe(100);
+
+      store.items[0].qty = 3;
+      expect(store.total).toBe(300);
+
+      store.items.push({ price: 50, qty: 2 });
+      expect(store.total).toBe(400);
+    });
+
+    it('computed 감시자는 의존성 변경 시 새 값으로 호출되어야 함', () => {
+      const store = StateManager.create({ user: { first: 'John', last: 'Doe' } });
+      store.compute('fullName', function() {
+        return `${this.user.first} ${this.user.last}`;
+      });
+      store.compute('greeting', function() {
+        return `Hello, ${this.fullName}`;
+      });
+      const callback = vi.fn();
+
+      store.watch('greeting', callback);
+      store.user.first = 'Jane';
+
+      expect(callback).toHaveBeenCalledWith('Hello, Jane Doe', 'Hello, John Doe');
+    });
+  });
+
+  describe('영속화 (persist)', () => {
+    beforeEach(() => {
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('변경을 저장하고 새 스토어 생성 시 복원해야 함', () => {
+      const store = StateManager.create({ items: [] }, { persist: { key: 'cart' } });
+      store.items.push({ id: 1 });
+
+      const restored = StateManager.create({ items: [] }, { persist: { key: 'cart' } });
+
+      expect(restored.items).toEqual([{ id: 1 }]);
+      store.destroy();
+      restored.destroy();
+    });
+
+    it('include/exclude 키만 저장하고 computed는 제외해야 함', () => {
+      const store = StateManager.create({ items: [], draft: '', token: 'x' }, {
+        persist: { key: 'app', storage: 'session', exclude: ['token'] }
+      });
+      store.compute('count', function() {
+        return this.items.length;
+      });
+      store.items = [1];
+      store.draft = 'hi';
+
+      expect(JSON.parse(sessionStorage.getItem('app')).value.state).toEqual({ items: [1], draft: 'hi' });
+      expect(localStorage.getItem('app')).toBeNull();
+
+      const picked = StateManager.create({ items: [], draft: '' }, { persist: { key: 'picked', include: ['items'] } });
+      picked.draft = 'ignored';
+      expect(localStorage.getItem('picked')).toBeNull();
+      picked.items = [2];
+      expect(JSON.parse(localStorage.getItem('picked')).value.state).toEqual({ items: [2] });
+
+      store.destroy();
+      picked.destroy();
+    });
+
+    it('이전 버전 데이터는 마이그레이션을 순서대로 적용해야 함', () => {
+      localStorage.setItem('user', JSON.stringify({ value: { version: 1, state: { name: 'John Doe' } } }));
+
+      const store = StateManager.create({ first: '', last: '', nickname: '' }, {
+        persist: {
+          key: 'user',
+          version: 3,
+          migrations: {
+            2: (state) => {
+              const [first, last] = state.name.split(' ');
+              return { first, last };
+            },
+            3: (state) => ({ ...state, nickname: state.first })
+          }
+        }
+      });
+
+      expect(store.getState()).toEqual({ first: 'John', last: 'Doe', nickname: 'John' });
+      store.destroy();
+    });
+
+    it('debounce 동안의 변경은 한 번만 저장해야 함', () => {
+      vi.useFakeTimers();
+      const setItem = vi.spyOn(Storage.prototype, 'setItem');
+      const store = StateManager.create({ count: 0 }, { persist: { key: 'counter', debounce: 200 } });
+
+      store.count = 1;
+      store.count = 2;
+      expect(setItem).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(200);
+      expect(setItem).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(localStorage.getItem('counter')).value.state.count).toBe(2);
+
+      setItem.mockRestore();
+      store.destroy();
+    });
+
+    it('페이지를 떠나면 대기 중인 지연 저장을 바로 기록하고 destroy 후에는 리스너를 제거해야 함', () => {
+      vi.useFakeTimers();
+      const removeListener = vi.spyOn(window, 'removeEventListener');
+      const store = StateManager.create({ count: 0 }, { persist: { key: 'counter', debounce: 200 } });
+
+      store.count = 1;
+      window.dispatchEvent(new Event('pagehide'));
+      expect(JSON.parse(localStorage.getItem('counter')).value.state.count).toBe(1);
+
+      store.destroy();
+      expect(removeListener).toHaveBeenCalledWith('pagehide', expect.any(Function));
+      removeListener.mockRestore();
+    });
+
+    it('다른 탭의 storage 이벤트를 반영하고 다시 저장하지 않아야 함', () => {
+      const store = StateManager.create({ theme: 'light' }, { persist: { key: 'prefs' } });
+      const callback = vi.fn();
+      store.watch('theme', callback);
+      // 다른 탭이 저장한 값 (storage 이벤트는 저장 후에 발생)
+      const newValue = JSON.stringify({ value: { version: 0, state: { theme: 'dark' } } });
+      localStorage.setItem('prefs', newValue);
+      const setItem = vi.spyOn(Storage.prototype, 'setItem');
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'prefs', newValue, storageArea: localStorage }));
+
+      expect(store.theme).toBe('dark');
+      expect(callback).toHaveBeenCalledWith('dark', 'light');
+      expect(setItem).not.toHaveBeenCalled();
+
+      setItem.mockRestore();
+      store.destroy();
+    });
+
+    it('다른 탭의 변경은 실행 취소 이력에 기록하지 않아야 함', () => {
+      const store = StateManager.create({ theme: 'light', count: 0 }, { persist: { key: 'prefs' }, history: true });
+      store.count = 1;
+      const newValue = JSON.stringify({ value: { version: 0, state: { theme: 'dark', count: 1 } } });
+      localStorage.setItem('prefs', newValue);
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'prefs', newValue, storageArea: localStorage }));
+
+      expect(store.theme).toBe('dark');
+      expect(store.history.past).toHaveLength(1);
+      store.undo();
+      expect(store.getState()).toEqual({ theme: 'dark', count: 0 });
+      store.destroy();
+    });
+
+    it('GlobalState.use()는 이름으로 기본 키를 사용해야 함', () => {
+      const store = GlobalState.use('persisted-cart', { items: [] }, { persist: true });
+      store.items = ['a'];
+
+      expect(JSON.parse(localStorage.getItem('imcat-state:persisted-cart')).value.state).toEqual({ items: ['a'] });
+      GlobalState.remove('persisted-cart');
+    });
+
+    it('key 없이 persist를 사용하면 에러를 던져야 함', () => {
+      expect(() => StateManager.create({}, { persist: true })).toThrow();
+    });
+  });
+
+  describe('이력 (history)', () => {
+    it('변경을 실행 취소하고 다시 실행해야 함', () => {
+      const store = StateManager.create({ count: 0 }, { history: true });
+      const callback = vi.fn();
+      store.watch('count', callback);
+
+      store.count = 1;
+      store.count = 2;
+      expect(store.canUndo).toBe(true);
+      expect(store.canRedo).toBe(false);
+
+      store.undo();
+      expect(store.count).toBe(1);
+      expect(callback).toHaveBeenLastCalledWith(1, 2);
+
+      store.undo();
+      expect(store.count).toBe(0);
+      expect(store.canUndo).toBe(false);
+
+      store.redo();
+      expect(store.count).toBe(1);
+      expect(store.canRedo).toBe(true);
+    });
+
+    it('배치는 하나의 이력으로 기록해야 함', () => {
+      const store = StateManager.create({ a: 0, b: 0 }, { history: true });
+
+      store.batch(() => {
+        store.a = 1;
+        store.b = 2;
+      });
+      store.undo();
+
+      expect(store.getState()).toEqual({ a: 0, b: 0 });
+      expect(store.history.past).toHaveLength(0);
+    });
+
+    it('중첩 변경과 배열 변경을 이후 변경과 무관하게 복원해야 함', () => {
+      const store = StateManager.create({ columns: [{ title: 'Todo', cards: [] }] }, { history: true });
+
+      store.columns[0].cards.push('A');
+      store.columns[0].cards.push('B');
+      store.columns[0].title = 'Doing';
+
+      store.undo();
+      expect(store.columns[0].title).toBe('Todo');
+      store.undo();
+      expect(store.columns[0].cards).toEqual(['A']);
+
+      store.redo();
+      store.redo();
+      expect(store.getState().columns).toEqual([{ title: 'Doing', cards: ['A', 'B'] }]);
+    });
+
+    it('새 변경이 생기면 다시 실행 이력을 지워야 함', () => {
+      const store = StateManager.create({ count: 0 }, { history: true });
+
+      store.count = 1;
+      store.undo();
+      store.count = 5;
+
+      expect(store.canRedo).toBe(false);
+      expect(store.redo()).toBe(false);
+    });
+
+    it('limit을 넘으면 오래된 이력부터 제거해야 함', () => {
+      const store = StateManager.create({ count: 0 }, { history: { limit: 2 } });
+
+      store.count = 1;
+      store.count = 2;
+      store.count = 3;
+
+      expect(store.history.go(-5)).toBe(2);
+      expect(store.count).toBe(1);
+    });
+
+    it('exclude 키의 변경은 기록하지 않아야 함', () => {
+      const store = StateManager.create({ title: '', dragging: null }, {
+        history: { exclude: ['dragging'] }
+      });
+
+      store.dragging = { id: 1 };
+      expect(store.canUndo).toBe(false);
+
+      store.batch(() => {
+        store.title = 'Board';
+        store.dragging = null;
+      });
+      store.undo();
+
+      expect(store.title).toBe('');
+      expect(store.dragging).toBeNull();
+    });
+
+    it('새로 추가한 키는 실행 취소 시 제거해야 함', () => {
+      const store = StateManager.create({}, { history: true });
+
+      store.draft = 'hello';
+      store.undo();
+
+      expect('draft' in store.getState()).toBe(false);
+    });
+  });
+
+  describe('액션과 미들웨어', () => {
+    afterEach(() => {
+      Config.set('debug', false);
+    });
+
+    it('액션은 페이로드를 받아 상태를 변경하고 한 번만 알려야 함', () => {
+      const store = StateManager.create({ items: [], count: 0 }, {
+        actions: {
+          addItem(target, item) {
+            target.items.push(item);
+            target.count = target.items.length;
+            return target.count;
+          }
+        }
+      });
+      const subscriber = vi.fn();
+      store.subscribe(subscriber);
+
+      expect(store.dispatch('addItem', 'a')).toBe(1);
+      expect(store.items).toEqual(['a']);
+      expect(subscriber).toHaveBeenCalledTimes(1);
+      expect(store.hasAction('addItem')).toBe(true);
+    });
+
+    it('비동기 액션은 Promise를 반환하고 완료 후 after를 호출해야 함', async () => {
+      const store = StateManager.create({ user: null });
+      const after = vi.fn();
+      store.action('loadUser', async (target, id) => {
+        const user = await Promise.resolve({ id });
+        target.user = user;
+        return user;
+      });
+      store.use({ after });
+
+      const result = await store.dispatch('loadUser', 7);
+
+      expect(result).toEqual({ id: 7 });
+      expect(after).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'loadUser',
+        payload: 7,
+        result: { id: 7 },
+        changes: [expect.objectContaining({ path: 'user', value: { id: 7 }, oldValue: null })]
+      }));
+    });
+
+    it('before가 false를 반환하면 액션을 거부해야 함', () => {
+      const store = StateManager.create({ count: 0 }, {
+        actions: { add: (target, amount) => { target.count += amount; } }
+      });
+      const after = vi.fn();
+      const remove = store.use({
+        before: ({ payload }) => payload > 0,
+        after
+      });
+
+      expect(store.dispatch('add', -1)).toBeUndefined();
+      expect(store.count).toBe(0);
+      expect(after).not.toHaveBeenCalled();
+
+      store.dispatch('add', 2);
+      expect(store.count).toBe(2);
+
+      remove();
+      store.dispatch('add', -1);
+      expect(store.count).toBe(1);
+    });
+
+    it('액션 오류는 after에 전달하고 다시 던져야 함', () => {
+      const store = StateManager.create({}, {
+        actions: { fail: () => { throw new Error('boom'); } }
+      });
+      const after = vi.fn();
+      store.use({ after });
+
+      expect(() => store.dispatch('fail')).toThrow('boom');
+      expect(after.mock.calls[0][0].error.message).toBe('boom');
+    });
+
+    it('등록되지 않은 액션은 에러를 던져야 함', () => {
+      const store = StateManager.create();
+      expect(() => store.dispatch('missing')).toThrow();
+      expect(() => store.use({})).toThrow();
+    });
+
+    it('debug 모드에서 액션 이름, 페이로드, 변경 내용을 로그로 남겨야 함', () => {
+      Config.set('debug', true);
+      const group = vi.spyOn(console, 'groupCollapsed').mockImplementation(() => {});
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const groupEnd = vi.spyOn(console, 'groupEnd').mockImplementation(() => {});
+      const store = StateManager.create({ count: 0 }, {
+        name: 'counter',
+        actions: { increment: (target) => { target.count++; } }
+      });
+
+      store.dispatch('increment', { by: 1 });
+
+      expect(group).toHaveBeenCalledWith('[IMCAT state:counter] increment');
+      expect(log).toHaveBeenCalledWith('payload:', { by: 1 });
+      expect(log).toHaveBeenCalledWith('changes:', { count: { from: 0, to: 1 } });
+
+      group.mockRestore();
+      log.mockRestore();
+      groupEnd.mockRestore();
+    });
+
+    it('debug가 꺼져 있으면 로그를 남기지 않아야 함', () => {
+      const group = vi.spyOn(console, 'groupCollapsed').mockImplementation(() => {});
+      const store = StateManager.create({ count: 0 }, {
+        actions: { increment: (target) => { target.count++; } }
+      });
+
+      store.dispatch('increment');
+
+      expect(group).not.toHaveBeenCalled();
+      group.mockRestore();
+    });
+
+    it('같은 이름의 상태 키는 액션/이력 메서드보다 우선해야 함', () => {
+      const store = StateManager.create({ action: 'edit', use: 'admin', history: [1, 2] }, {
+        history: true,
+        actions: { rename: (target, name) => { target.action = name; } }
+      });
+
+      expect(store.action).toBe('edit');
+      expect(store.use).toBe('admin');
+      expect(store.history).toEqual([1, 2]);
+      expect(typeof store.dispatch).toBe('function');
+      expect(typeof store.undo).toBe('function');
+
+      store._store.dispatch('rename', 'view');
+      expect(store.action).toBe('view');
+    });
+  });
+
   describe('GlobalState', () => {
     beforeEach(() => {
       GlobalState.clear();
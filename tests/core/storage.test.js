@@ -3,7 +3,106 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { Storage } from '../../src/core/storage.js';
+import { Storage, NamespacedStorage, IndexedDBStorage, EncryptedStorage } from '../../src/core/storage.js';
+
+/**
+ * 테스트용 최소 IndexedDB (요청은 다음 틱에 처리, quota는 항목 수 기준)
+ */
+function createFakeIndexedDB({ quota = Infinity } = {}) {
+  const quotaError = () => new DOMException('Quota exceeded', 'QuotaExceededError');
+
+  class FakeTransaction {
+    constructor(store) {
+      this.error = null;
+      this.oncomplete = null;
+      this.onerror = null;
+      this.onabort = null;
+      this._operations = [];
+      this._store = {
+        get: key => this._request(() => structuredClone(store.get(key))),
+        getAll: () => this._request(() => Array.from(store.values()).map(record => structuredClone(record))),
+        getAllKeys: () => this._request(() => Array.from(store.keys())),
+        openCursor: () => {
+          const keys = Array.from(store.keys());
+          let index = 0;
+          const read = () => (index < keys.length ? {
+            value: structuredClone(store.get(keys[index])),
+            continue: () => {
+              index++;
+              this._operations.push({ request, operation: read });
+            }
+          } : null);
+          const request = this._request(read);
+          return request;
+        },
+        put: record => this._request(() => {
+          if (!store.has(record.key) && store.size >= quota) throw quotaError();
+          store.set(record.key, structuredClone(record));
+          return record.key;
+        }),
+        delete: key => this._request(() => { store.delete(key); }),
+        clear: () => this._request(() => { store.clear(); })
+      };
+      setTimeout(() => this._finish());
+    }
+
+    objectStore() {
+      return this._store;
+    }
+
+    _request(operation) {
+      const request = { result: undefined, error: null, onsuccess: null };
+      this._operations.push({ request, operation });
+      return request;
+    }
+
+    _finish() {
+      // onsuccess에서 추가한 요청도 같은 트랜잭션에서 실행
+      for (let i = 0; i < this._operations.length; i++) {
+        const { request, operation } = this._operations[i];
+        try {
+          request.result = operation();
+        } catch (error) {
+          request.error = error;
+          this.error = error;
+          if (this.onabort) this.onabort();
+          return;
+        }
+        if (request.onsuccess) request.onsuccess();
+      }
+      if (this.oncomplete) this.oncomplete();
+    }
+  }
+
+  const databases = new Map();
+  const transactions = [];
+
+  return {
+    databases,
+    transactions,
+    open(name) {
+      const request = { result: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+
+        const stores = databases.get(name);
+        request.result = {
+          objectStoreNames: { contains: storeName => stores.has(storeName) },
+          createObjectStore: storeName => stores.set(storeName, new Map()),
+          transaction: (storeName, mode) => {
+            transactions.push(mode);
+            return new FakeTransaction(stores.get(storeName));
+          },
+          close: () => {}
+        };
+        if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+        if (request.onsuccess) request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
 
 describe('Storage Module', () => {
   beforeEach(() => {
@@ -226,6 +325,350 @@ describe('Storage Module', () => {
     });
   });
 
+  describe('Storage.create() (네임스페이스)', () => {
+    let store;
+
+    afterEach(() => {
+      if (store) store.destroy();
+      store = null;
+      vi.restoreAllMocks();
+    });
+
+    it('네임스페이스 접두사로 저장하고 다른 네임스페이스와 분리해야 함', () => {
+      store = Storage.create('app1');
+      const other = Storage.create('app2');
+
+      store.set('user', { id: 1 });
+      other.set('user', { id: 2 });
+      Storage.set('user', 'raw');
+
+      expect(store).toBeInstanceOf(NamespacedStorage);
+      expect(store.get('user')).toEqual({ id: 1 });
+      expect(other.get('user')).toEqual({ id: 2 });
+      expect(Storage.get('app1:user')).toEqual({ id: 1 });
+      expect(store.keys()).toEqual(['user']);
+
+      store.clear();
+      expect(store.keys()).toEqual([]);
+      expect(other.get('user')).toEqual({ id: 2 });
+      expect(Storage.get('user')).toBe('raw');
+      other.destroy();
+    });
+
+    it('네임스페이스가 없으면 에러를 던져야 함', () => {
+      expect(() => Storage.create('')).toThrow();
+    });
+
+    it('TTL과 sessionStorage를 지원해야 함', () => {
+      store = Storage.create('app', { storage: 'session' });
+      const now = Date.now();
+
+      store.set('token', 'abc', { expires: 60 });
+      expect(sessionStorage.getItem('app:token')).not.toBeNull();
+      expect(store.has('token')).toBe(true);
+
+      vi.spyOn(Date, 'now').mockReturnValue(now + 61000);
+      expect(store.get('token', 'none')).toBe('none');
+      expect(sessionStorage.getItem('app:token')).toBeNull();
+    });
+
+    it('변경 이벤트를 발행해야 함', () => {
+      store = Storage.create('app');
+      const handler = vi.fn();
+      store.on('change', handler);
+
+      store.set('count', 1);
+      store.set('count', 2);
+      store.remove('count');
+      store.clear();
+
+      expect(handler.mock.calls.map(([detail]) => detail)).toEqual([
+        { key: 'count', value: 1, oldValue: null, action: 'set', remote: false },
+        { key: 'count', value: 2, oldValue: 1, action: 'set', remote: false },
+        { key: 'count', value: null, oldValue: 2, action: 'remove', remote: false },
+        { key: null, value: null, oldValue: null, action: 'clear', remote: false }
+      ]);
+    });
+
+    it('다른 탭의 변경을 remote 이벤트로 전달해야 함', () => {
+      store = Storage.create('app');
+      const handler = vi.fn();
+      store.on('change', handler);
+
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'app:theme',
+        oldValue: null,
+        newValue: JSON.stringify({ value: 'dark', timestamp: Date.now() }),
+        storageArea: localStorage
+      }));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'other:theme', newValue: '{}', storageArea: localStorage }));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith({ key: 'theme', value: 'dark', oldValue: null, action: 'set', remote: true });
+
+      store.destroy();
+      window.dispatchEvent(new StorageEvent('storage', { key: 'app:theme', newValue: '{}', storageArea: localStorage }));
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('용량 초과 시 가장 오래 사용하지 않은 항목부터 제거하고 다시 저장해야 함', () => {
+      store = Storage.create('app');
+      const setItem = window.Storage.prototype.setItem;
+      vi.spyOn(window.Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+        if (this.getItem(key) === null && Object.keys(this).length >= 3) {
+          throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        }
+        return setItem.call(this, key, value);
+      });
+      const onEvict = vi.fn();
+      store.on('evict', onEvict);
+
+      store.set('a', 1);
+      store.set('b', 2);
+      store.set('c', 3);
+      store.get('a');
+
+      expect(store.set('d', 4)).toBe(true);
+      expect(store.keys().sort()).toEqual(['a', 'c', 'd']);
+      expect(onEvict).toHaveBeenCalledWith({ keys: ['b'] });
+    });
+
+    it('evict: false면 제거하지 않고 실패해야 함', () => {
+      store = Storage.create('app', { evict: false });
+      vi.spyOn(window.Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      });
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(store.set('a', 1)).toBe(false);
+      expect(errorSpy).toHaveBeenCalled();
+    });
+
+    it('Storage.set()은 용량 초과 시 만료된 항목을 정리하고 다시 시도해야 함', () => {
+      const now = Date.now();
+      Storage.set('old', 'x', { expires: 1 });
+      vi.spyOn(Date, 'now').mockReturnValue(now + 2000);
+
+      const setItem = window.Storage.prototype.setItem;
+      vi.spyOn(window.Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+        if (this.getItem('old') !== null) {
+          throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        }
+        return setItem.call(this, key, value);
+      });
+
+      expect(Storage.set('new', 'y')).toBe(true);
+      expect(localStorage.getItem('old')).toBeNull();
+      expect(Storage.get('new')).toBe('y');
+    });
+  });
+
+  describe('IndexedDB 어댑터', () => {
+    let db;
+
+    afterEach(() => {
+      if (db) db.destroy();
+      db = null;
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it('같은 API를 비동기로 제공해야 함', async () => {
+      const fake = createFakeIndexedDB();
+      vi.stubGlobal('indexedDB', fake);
+      db = Storage.create('app', { adapter: 'indexeddb' });
+      const date = new Date(2024, 0, 1);
+
+      expect(db).toBeInstanceOf(IndexedDBStorage);
+      expect(await db.set('rows', [{ id: 1, at: date }])).toBe(true);
+      expect(await db.get('rows')).toEqual([{ id: 1, at: date }]);
+      expect(await db.has('rows')).toBe(true);
+      expect(await db.get('missing', [])).toEqual([]);
+      expect(await db.keys()).toEqual(['rows']);
+      expect(fake.databases.has('imcat-storage:app')).toBe(true);
+
+      expect(await db.remove('rows')).toBe(true);
+      expect(await db.has('rows')).toBe(false);
+    });
+
+    it('TTL이 지나면 기본값을 반환하고 항목을 제거해야 함', async () => {
+      vi.stubGlobal('indexedDB', createFakeIndexedDB());
+      db = Storage.create('app', { adapter: 'indexeddb' });
+      const now = Date.now();
+      const handler = vi.fn();
+
+      await db.set('cache', 'v', { expires: 10 });
+      db.on('change', handler);
+      vi.spyOn(Date, 'now').mockReturnValue(now + 11000);
+
+      expect(await db.get('cache', 'expired')).toBe('expired');
+      expect(await db.keys()).toEqual([]);
+      expect(handler).toHaveBeenCalledWith({ key: 'cache', value: null, oldValue: 'v', action: 'expire', remote: false });
+    });
+
+    it('용량 초과 시 LRU 항목을 제거하고 다시 저장해야 함', async () => {
+      vi.stubGlobal('indexedDB', createFakeIndexedDB({ quota: 2 }));
+      db = Storage.create('app', { adapter: 'indexeddb' });
+      const onEvict = vi.fn();
+      db.on('evict', onEvict);
+
+      await db.set('a', 1);
+      await db.set('b', 2);
+      await db.get('a');
+
+      expect(await db.set('c', 3)).toBe(true);
+      expect((await db.keys()).sort()).toEqual(['a', 'c']);
+      expect(onEvict).toHaveBeenCalledWith({ keys: ['b'] });
+    });
+
+    it('저장은 이전 값 읽기와 쓰기를 한 트랜잭션에서 처리해야 함', async () => {
+      const fake = createFakeIndexedDB();
+      vi.stubGlobal('indexedDB', fake);
+      db = Storage.create('app', { adapter: 'indexeddb' });
+      const handler = vi.fn();
+      db.on('change', handler);
+
+      await db.set('count', 1);
+      fake.transactions.length = 0;
+      await db.set('count', 2);
+
+      expect(fake.transactions).toEqual(['readwrite']);
+      expect(handler).toHaveBeenLastCalledWith({ key: 'count', value: 2, oldValue: 1, action: 'set', remote: false });
+    });
+
+    it('IndexedDB가 없으면 실패 값으로 resolve해야 함', async () => {
+      vi.stubGlobal('indexedDB', undefined);
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      db = Storage.create('app', { adapter: 'indexeddb' });
+
+      expect(await db.set('a', 1)).toBe(false);
+      expect(await db.get('a', 'default')).toBe('default');
+      expect(errorSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('암호화 (encrypt)', () => {
+    const encrypt = { secret: 'app-secret', iterations: 1000 };
+    let secure;
+
+    afterEach(() => {
+      if (secure) secure.destroy();
+      secure = null;
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it('값을 암호화해 저장하고 복호화해 가져와야 함', async () => {
+      secure = Storage.create('app', { encrypt });
+
+      expect(secure).toBeInstanceOf(EncryptedStorage);
+      expect(await secure.set('token', { access: 'secret-token' })).toBe(true);
+      expect(localStorage.getItem('app:token')).not.toContain('secret-token');
+      expect(await secure.get('token')).toEqual({ access: 'secret-token' });
+      expect(await secure.has('token')).toBe(true);
+      expect(await secure.keys()).toEqual(['token']);
+    });
+
+    it('변조되었거나 키가 다르면 없는 값으로 취급하고 제거해야 함', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      secure = Storage.create('app', { encrypt });
+      await secure.set('a', 'A');
+      await secure.set('b', 'B');
+
+      // 다른 키의 암호문으로 바꿔치기
+      localStorage.setItem('app:b', localStorage.getItem('app:a'));
+      expect(await secure.get('b', 'missing')).toBe('missing');
+      expect(localStorage.getItem('app:b')).toBeNull();
+
+      // 다른 비밀값
+      const other = Storage.create('app', { encrypt: { ...encrypt, secret: 'other' } });
+      expect(await other.get('a', 'missing')).toBe('missing');
+      expect(await secure.has('a')).toBe(false);
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      other.destroy();
+    });
+
+    it('암호문 안의 만료 시간으로 TTL을 적용해야 함', async () => {
+      secure = Storage.create('app', { encrypt });
+      const now = Date.now();
+      await secure.set('draft', 'text', { expires: 60 });
+
+      vi.spyOn(Date, 'now').mockReturnValue(now + 61000);
+      expect(await secure.get('draft', 'expired')).toBe('expired');
+    });
+
+    it('세션 키는 sessionStorage에 보관되고 세션이 끝나면 읽을 수 없어야 함', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      secure = Storage.create('app', { encrypt: { session: true } });
+      await secure.set('draft', { title: '초안' });
+
+      expect(sessionStorage.getItem(`${EncryptedStorage.SESSION_KEY_PREFIX}app`)).not.toBeNull();
+      expect(sessionStorage.getItem('app:draft')).not.toBeNull();
+      expect(localStorage.getItem('app:draft')).toBeNull();
+      const sameSession = Storage.create('app', { encrypt: { session: true } });
+      expect(await sameSession.get('draft')).toEqual({ title: '초안' });
+      sameSession.destroy();
+
+      sessionStorage.removeItem(`${EncryptedStorage.SESSION_KEY_PREFIX}app`);
+      const nextSession = Storage.create('app', { encrypt: { session: true } });
+      expect(await nextSession.get('draft', null)).toBeNull();
+      nextSession.destroy();
+    });
+
+    it('세션 키는 다른 탭과 공유하는 저장소와 함께 쓸 수 없어야 함', () => {
+      expect(() => Storage.create('app', { storage: 'local', encrypt: { session: true } })).toThrow();
+      expect(() => Storage.create('app', { adapter: 'indexeddb', encrypt: { session: true } })).toThrow();
+    });
+
+    it('여러 인스턴스가 동시에 세션 키를 만들어도 같은 키를 사용해야 함', async () => {
+      secure = Storage.create('app', { encrypt: { session: true } });
+      const other = Storage.create('app', { encrypt: { session: true } });
+
+      await Promise.all([secure.set('a', 'A'), other.set('b', 'B')]);
+
+      expect(await secure.get('b')).toBe('B');
+      expect(await other.get('a')).toBe('A');
+      other.destroy();
+    });
+
+    it('change 이벤트는 복호화한 값으로 전달해야 함', async () => {
+      secure = Storage.create('app', { encrypt });
+      const handler = vi.fn();
+      secure.on('change', handler);
+
+      await secure.set('count', 1);
+      await secure.set('count', 2);
+      await vi.waitFor(() => expect(handler).toHaveBeenCalledTimes(2));
+
+      expect(handler.mock.calls[1][0]).toEqual({ key: 'count', value: 2, oldValue: 1, action: 'set', remote: false });
+    });
+
+    it('IndexedDB 어댑터와 함께 사용할 수 있어야 함', async () => {
+      vi.stubGlobal('indexedDB', createFakeIndexedDB());
+      secure = Storage.create('app', { adapter: 'indexeddb', encrypt });
+
+      await secure.set('rows', [1, 2, 3]);
+      expect(await secure.get('rows')).toEqual([1, 2, 3]);
+    });
+
+    it('키 옵션이 없으면 에러를 던지고, Web Crypto가 없으면 값을 지우지 않아야 함', async () => {
+      expect(() => Storage.create('app', { encrypt: {} })).toThrow();
+
+      secure = Storage.create('app', { encrypt });
+      await secure.set('token', 'abc');
+      secure.destroy();
+
+      vi.stubGlobal('crypto', undefined);
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      secure = Storage.create('app', { encrypt });
+
+      expect(await secure.get('token', 'unavailable')).toBe('unavailable');
+      expect(await secure.set('other', 1)).toBe(false);
+      expect(localStorage.getItem('app:token')).not.toBeNull();
+      expect(errorSpy).toHaveBeenCalled();
+    });
+  });
+
   describe('실전 시나리오', () => {
     it('사용자 세션 관리', () => {
       const user = {
@@ -2,7 +2,7 @@
  * Template Module 테스트
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import { Template } from '../../src/core/template.js';
 
 describe('Template Module', () => {
@@ -203,6 +203,149 @@ describe('Template Module', () => {
       const template = Template.compile('Static text');
       expect(template()).toBe('Static text');
     });
+
+    it('같은 템플릿은 한 번만 파싱해야 함', () => {
+      Template.clearCache();
+      const spy = vi.spyOn(Template, '_parse');
+
+      const row = Template.compile('<tr><td>{{id}}</td><td>{{user.name}}</td></tr>');
+      for (let i = 0; i < 100; i++) {
+        row({ id: i, user: { name: `User ${i}` } });
+      }
+      Template.render('<tr><td>{{id}}</td><td>{{user.name}}</td></tr>', { id: 1 });
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(row({ id: 7, user: { name: 'Kim' } })).toBe('<tr><td>7</td><td>Kim</td></tr>');
+      spy.mockRestore();
+    });
+
+    it('캐시 크기를 초과하면 오래된 템플릿부터 제거해야 함', () => {
+      Template.clearCache();
+      const limit = Template.CACHE_LIMIT;
+      Template.CACHE_LIMIT = 2;
+
+      Template.render('a{{x}}');
+      Template.render('b{{x}}');
+      Template.render('c{{x}}');
+
+      expect(Array.from(Template._cache.keys())).toEqual(['b{{x}}', 'c{{x}}']);
+      Template.CACHE_LIMIT = limit;
+      Template.clearCache();
+    });
+
+    it('DOM 없이 이스케이프해야 함', () => {
+      vi.stubGlobal('document', undefined);
+
+      const html = Template.compile('<a title="{{title}}">{{text}}</a>')({
+        title: '" onclick="alert(1)',
+        text: "<b>Tom & Jerry's</b>"
+      });
+
+      vi.unstubAllGlobals();
+      expect(html).toBe('<a title="&quot; onclick=&quot;alert(1)">&lt;b&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;</a>');
+    });
+
+    it('문자열이 아닌 템플릿은 빈 문자열을 반환하는 함수가 되어야 함', () => {
+      expect(Template.compile(null)({ name: 'John' })).toBe('');
+    });
+  });
+
+  describe('템플릿 문법', () => {
+    afterEach(() => {
+      Template.unregisterPartial('card');
+      Template.unregisterFilter('upper');
+    });
+
+    it('점 경로로 중첩 값을 출력해야 함', () => {
+      const html = Template.render('{{user.profile.name}} {{user.missing.name}}', {
+        user: { profile: { name: 'John' } }
+      });
+      expect(html).toBe('John ');
+    });
+
+    it('{{{ }}}와 {{& }}는 이스케이프하지 않아야 함', () => {
+      const data = { html: '<b>Bold</b>' };
+      expect(Template.render('{{{html}}}', data)).toBe('<b>Bold</b>');
+      expect(Template.render('{{& html}}', data)).toBe('<b>Bold</b>');
+      expect(Template.render('{{html}}', data)).toContain('&lt;b&gt;');
+    });
+
+    it('#if / else / #unless 블록을 처리해야 함', () => {
+      const template = '{{#if user.isAdmin}}관리자{{else}}일반{{/if}}{{#unless items}}!{{/unless}}';
+      expect(Template.render(template, { user: { isAdmin: true }, items: [1] })).toBe('관리자');
+      expect(Template.render(template, { user: { isAdmin: false }, items: [] })).toBe('일반!');
+    });
+
+    it('#each로 배열과 객체를 반복해야 함', () => {
+      const data = {
+        title: '목록',
+        items: [{ name: 'A' }, { name: 'B' }],
+        tags: { a: 1, b: 2 }
+      };
+
+      expect(Template.render(
+        '{{#each items}}{{@index}}:{{name}}({{../title}}){{#if @last}}.{{else}},{{/if}}{{/each}}',
+        data
+      )).toBe('0:A(목록),1:B(목록).');
+      expect(Template.render('{{#each tags}}{{@key}}={{this}};{{/each}}', data)).toBe('a=1;b=2;');
+      expect(Template.render('{{#each empty}}x{{else}}없음{{/each}}', data)).toBe('없음');
+    });
+
+    it('반복 중 현재 항목에 없는 키는 부모 스코프에서 찾아야 함', () => {
+      const html = Template.render('{{#each items}}{{currency}}{{this}} {{/each}}', {
+        currency: '₩',
+        items: [100, 200]
+      });
+      expect(html).toBe('₩100 ₩200 ');
+    });
+
+    it('Formatters 필터와 인자를 적용해야 함', () => {
+      const html = Template.render("{{text | truncate:8}} / {{text | truncate:7:'~'}} / {{name | capitalize}}", {
+        text: 'Hello World',
+        name: 'john'
+      });
+      expect(html).toBe('Hello... / Hello ~ / John');
+    });
+
+    it('등록한 필터를 사용하고 결과를 이스케이프해야 함', () => {
+      Template.registerFilter('upper', value => String(value).toUpperCase());
+
+      expect(Template.render('{{name | upper}}', { name: '<b>' })).toBe('&lt;B&gt;');
+      expect(() => Template.registerFilter('bad', 'not a function')).toThrow();
+      expect(() => Template.render('{{name | unknown}}', { name: 'x' })).toThrow('Unknown filter');
+    });
+
+    it('파셜을 현재 스코프 또는 지정한 경로로 렌더링해야 함', () => {
+      Template.registerPartial('card', '<div>{{name}}</div>');
+
+      expect(Template.render('{{#each users}}{{> card}}{{/each}}', {
+        users: [{ name: 'John' }, { name: 'Jane' }]
+      })).toBe('<div>John</div><div>Jane</div>');
+      expect(Template.render('{{> card owner}}', { owner: { name: 'Kim' } })).toBe('<div>Kim</div>');
+      expect(() => Template.render('{{> missing}}')).toThrow('Unknown partial');
+    });
+
+    it('재귀 파셜은 최대 깊이를 넘으면 에러를 던지고 이후 렌더링에 영향이 없어야 함', () => {
+      Template.registerPartial('card', '<li>{{name}}{{#if children}}<ul>{{#each children}}{{> card}}{{/each}}</ul>{{/if}}</li>');
+
+      expect(Template.render('{{> card}}', { name: 'a', children: [{ name: 'b', children: [] }] }))
+        .toBe('<li>a<ul><li>b</li></ul></li>');
+
+      Template.registerPartial('card', '{{> card}}');
+      expect(() => Template.render('{{> card}}')).toThrow('maximum depth');
+      expect(Template._partialDepth).toBe(0);
+    });
+
+    it('주석은 출력하지 않아야 함', () => {
+      expect(Template.render('a{{! 설명 }}b')).toBe('ab');
+    });
+
+    it('잘못 짝지어진 블록은 에러를 던져야 함', () => {
+      expect(() => Template.render('{{#if a}}x')).toThrow('Unclosed');
+      expect(() => Template.render('{{#if a}}x{{/each}}')).toThrow('Unexpected');
+      expect(() => Template.render('x{{/if}}')).toThrow('Unexpected');
+      expect(() => Template.render('{{else}}')).toThrow('Unexpected');
+    });
   });
 
   describe('실전 시나리오', () => {
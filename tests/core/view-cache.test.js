@@ -0,0 +1,68 @@
+/**
+ * View Cache 테스트
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { ViewCache } from '../../src/core/view-cache.js';
+
+describe('ViewCache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('값을 저장하고 조회해야 함', () => {
+    const cache = new ViewCache();
+    cache.set('a', 1);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.has('a')).toBe(true);
+    expect(cache.get('b')).toBeUndefined();
+  });
+
+  it('최대 개수를 넘으면 가장 오래 사용하지 않은 항목을 제거해야 함', () => {
+    const cache = new ViewCache({ max: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); // a를 최근 사용으로 갱신
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.has('c')).toBe(true);
+    expect(cache.size).toBe(2);
+  });
+
+  it('TTL이 지난 항목은 조회되지 않아야 함', () => {
+    vi.useFakeTimers();
+    const cache = new ViewCache({ ttl: 1000 });
+    cache.set('a', 1);
+
+    vi.advanceTimersByTime(1001);
+
+    expect(cache.has('a')).toBe(false);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  it('ttl: 0이면 만료되지 않아야 함', () => {
+    vi.useFakeTimers();
+    const cache = new ViewCache({ ttl: 0 });
+    cache.set('a', 1);
+
+    vi.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+    expect(cache.get('a')).toBe(1);
+  });
+
+  it('delete()와 clear()로 항목을 제거해야 함', () => {
+    const cache = new ViewCache();
+    cache.set('a', 1);
+    cache.set('b', 2);
+
+    cache.delete('a');
+    expect(cache.has('a')).toBe(false);
+
+    cache.clear();
+    expect(cache.size).toBe(0);
+  });
+});
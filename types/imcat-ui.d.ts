@@ -5,6 +5,11 @@
 
 // ===== Core Types =====
 
+declare interface PatchOptions {
+  /** 목록 항목 키 속성 (기본: 'data-key') */
+  key?: string;
+}
+
 declare interface DOMElement {
   /** 요소 개수 */
   length: number;
@@ -58,6 +63,7 @@ declare interface DOMElement {
   after(content: string | HTMLElement | DOMElement): DOMElement;
   remove(): DOMElement;
   empty(): DOMElement;
+  patch(html: string | Node, options?: PatchOptions): DOMElement;
   clone(deep?: boolean): DOMElement;
 
   // 탐색
@@ -137,6 +143,11 @@ declare interface ConfigOptions {
     timeout?: number;
     headers?: Record<string, string>;
   };
+  router?: {
+    useHistory?: boolean; // 기본값: false (URL 변경 없이 내부 렌더링만)
+    mode?: 'hash' | 'history'; // 기본값: 'hash'
+    base?: string; // history 모드의 기본 경로
+  };
   form?: {
     validateOnBlur?: boolean;
     validateOnInput?: boolean;
@@ -372,6 +383,85 @@ declare interface Storage {
   remove(key: string): void;
   has(key: string): boolean;
   clear(): void;
+  create(namespace: string, options?: StorageCreateOptions & { adapter?: 'web' }): NamespacedStorage;
+  create(namespace: string, options: StorageCreateOptions & { encrypt: StorageEncryptOptions }): EncryptedStorage;
+  create(namespace: string, options: StorageCreateOptions & { adapter: 'indexeddb' }): IndexedDBStorage;
+}
+
+declare interface StorageEncryptOptions {
+  /** 키를 유도할 앱 비밀값 (PBKDF2) */
+  secret?: string;
+  /** 직접 지정하는 AES-GCM 키 */
+  key?: CryptoKey;
+  /** 탭 세션 동안만 유지되는 임의 키 사용 (sessionStorage에만 저장 가능) */
+  session?: boolean;
+  /** PBKDF2 salt (기본: 네임스페이스) */
+  salt?: string;
+  /** PBKDF2 반복 횟수 (기본: 100000) */
+  iterations?: number;
+}
+
+declare interface StorageCreateOptions {
+  adapter?: 'web' | 'indexeddb';
+  /** web 어댑터 저장소 (기본: 'local') */
+  storage?: 'local' | 'session';
+  /** 네임스페이스와 키 사이 구분자 (기본: ':') */
+  separator?: string;
+  /** 용량 초과 시 LRU 제거 후 재시도 (기본: true) */
+  evict?: boolean;
+  /** 다른 탭의 변경을 change 이벤트로 전달 (기본: true, web 어댑터) */
+  sync?: boolean;
+  /** IndexedDB 이름 (기본: 'imcat-storage:네임스페이스') */
+  dbName?: string;
+  /** 지정하면 값을 AES-GCM으로 암호화 (비동기 API) */
+  encrypt?: StorageEncryptOptions;
+}
+
+declare interface StorageChangeEvent {
+  key: string | null;
+  value: any;
+  oldValue: any;
+  action: 'set' | 'remove' | 'expire' | 'clear';
+  /** 다른 탭에서 발생한 변경 (web 어댑터만, IndexedDB는 항상 false) */
+  remote: boolean;
+}
+
+declare interface StorageEvents {
+  on(event: 'change', handler: (detail: StorageChangeEvent) => void): () => void;
+  on(event: 'evict', handler: (detail: { keys: string[] }) => void): () => void;
+  once(event: 'change' | 'evict', handler: (detail: any) => void): () => void;
+  off(event: 'change' | 'evict', handler?: (detail: any) => void): void;
+  destroy(): void;
+}
+
+declare interface NamespacedStorage extends StorageEvents {
+  readonly namespace: string;
+  readonly prefix: string;
+  set(key: string, value: any, options?: { expires?: number }): boolean;
+  get<T = any>(key: string, defaultValue?: T): T;
+  has(key: string): boolean;
+  remove(key: string): boolean;
+  clear(): boolean;
+  keys(): string[];
+  size(): number;
+  cleanExpired(): number;
+}
+
+/** change 이벤트는 같은 탭의 변경만 전달 (다른 탭의 변경은 알리지 않음) */
+declare interface IndexedDBStorage extends StorageEvents {
+  readonly namespace: string;
+  readonly dbName: string;
+  set(key: string, value: any, options?: { expires?: number }): Promise<boolean>;
+  get<T = any>(key: string, defaultValue?: T): Promise<T>;
+  has(key: string): Promise<boolean>;
+  remove(key: string): Promise<boolean>;
+  clear(): Promise<boolean>;
+  keys(): Promise<string[]>;
+  cleanExpired(): Promise<number>;
+}
+
+declare interface EncryptedStorage extends IndexedDBStorage {
+  readonly storage: NamespacedStorage | IndexedDBStorage;
 }
 
 // ===== State Types =====
@@ -379,17 +469,100 @@ declare interface Storage {
 declare interface StateProxy<T extends object> {
   readonly state: T;
   watch<K extends keyof T>(key: K, callback: (newValue: T[K], oldValue: T[K]) => void): () => void;
-  unwatch(key?: keyof T): void;
-  reset(): void;
+  watch(path: string, callback: (newValue: any, oldValue: any) => void): () => void; // 'user.name' 등 중첩 경로
+  unwatch(key: keyof T | string, callback?: (...args: any[]) => void): void;
+  compute<V>(key: string, getter: (this: T) => V): V;
+  batch(fn: () => void): void;
+  subscribe(callback: (changes: StateChange[]) => void): () => void;
+  action(name: string, handler: (store: StateProxy<T> & T, payload?: any) => any): () => void;
+  hasAction(name: string): boolean;
+  dispatch<R = any>(name: string, payload?: any): R | undefined;
+  use(middleware: StateMiddleware): () => void;
+  // history 옵션 사용 시
+  readonly history?: StateHistory;
+  readonly canUndo?: boolean;
+  readonly canRedo?: boolean;
+  undo?(): boolean;
+  redo?(): boolean;
+  getState(): T;
+  setState(newState: Partial<T>, merge?: boolean): void;
+  reset(initialState?: Partial<T>): void;
+  destroy(): void;
+}
+
+declare interface StateChange {
+  path: string;
+  value: any;
+  oldValue: any;
+}
+
+declare interface StatePersistOptions {
+  key?: string; // StateManager.create에서는 필수, GlobalState 기본값: 'imcat-state:' + name
+  storage?: 'local' | 'session';
+  include?: string[];
+  exclude?: string[];
+  version?: number;
+  migrations?: Record<number, (state: any) => any>;
+  debounce?: number; // ms
+  sync?: boolean; // 기본값: true
+}
+
+declare interface StateHistoryOptions {
+  limit?: number; // 기본값: 100
+  exclude?: string[];
+}
+
+declare interface StateHistory {
+  readonly past: StateChange[][];
+  readonly future: StateChange[][];
+  readonly canUndo: boolean;
+  readonly canRedo: boolean;
+  undo(): boolean;
+  redo(): boolean;
+  go(delta: number): number;
+  clear(): void;
+}
+
+declare interface StateActionInfo {
+  name: string;
+  payload: any;
+  store: any;
+  result?: any;
+  error?: any;
+  changes: StateChange[];
+  duration: number;
+}
+
+declare interface StateMiddleware {
+  before?: (context: { name: string; payload: any; store: any }) => boolean | void;
+  after?: (info: StateActionInfo) => void;
+}
+
+declare interface StateOptions {
+  persist?: boolean | StatePersistOptions;
+  history?: boolean | StateHistoryOptions;
+  actions?: Record<string, (store: any, payload?: any) => any>;
+  name?: string;
+}
+
+declare interface BindingOptions {
+  methods?: Record<string, (event: Event, store: any, el: HTMLElement) => void>;
+}
+
+declare interface Binding {
+  readonly root: HTMLElement | null;
+  readonly store: any;
+  refresh(): void;
   destroy(): void;
 }
 
 declare interface StateManager {
-  create<T extends object>(initialState: T): StateProxy<T> & T;
+  create<T extends object>(initialState: T, options?: StateOptions): StateProxy<T> & T;
 }
 
 declare interface GlobalState {
-  use<T extends object>(name: string, initialState?: T): StateProxy<T> & T;
+  PERSIST_PREFIX: string;
+  use<T extends object>(name: string, initialState?: T, options?: StateOptions): StateProxy<T> & T;
   get<T extends object>(name: string): (StateProxy<T> & T) | undefined;
   remove(name: string): void;
   list(): string[];
@@ -397,11 +570,74 @@ declare interface GlobalState {
 
 // ===== Router Types =====
 
+declare interface RouteDefinition {
+  path: string; // '/products/:id', '/docs/*', '*' (404 폴백)
+  view: string; // 'views/products/detail.html' (':param' 치환 가능)
+  name?: string;
+  children?: RouteDefinition[]; // 부모 뷰의 catui-outlet에 렌더링
+  outlets?: Record<string, string>; // 이름 있는 아웃렛 (catui-outlet="이름")
+  meta?: Record<string, any>;
+  beforeEnter?: NavigationGuard | NavigationGuard[];
+  cache?: boolean; // false면 뷰 캐시 사용 안함
+  transition?: ViewTransitionOption; // 자식 라우트에 상속됨
+}
+
+declare type ViewTransitionOption = 'fade' | 'slide' | 'none' | { name: 'fade' | 'slide' | 'none'; duration?: number };
+
+// false: 취소, 문자열/RouteLocation: 리다이렉트, 그 외: 진행
+declare type NavigationGuardResult = boolean | string | RouteLocation | void;
+declare type NavigationGuard = (to: ResolvedRoute, from: ResolvedRoute | null) => NavigationGuardResult | Promise<NavigationGuardResult>;
+
+declare interface ResolvedRoute {
+  path: string;
+  view: string;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  hash: string;
+  name: string | null;
+  meta: Record<string, any>;
+  matched: Array<{ view: string; outlets: Record<string, string> }>;
+}
+
+declare interface RouteLocation {
+  name: string;
+  params?: Record<string, any>;
+  query?: Record<string, any>;
+}
+
+declare interface ViewRouterInitOptions {
+  loading?: Loading;
+  autoNavigate?: boolean;
+  useHistory?: boolean;
+  mode?: 'hash' | 'history';
+  base?: string; // history 모드 기본 경로 (예: '/app')
+  viewsBase?: string; // 뷰 파일 기준 URL (예: '/static/', 'https://cdn.example.com/app/')
+  routes?: RouteDefinition[];
+  cache?: boolean | { max?: number; ttl?: number };
+  scrollRestoration?: boolean;
+  focusManagement?: boolean;
+  transition?: ViewTransitionOption; // 기본값: 'none'
+}
+
 declare interface ViewRouter {
-  navigate(path: string, options?: { replace?: boolean; data?: any }): Promise<void>;
+  readonly currentRoute: ResolvedRoute | null;
+  readonly mode: 'hash' | 'history';
+  readonly navigationId: number;
+  init(options?: ViewRouterInitOptions): void;
+  href(path: string): string;
+  navigate(path: string | RouteLocation, replace?: boolean): Promise<void>;
+  addRoute(route: RouteDefinition): ViewRouter;
+  addRoutes(routes: RouteDefinition[]): ViewRouter;
+  clearRoutes(): void;
+  resolve(path: string): ResolvedRoute | null;
+  url(name: string, params?: Record<string, any>, query?: Record<string, any>): string;
+  prefetch(path: string | RouteLocation): Promise<boolean>;
+  clearCache(view?: string): void;
   setContainer(selector: string): void;
-  beforeLoad(handler: (path: string) => boolean | void): void;
-  afterLoad(handler: (path: string) => void): void;
+  beforeLoad(handler: (path: string, from: string, navigationId: number) => NavigationGuardResult | Promise<NavigationGuardResult>): () => void;
+  beforeLeave(handler: NavigationGuard): () => void;
+  afterLoad(handler: (path: string, navigationId: number) => void): () => void;
+  onError(handler: (error: Error, navigationId: number) => void): () => void;
   registerInstance(instance: { destroy?: () => void }): void;
   params(): Record<string, string>;
   getCurrentPath(): string;
@@ -415,22 +651,125 @@ declare interface APIResponse<T = any> {
   statusCode: number;
   data: T;
   message: string;
-  error: any;
+  error: APIErrorDetail | null;
   timestamp: number;
 }
 
-declare interface APIRequestConfig {
-  headers?: Record<string, string>;
+declare interface APIErrorDetail {
+  message: string;
+  name?: string;
+  type?: 'timeout' | 'aborted' | 'network' | string; // 시간 초과: 408, 취소/네트워크 오류: 0
+}
+
+declare interface APIRequestConfig extends Omit<RequestInit, 'headers' | 'signal'> {
+  baseURL?: string; // 기본값: Config api.baseURL
+  headers?: Record<string, string>; // Config api.headers와 병합
   params?: Record<string, any>;
-  timeout?: number;
+  timeout?: number; // ms, 0이면 제한 없음 (기본값: Config api.timeout)
   signal?: AbortSignal;
+  retry?: number | APIRetryOptions; // 기본값: Config api.retry
+  responseType?: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'stream'; // 기본값: Content-Type에 따라 자동
+  onUploadProgress?: (progress: APIProgress) => void; // 지정 시 XMLHttpRequest로 전송
+  onDownloadProgress?: (progress: APIProgress) => void;
+  skipAuth?: boolean; // auth() 토큰 추가 및 갱신 제외
+}
+
+declare type APIAdapter = (url: string, config: RequestInit) => Promise<Response>;
+
+declare interface MockRequest {
+  method: string;
+  url: string;
+  path: string;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  headers: Record<string, string>;
+  body: any;
+}
+
+declare type MockReply = [number, any?, Record<string, string>?];
+
+declare interface MockHandler {
+  delay(ms: number): MockHandler;
+  reply(status: number | ((request: MockRequest) => MockReply | Promise<MockReply>), data?: any, headers?: Record<string, string>): MockAdapter;
+  replyOnce(status: number | ((request: MockRequest) => MockReply | Promise<MockReply>), data?: any, headers?: Record<string, string>): MockAdapter;
+  networkError(): MockAdapter;
+  timeout(): MockAdapter;
+}
+
+declare interface MockAdapter {
+  history: MockRequest[];
+  onGet(pattern: string | RegExp): MockHandler;
+  onPost(pattern: string | RegExp): MockHandler;
+  onPut(pattern: string | RegExp): MockHandler;
+  onPatch(pattern: string | RegExp): MockHandler;
+  onDelete(pattern: string | RegExp): MockHandler;
+  onAny(pattern: string | RegExp): MockHandler;
+  on(method: string, pattern: string | RegExp): MockHandler;
+  calls(method?: string, pattern?: string | RegExp): MockRequest[];
+  resetHistory(): void;
+  reset(): void;
+  request: APIAdapter;
+}
+
+declare interface APIAuthOptions {
+  getToken: () => string | null | undefined | Promise<string | null | undefined>;
+  refresh: (client: APIRefreshClient) => string | boolean | null | undefined | Promise<string | boolean | null | undefined>; // 실패 시 false 반환 또는 예외
+  onLogout?: (error: Error) => void | Promise<void>;
+  header?: string; // 기본값: 'Authorization'
+  scheme?: string; // 기본값: 'Bearer'
+  statusCodes?: number[]; // 기본값: [401]
+  refreshTimeout?: number; // 기본값: 30000 (0이면 제한 없음)
+}
+
+// 진행 중인 토큰 갱신을 기다리지 않는 요청 함수
+declare interface APIRefreshClient {
+  request<T = any>(url: string, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  get<T = any>(url: string, config?: APIGetConfig): Promise<APIResponse<T>>;
+  post<T = any>(url: string, data?: APIRequestBody, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  put<T = any>(url: string, data?: APIRequestBody, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  patch<T = any>(url: string, data?: APIRequestBody, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  delete<T = any>(url: string, config?: APIRequestConfig): Promise<APIResponse<T>>;
+}
+
+declare interface APIProgress {
+  loaded: number;
+  total: number; // 알 수 없으면 0
+  percent: number | null;
+}
+
+// FormData, Blob, URLSearchParams, ArrayBuffer는 그대로 전송 (그 외는 JSON 직렬화)
+declare type APIRequestBody = FormData | Blob | URLSearchParams | ArrayBuffer | ArrayBufferView | any;
+
+declare interface APIGetConfig extends APIRequestConfig {
+  dedupe?: boolean; // 진행 중인 동일 GET 요청 공유 (기본값: true)
+  cache?: boolean | number | APICacheOptions; // number: TTL (ms)
+}
+
+declare interface APICacheOptions {
+  ttl?: number; // ms, 기본값: 60000
+  staleWhileRevalidate?: number; // ms, 기본값: 0
+  storage?: 'memory' | 'local' | 'session';
+  key?: string;
+}
+
+declare interface APIRetryOptions {
+  retries?: number; // 기본값: 0
+  delay?: number; // 첫 대기 시간 (ms, 기본값: 300)
+  factor?: number; // 기본값: 2
+  maxDelay?: number; // 기본값: 10000
+  jitter?: boolean; // 기본값: true
+  statusCodes?: number[]; // 기본값: [408, 429, 500, 502, 503, 504]
+  methods?: string[]; // 기본값: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+  onRetry?: (info: { attempt: number; delay: number; url: string; method: string; response: APIResponse }) => void | Promise<void>;
 }
 
 declare interface APIUtil {
-  get<T = any>(url: string, config?: APIRequestConfig): Promise<APIResponse<T>>;
-  post<T = any>(url: string, data?: any, config?: APIRequestConfig): Promise<APIResponse<T>>;
-  put<T = any>(url: string, data?: any, config?: APIRequestConfig): Promise<APIResponse<T>>;
-  patch<T = any>(url: string, data?: any, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  RETRY_DEFAULTS: APIRetryOptions;
+  request<T = any>(url: string, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  get<T = any>(url: string, config?: APIGetConfig): Promise<APIResponse<T>>;
+  post<T = any>(url: string, data?: APIRequestBody, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  put<T = any>(url: string, data?: APIRequestBody, config?: APIRequestConfig): Promise<APIResponse<T>>;
+  patch<T = any>(url: string, data?: APIRequestBody, config?: APIRequestConfig): Promise<APIResponse<T>>;
   delete<T = any>(url: string, config?: APIRequestConfig): Promise<APIResponse<T>>;
   
   interceptors: {
@@ -447,10 +786,75 @@ declare interface APIUtil {
     clear(): void;
   };
 
+  auth(options: APIAuthOptions): () => void;
+  setAdapter(adapter: APIAdapter | { request: APIAdapter } | null): void;
+  mock(options?: { delay?: number; passthrough?: boolean }): MockAdapter;
+
+  CACHE_LIMIT: number;
+  cache: {
+    invalidate(url: string): void;
+    invalidatePrefix(prefix: string): void;
+    clear(): void;
+  };
+
   success<T>(data: T, message?: string, statusCode?: number): APIResponse<T>;
   error(message: string, statusCode?: number, error?: any): APIResponse<null>;
 }
 
+// ===== Realtime Types =====
+
+declare type RealtimeStatus = 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed';
+
+declare interface RealtimeMessage<T = any> {
+  type: string;
+  data: T;
+  raw: any;
+  timestamp: number;
+}
+
+declare interface RealtimeOptions {
+  transport?: 'websocket' | 'sse'; // 기본값: URL 스킴으로 판단
+  protocols?: string | string[];
+  withCredentials?: boolean;
+  events?: string[]; // SSE 이름 있는 이벤트
+  eventBus?: any;
+  prefix?: string; // 기본값: 'realtime'
+  typeField?: string; // 기본값: 'type'
+  reconnect?: boolean | {
+    retries?: number;
+    delay?: number;
+    factor?: number;
+    maxDelay?: number;
+    jitter?: boolean;
+  };
+  heartbeat?: number | {
+    interval?: number;
+    timeout?: number;
+    message?: any | (() => any);
+    pong?: string | null;
+  };
+  queueSize?: number; // 기본값: 100
+  autoConnect?: boolean;
+}
+
+declare interface RealtimeClient {
+  readonly url: string;
+  readonly transport: 'websocket' | 'sse';
+  readonly status: RealtimeStatus;
+  readonly connected: boolean;
+  readonly attempt: number;
+  readonly queue: any[];
+
+  connect(): RealtimeClient;
+  send(data: any): boolean;
+  close(code?: number, reason?: string): void;
+  /** 메시지는 'message:<type>' ('*'는 모든 메시지), 그 외는 연결 이벤트 */
+  on<T = any>(type: string, handler: (data: T, message: RealtimeMessage<T>) => void): () => void;
+  once<T = any>(type: string, handler: (data: T, message: RealtimeMessage<T>) => void): () => void;
+  off(type: string, handler?: (...args: any[]) => void): void;
+  destroy(): void;
+}
+
 // ===== Template Types =====
 
 declare interface Template {
@@ -458,6 +862,12 @@ declare interface Template {
   renderRaw(template: string, data: object): string;
   if(condition: boolean, html: string): string;
   each<T>(array: T[], template: string | ((item: T, index: number) => string)): string;
+  compile(template: string): (data?: object) => string;
+  clearCache(): void;
+  registerPartial(name: string, template: string): void;
+  unregisterPartial(name: string): void;
+  registerFilter(name: string, fn: (value: any, ...args: any[]) => any): void;
+  unregisterFilter(name: string): void;
 }
 
 // ===== Animation Types =====
@@ -484,6 +894,7 @@ declare interface AnimationChain {
   wobble(duration?: number): Promise<void>;
   tada(duration?: number): Promise<void>;
   heartBeat(duration?: number): Promise<void>;
+  keyframes(keyframes: Keyframe[], duration?: number, easing?: string): Promise<void>;
 }
 
 declare interface AnimationUtil {
@@ -557,6 +968,7 @@ declare interface IMCAT {
   (selector: string | HTMLElement): DOMElement;
   $(selector: string | HTMLElement): DOMElement;
   create(tagName: string, attributes?: Record<string, any>): DOMElement;
+  patch(container: string | HTMLElement, html: string | Node, options?: PatchOptions): HTMLElement | null;
   ready(callback: () => void): void;
 
   // Module Loading
@@ -571,6 +983,9 @@ declare interface IMCAT {
   off(event: string, handler?: (...args: any[]) => void): void;
   emit(event: string, ...args: any[]): void;
 
+  // Realtime
+  realtime(url: string, options?: RealtimeOptions): RealtimeClient;
+
   // Config
   config: Config;
 
@@ -580,6 +995,7 @@ declare interface IMCAT {
   // State Management
   state: StateManager;
   globalState: GlobalState;
+  bind(root: string | HTMLElement, store: StateProxy<any>, options?: BindingOptions): Binding;
 
   // Storage
   storage: Storage;